@@ -0,0 +1,148 @@
+// copilot.js — natural-language parcel questions -> structured filters for POST /api/copilot
+const path = require("path");
+
+function parseMoney(num, suffix) {
+  const n = Number(String(num).replace(/,/g, ""));
+  const mult = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6 }[String(suffix || "").toLowerCase()] || 1;
+  return n * mult;
+}
+
+const LESS_RX = "(?:under|less than|below|at most|no more than|cheaper than|<=?)";
+const MORE_RX = "(?:over|more than|greater than|above|at least|bigger than|larger than|>=?)";
+const MONEY_RX = "\\$\\s?([\\d,.]+)\\s*(k|m|mm|thousand|million)?\\b";
+
+const rulesProvider = {
+  name: "rules",
+  async parse(question) {
+    const q = ` ${String(question || "").toLowerCase().replace(/\s+/g, " ")} `;
+    const conditions = [];
+    const interpretation = [];
+    let sort;
+    let limit;
+
+    // vacant / improved
+    if (/\b(vacant|undeveloped|unimproved|empty lot)/.test(q)) {
+      conditions.push({ field: "improvement_count", op: "eq", value: 0 });
+      interpretation.push("no improvements (vacant)");
+    } else if (/\b(improved|developed|with (a )?(house|building|structure))/.test(q)) {
+      conditions.push({ field: "improvement_count", op: "gt", value: 0 });
+      interpretation.push("has improvements");
+    }
+
+    // property type
+    const types = [
+      [/\bmobile homes?\b/, "MH", "mobile homes"],
+      [/\bpersonal property\b/, "P", "personal property"],
+      [/\bmineral\b/, "MN", "mineral"],
+      [/\breal property\b/, "R", "real property"],
+    ];
+    for (const [rx, code, label] of types) {
+      if (rx.test(q)) {
+        conditions.push({ field: "prop_type_cd", op: "eq", value: code });
+        interpretation.push(`property type ${code} (${label})`);
+        break;
+      }
+    }
+
+    // acreage
+    let m = q.match(/between ([\d.,]+) and ([\d.,]+) acres?/);
+    if (m) {
+      const [lo, hi] = [parseFloat(m[1].replace(/,/g, "")), parseFloat(m[2].replace(/,/g, ""))];
+      conditions.push({ field: "land_acres", op: "between", value: [lo, hi] });
+      interpretation.push(`${lo}–${hi} acres`);
+    } else {
+      m = q.match(new RegExp(`(${LESS_RX}|${MORE_RX}) ([\\d.,]+) ?(?:acres?|ac)\\b`));
+      if (m) {
+        const more = new RegExp(MORE_RX).test(m[1]);
+        const v = parseFloat(m[2].replace(/,/g, ""));
+        conditions.push({ field: "land_acres", op: more ? "gt" : "lt", value: v });
+        interpretation.push(`${more ? "over" : "under"} ${v} acres`);
+      }
+    }
+
+    // value (assessed when the question says so, market otherwise)
+    const valueField = /\bassessed\b/.test(q) ? "assessed_value" : "market_value";
+    const valueLabel = valueField === "assessed_value" ? "assessed value" : "market value";
+    m = q.match(new RegExp(`between ${MONEY_RX} and ${MONEY_RX}`));
+    if (m) {
+      const lo = parseMoney(m[1], m[2]);
+      const hi = parseMoney(m[3], m[4]);
+      conditions.push({ field: valueField, op: "between", value: [lo, hi] });
+      interpretation.push(`${valueLabel} $${lo.toLocaleString()}–$${hi.toLocaleString()}`);
+    } else {
+      const rx = new RegExp(`(${LESS_RX}|${MORE_RX}) ${MONEY_RX}`, "g");
+      let mm;
+      while ((mm = rx.exec(q))) {
+        const more = new RegExp(MORE_RX).test(mm[1]);
+        const v = parseMoney(mm[2], mm[3]);
+        conditions.push({ field: valueField, op: more ? "gt" : "lt", value: v });
+        interpretation.push(`${valueLabel} ${more ? "over" : "under"} $${v.toLocaleString()}`);
+      }
+    }
+
+    // year built
+    m = q.match(/built (before|prior to|after|since|in) (\d{4})/);
+    if (m) {
+      const op = { before: "lt", "prior to": "lt", after: "gt", since: "gte", in: "eq" }[m[1]];
+      conditions.push({ field: "yr_built", op, value: Number(m[2]) });
+      interpretation.push(`built ${m[1]} ${m[2]}`);
+    }
+
+    // ZIP codes: bare 5-digit numbers that are not dollar amounts or acreage
+    const zips = [...new Set([...q.matchAll(/(?<![$\d,.])\b(\d{5})\b(?!\s*(?:k|m|acres?)\b)/g)].map((z) => z[1]))];
+    if (zips.length) {
+      conditions.push({ field: "situs_zip", op: "in", value: zips });
+      interpretation.push(`ZIP ${zips.join(", ")}`);
+    }
+
+    // owner / street
+    m = q.match(/owned by ([a-z0-9 &.,'-]+?)(?= (?:in|with|over|under|worth|valued|built|between)\b| $)/);
+    if (m) {
+      conditions.push({ field: "owner_name", op: "contains", value: m[1].trim() });
+      interpretation.push(`owner contains "${m[1].trim()}"`);
+    }
+    m = q.match(/\bon ([a-z0-9 ]+?) (?:st|street|rd|road|ave|avenue|dr|drive|ln|lane|blvd|boulevard)\b/);
+    if (m) {
+      conditions.push({ field: "situs_street_name", op: "contains", value: m[1].trim() });
+      interpretation.push(`street contains "${m[1].trim()}"`);
+    }
+
+    // ranking / count
+    m = q.match(/\b(?:top|first|largest|biggest|smallest|cheapest|most valuable) (\d+)\b/) ||
+      q.match(/\b(\d+) (?:largest |biggest |smallest |cheapest |most valuable )?(?:parcels|properties|lots)\b/);
+    if (m) limit = Number(m[1]);
+    if (/\b(largest|biggest)\b/.test(q)) sort = "land_acres:desc";
+    else if (/\bsmallest\b/.test(q)) sort = "land_acres:asc";
+    else if (/\b(most valuable|highest value|most expensive)\b/.test(q)) sort = `${valueField}:desc`;
+    else if (/\b(cheapest|least valuable|lowest value)\b/.test(q)) sort = `${valueField}:asc`;
+
+    return { conditions, match: "all", sort, limit, interpretation };
+  },
+};
+
+function loadCopilotProvider() {
+  const spec = process.env.COPILOT_PROVIDER || "rules";
+  if (spec === "rules") return rulesProvider;
+  try {
+    const mod = require(path.resolve(__dirname, spec));
+    if (typeof mod?.parse !== "function") throw new Error("module does not export parse()");
+    return { name: mod.name || path.basename(spec), parse: mod.parse };
+  } catch (err) {
+    console.warn(`⚠️  copilot provider "${spec}" unavailable (${err.message}); using rules`);
+    return rulesProvider;
+  }
+}
+
+/* the per-parcel shape POST /api/copilot returns; master_id is what the map highlights by */
+function toCopilotFeature(payload) {
+  return {
+    master_id: payload.master_id,
+    prop_id: payload.prop_id,
+    address: payload.address,
+    owner_name: payload.owner_name,
+    market_value: payload.market_value,
+    land_acres: payload.land_acres,
+  };
+}
+
+module.exports = { rulesProvider, loadCopilotProvider, toCopilotFeature };
@@ -0,0 +1,122 @@
+// counties.js
+/**
+ * County profiles: one deployment serves several appraisal districts, each
+ * with its own schema, tile layers, taxing units and map/branding settings.
+ * Profiles come from the file COUNTIES_CONFIG names (see counties.example.json):
+ *
+ *   {
+ *     "default": "travis",
+ *     "counties": [
+ *       {
+ *         "id": "travis",                     // URL segment: /api/travis/details/:id
+ *         "name": "Travis County",
+ *         "schema": "core",                   // tables for this county (default: DB_SCHEMA)
+ *         "layers": "layers.json",            // tile layer registry (see server.js)
+ *         "taxingUnits": "taxing_units.json",
+ *         "rollMapping": "roll-mapping.example.json", // import-roll --county default
+ *         "dataDir": "fixtures",              // DATA_SOURCE=files only
+ *         "fields": { "market_value": "market_val" }, // payload field -> property_master column
+ *         "map": { "center": [lon, lat], "zoom": 10, "bounds": [w, s, e, n] },
+ *         "branding": { "title": "...", "subtitle": "...", "accent": "#4f46e5" }
+ *       }
+ *     ]
+ *   }
+ *
+ * `fields` is for rolls that carry a value in a different column than the one
+ * toPayload() reads by default (server.js checks both names on startup).
+ * Value fields (market_value, curr_assessed_val, land_acres, ...) are read from
+ * the mapped column everywhere: filters, thematic maps, stats, history, comps
+ * and taxes. Ids, address, owner, legal description and property type feed
+ * lookups and indexed search, so they can't be remapped.
+ * File paths are relative to the config file. Without COUNTIES_CONFIG the
+ * process serves a single "default" county from DB_SCHEMA, LAYERS_CONFIG,
+ * TAXING_UNITS_CONFIG and DATA_DIR, as before profiles existed.
+ */
+const fs = require("fs");
+const path = require("path");
+const { TARGET_SCHEMA } = require("./db");
+
+const IDENT_RX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const COUNTY_ID_RX = /^[a-z][a-z0-9_-]*$/;
+// first path segments of unscoped routes; a county can't be named after one
+const RESERVED_IDS = new Set([
+  "counties", "details", "search", "parcels", "stats", "copilot", "thematic", "layers", "geojson",
+]);
+
+function envProfile() {
+  return {
+    id: "default",
+    name: "Parcels",
+    schema: TARGET_SCHEMA,
+    layers: process.env.LAYERS_CONFIG || "layers.json",
+    taxingUnits: process.env.TAXING_UNITS_CONFIG || "taxing_units.json",
+    dataDir: process.env.DATA_DIR || "fixtures",
+  };
+}
+
+function isLngLat(p) {
+  return Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+}
+
+function normalizeProfile(c, baseDir) {
+  if (!COUNTY_ID_RX.test(String(c.id)) || RESERVED_IDS.has(c.id)) {
+    throw new Error(`counties config: invalid county id "${c.id}"`);
+  }
+  const schema = c.schema ?? TARGET_SCHEMA;
+  if (!IDENT_RX.test(String(schema))) throw new Error(`counties config: invalid schema "${schema}" (county ${c.id})`);
+  const map = c.map || {};
+  if (map.center != null && !isLngLat(map.center)) throw new Error(`counties config: map.center must be [lon, lat] (county ${c.id})`);
+  if (map.bounds != null && !(Array.isArray(map.bounds) && map.bounds.length === 4 && map.bounds.every(Number.isFinite))) {
+    throw new Error(`counties config: map.bounds must be [west, south, east, north] (county ${c.id})`);
+  }
+  const fields = c.fields ?? {};
+  const validFields =
+    typeof fields === "object" && !Array.isArray(fields) && Object.entries(fields).every(([k, v]) => IDENT_RX.test(k) && IDENT_RX.test(String(v)));
+  if (!validFields) throw new Error(`counties config: fields must map payload field names to column names (county ${c.id})`);
+  const file = (p, fallback) => path.resolve(baseDir, p || fallback);
+  return {
+    id: c.id,
+    name: c.name || c.id,
+    schema,
+    layersFile: file(c.layers, "layers.json"),
+    taxingUnitsFile: file(c.taxingUnits, "taxing_units.json"),
+    rollMapping: c.rollMapping ? file(c.rollMapping) : null,
+    dataDir: file(c.dataDir, "fixtures"),
+    fields,
+    map: { center: map.center || null, zoom: Number(map.zoom ?? 10), bounds: map.bounds || null },
+    branding: { title: c.name || c.id, subtitle: "", accent: "#4f46e5", ...(c.branding || {}) },
+  };
+}
+
+/**
+ * -> { defaultId, counties: Map(id -> profile) } with paths resolved and
+ * identifiers validated.
+ */
+function loadCounties() {
+  if (!process.env.COUNTIES_CONFIG) {
+    const profile = normalizeProfile(envProfile(), __dirname);
+    return { defaultId: profile.id, counties: new Map([[profile.id, profile]]) };
+  }
+  const file = path.resolve(__dirname, process.env.COUNTIES_CONFIG);
+  if (!fs.existsSync(file)) throw new Error(`counties config not found: ${file}`);
+  const { default: defaultId, counties: list = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const counties = new Map();
+  for (const c of list) {
+    if (counties.has(c.id)) throw new Error(`counties config: duplicate county id "${c.id}"`);
+    counties.set(c.id, normalizeProfile(c, path.dirname(file)));
+  }
+  if (!counties.size) throw new Error("counties config: no counties");
+  const fallback = defaultId ?? counties.keys().next().value;
+  if (!counties.has(fallback)) throw new Error(`counties config: default county "${fallback}" isn't listed`);
+  return { defaultId: fallback, counties };
+}
+
+// --county <id> for the CLIs; the default county when omitted
+function pickCounty(id) {
+  const { defaultId, counties } = loadCounties();
+  const county = counties.get(id ?? defaultId);
+  if (!county) throw new Error(`unknown county "${id}" (known: ${[...counties.keys()].join(", ")})`);
+  return county;
+}
+
+module.exports = { loadCounties, pickCounty };
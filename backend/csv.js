@@ -0,0 +1,47 @@
+// csv.js — minimal RFC 4180 reading shared by the roll importer and the file data source
+
+// one csv record; null when a quoted field runs past the end of the text
+function parseCsvRecord(text, delimiter = ",") {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delimiter) { fields.push(field); field = ""; }
+    else field += ch;
+  }
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Whole-file parse into one object per row keyed by the header line. Empty
+ * cells come back as "" — callers decide what that means.
+ */
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let header = null;
+  let pending = "";
+  for (const line of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    pending = pending ? `${pending}\n${line}` : line;
+    const fields = parseCsvRecord(pending, delimiter);
+    if (!fields) continue;
+    pending = "";
+    if (fields.length === 1 && !fields[0].trim()) continue;
+    if (!header) {
+      header = fields.map((f) => f.trim());
+      continue;
+    }
+    rows.push(Object.fromEntries(header.map((h, i) => [h, fields[i] ?? ""])));
+  }
+  if (pending) throw new Error("unterminated quoted field");
+  return rows;
+}
+
+module.exports = { parseCsvRecord, parseCsv };
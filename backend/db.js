@@ -0,0 +1,27 @@
+// db.js
+/**
+ * Postgres connection shared by the API, the roll importer and the migration
+ * runner. Configured by the DB_* environment documented in server.js.
+ */
+require("dotenv").config();
+
+const { Pool } = require("pg");
+
+const TARGET_SCHEMA = process.env.DB_SCHEMA || "core";
+const GEOM_COLUMN = process.env.DB_GEOM_COLUMN || "geom";
+
+// `schema` goes first on the search_path, so queries name tables unqualified
+function createPool(applicationName, schema = TARGET_SCHEMA) {
+  return new Pool({
+    host: process.env.DB_HOST || "localhost",
+    port: Number(process.env.DB_PORT || 5432),
+    user: process.env.DB_USER || "postgres",
+    password: process.env.DB_PASS || "",
+    database: process.env.DB_NAME || "landscore",
+    application_name: applicationName,
+    options: `-c search_path=${schema},public`,
+    ssl: process.env.DB_SSL === "true" ? { rejectUnauthorized: false } : false,
+  });
+}
+
+module.exports = { TARGET_SCHEMA, GEOM_COLUMN, createPool };
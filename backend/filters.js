@@ -0,0 +1,163 @@
+// filters.js — whitelisted structured parcel filters -> parameterized SQL (POST /api/parcels/query, /api/copilot)
+const { fieldSql, likeEscape } = require("./repository/postgres");
+
+// restricts property rows (alias p) to the latest certified roll
+const CURRENT_ROLL_SQL = `p.prop_val_yr IS NOT DISTINCT FROM (SELECT MAX(prop_val_yr) FROM property_master)`;
+
+/**
+ * Whitelisted fields a structured parcel filter may reference. `sql(f)` fields
+ * are expressions on the property row (alias p), with `f` the county's
+ * fieldSql for value fields; `table` fields match when ANY
+ * land segment / improvement of the same roll year satisfies the condition.
+ */
+const FILTER_FIELDS = {
+  prop_id: { type: "text", sql: () => "p.prop_id::text", label: "Property ID" },
+  geo_id: { type: "text", sql: () => "p.geo_id", label: "Geo ID" },
+  prop_type_cd: { type: "text", sql: () => "p.prop_type_cd", label: "Property type" },
+  situs_address: { type: "text", sql: () => "p.situs_address", label: "Address" },
+  situs_street_name: { type: "text", sql: () => "p.situs_street_name", label: "Street" },
+  situs_city: { type: "text", sql: () => "p.situs_city", label: "City" },
+  situs_zip: { type: "text", sql: () => "p.situs_zip", label: "ZIP" },
+  owner_name: { type: "text", sql: () => "p.py_owner_name", label: "Owner" },
+  legal_desc: { type: "text", sql: () => "p.legal_desc", label: "Legal description" },
+  market_value: { type: "number", sql: (f) => f("market_value"), label: "Market value" },
+  assessed_value: {
+    type: "number",
+    sql: (f) => `COALESCE(${f("curr_assessed_val")}, ${f("assessed_val")})`,
+    label: "Assessed value",
+  },
+  land_value: { type: "number", sql: (f) => f("curr_land_val"), label: "Land value" },
+  improvement_value: { type: "number", sql: (f) => f("curr_imprv_val"), label: "Improvement value" },
+  land_acres: { type: "number", sql: (f) => `COALESCE(${f("land_acres")}, ${f("legal_acreage")})`, label: "Acres" },
+  improvement_count: {
+    type: "number",
+    sql: () => `(SELECT COUNT(*) FROM improvement_master ic
+           WHERE ic.master_id = p.master_id AND ic.prop_val_yr IS NOT DISTINCT FROM p.prop_val_yr)`,
+    label: "Improvement count",
+  },
+  land_type_cd: { type: "text", table: "land", column: "land_type_cd", label: "Land type" },
+  land_type_desc: { type: "text", table: "land", column: "land_type_desc", label: "Land type description" },
+  land_seg_acres: { type: "number", table: "land", column: "size_acres", label: "Land segment acres" },
+  yr_built: { type: "number", table: "improvement", column: "yr_built", label: "Year built" },
+  imprv_type_desc: { type: "text", table: "improvement", column: "imprv_type_desc", label: "Improvement type" },
+  imprv_det_area: { type: "number", table: "improvement", column: "imprv_det_area", label: "Improvement area (sq ft)" },
+};
+
+const FILTER_OPS = {
+  number: ["eq", "neq", "lt", "lte", "gt", "gte", "between", "in", "is_null", "not_null"],
+  text: ["eq", "neq", "in", "contains", "starts_with", "is_null", "not_null"],
+};
+
+const FILTER_TABLES = {
+  land: { table: "land_master", alias: "lf" },
+  improvement: { table: "improvement_master", alias: "if_" },
+};
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * One { field, op, value } condition -> SQL predicate. Values always travel as
+ * bind parameters appended to `params`; `fields` is the county's mapping.
+ */
+function compileCondition(cond, params, fields = {}) {
+  const def = FILTER_FIELDS[cond?.field];
+  if (!def) throw filterError(`Unknown filter field: ${cond?.field}`);
+  const op = cond.op || "eq";
+  if (!FILTER_OPS[def.type].includes(op)) throw filterError(`Operator ${op} not allowed on ${cond.field}`);
+
+  const bind = (v) => {
+    if (def.type === "number") {
+      const n = Number(v);
+      if (v === "" || v == null || !Number.isFinite(n)) throw filterError(`${cond.field} needs a numeric value`);
+      params.push(n);
+      return `$${params.length}::float8`;
+    }
+    if (v == null) throw filterError(`${cond.field} needs a value`);
+    params.push(String(v));
+    return `$${params.length}::text`;
+  };
+
+  const tbl = def.table ? FILTER_TABLES[def.table] : null;
+  const expr = tbl ? `${tbl.alias}."${def.column}"` : def.sql((field) => fieldSql(field, fields));
+  let pred;
+  switch (op) {
+    case "eq": pred = def.type === "text" ? `upper(${expr}) = upper(${bind(cond.value)})` : `${expr} = ${bind(cond.value)}`; break;
+    case "neq": pred = def.type === "text" ? `upper(${expr}) <> upper(${bind(cond.value)})` : `${expr} <> ${bind(cond.value)}`; break;
+    case "lt": pred = `${expr} < ${bind(cond.value)}`; break;
+    case "lte": pred = `${expr} <= ${bind(cond.value)}`; break;
+    case "gt": pred = `${expr} > ${bind(cond.value)}`; break;
+    case "gte": pred = `${expr} >= ${bind(cond.value)}`; break;
+    case "between": {
+      const [lo, hi] = Array.isArray(cond.value) ? cond.value : [];
+      pred = `${expr} BETWEEN ${bind(lo)} AND ${bind(hi)}`;
+      break;
+    }
+    case "in": {
+      const list = Array.isArray(cond.value) ? cond.value : String(cond.value ?? "").split(",");
+      const vals = list.map((v) => (typeof v === "string" ? v.trim() : v)).filter((v) => v !== "" && v != null);
+      if (!vals.length) throw filterError(`${cond.field} needs at least one value`);
+      pred = def.type === "text"
+        ? `upper(${expr}) IN (${vals.map((v) => `upper(${bind(v)})`).join(", ")})`
+        : `${expr} IN (${vals.map(bind).join(", ")})`;
+      break;
+    }
+    case "contains": pred = `${expr} ILIKE '%' || ${bind(likeEscape(cond.value ?? ""))} || '%'`; break;
+    case "starts_with": pred = `${expr} ILIKE ${bind(likeEscape(cond.value ?? ""))} || '%'`; break;
+    case "is_null": pred = `${expr} IS NULL`; break;
+    case "not_null": pred = `${expr} IS NOT NULL`; break;
+    default: throw filterError(`Unsupported operator ${op}`);
+  }
+
+  if (!tbl) return pred;
+  return `EXISTS (
+    SELECT 1 FROM ${tbl.table} ${tbl.alias}
+    WHERE ${tbl.alias}.master_id = p.master_id
+      AND ${tbl.alias}.prop_val_yr IS NOT DISTINCT FROM p.prop_val_yr
+      AND ${pred}
+  )`;
+}
+
+/**
+ * Structured filter -> WHERE clause over the current roll of property_master.
+ * filter: { conditions: [{ field, op, value }], match: "all" | "any" }
+ */
+function compileParcelFilter(filter, params, fields = {}) {
+  const conditions = Array.isArray(filter?.conditions) ? filter.conditions : [];
+  if (conditions.length > 25) throw filterError("Too many conditions (max 25)");
+  const joiner = filter?.match === "any" ? " OR " : " AND ";
+  const preds = conditions.map((c) => compileCondition(c, params, fields));
+  return preds.length ? `${CURRENT_ROLL_SQL} AND (${preds.join(joiner)})` : CURRENT_ROLL_SQL;
+}
+
+const SORTABLE = {
+  market_value: FILTER_FIELDS.market_value.sql,
+  assessed_value: FILTER_FIELDS.assessed_value.sql,
+  land_acres: FILTER_FIELDS.land_acres.sql,
+  prop_id: () => "p.prop_id",
+  situs_address: () => "p.situs_address",
+};
+
+function compileSort(sort, fields = {}) {
+  const [key, dir] = String(sort || "prop_id").split(":");
+  const expr = (SORTABLE[key] || SORTABLE.prop_id)((field) => fieldSql(field, fields));
+  return `${expr} ${dir === "desc" ? "DESC" : "ASC"} NULLS LAST, p.master_id`;
+}
+
+/* field catalog for filter builders: name, label, type and allowed operators */
+function filterCatalog() {
+  return Object.entries(FILTER_FIELDS).map(([name, def]) => ({
+    name,
+    label: def.label,
+    type: def.type,
+    source: def.table || "property",
+    ops: FILTER_OPS[def.type],
+  }));
+}
+
+module.exports = {
+  CURRENT_ROLL_SQL, FILTER_FIELDS, FILTER_OPS, SORTABLE, compileCondition, compileParcelFilter, compileSort, filterCatalog,
+};
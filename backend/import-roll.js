@@ -0,0 +1,435 @@
+// import-roll.js
+/**
+ * Loads an appraisal-district roll export into property_master, land_master
+ * and improvement_master.
+ *
+ *   node import-roll.js --mapping roll-mapping.json [--dir ./exports/2025]
+ *                       [--year 2025] [--dry-run] [--rejects rejects.csv]
+ *                       [--max-rejects 100] [--county travis]
+ *
+ * --county picks the county profile (counties.js) whose schema is loaded; its
+ * rollMapping is the default --mapping. Without it the default county is used.
+ *
+ * The mapping file describes one entry per table (see roll-mapping.example.json):
+ *   {
+ *     "namespace": "<uuid>",              // optional, seeds master_id generation
+ *     "tables": {
+ *       "property_master": {
+ *         "file": "PROP.TXT",              // relative to --dir or the mapping file
+ *         "format": "fixed" | "csv",
+ *         "encoding": "latin1",            // default utf8
+ *         "delimiter": ",", "header": true, // csv only
+ *         "parcelKey": "prop_id",          // mapped column identifying the parcel
+ *         "key": ["master_id", "prop_val_yr"], // upsert conflict target (unique index)
+ *         "columns": {
+ *           "prop_id": { "type": "int", "start": 1, "length": 12, "required": true },
+ *           "situs_city": { "type": "text", "source": "SITUS_CITY" },
+ *           "curr_market_val": { "type": "numeric", "start": 80, "length": 14, "scale": 2 }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Fixed-width columns use 1-based `start` + `length`; csv columns use `source`
+ * (header name, or 0-based index without a header). Types: text, int, numeric,
+ * date, bool. `scale` divides by 10^scale for implied decimals.
+ *
+ * master_id is the id already on property_master for the prop_id (its latest
+ * record, when several master records share it), otherwise a UUID v5 of the
+ * prop_id, so re-imports and the three tables always agree. `key` may name
+ * master_id; property_master's is master_id + prop_val_yr (migration 007).
+ * Everything runs in one transaction, ending with a refresh of the
+ * parcel_summary view the details lookups read and a bump of the tables' rows
+ * in data_versions (migration 006), which the API's caches key on; --dry-run
+ * rolls it back after reporting (and skips the refresh).
+ * Rows that fail validation are skipped and reported; more than --max-rejects
+ * of them aborts the import.
+ *
+ * Uses the same DB_* environment as server.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+const { createPool } = require("./db");
+const { pickCounty } = require("./counties");
+const { parseCsvRecord } = require("./csv");
+
+const IDENT_RX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TABLE_ORDER = ["property_master", "land_master", "improvement_master"];
+const DEFAULT_NAMESPACE = "6f1c3c1e-8a4b-5d2e-9a7f-0c2b4e6d8a10";
+const MAX_PARAMS = 60000; // stay under Postgres' 65535 bind parameters
+const MAX_BATCH = 500;
+const REJECTS_SHOWN = 20;
+
+/* --------------------- arguments ---------------------- */
+function parseArgs(argv) {
+  const args = { dryRun: false, maxRejects: Infinity };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "--mapping") args.mapping = next();
+    else if (a === "--dir") args.dir = next();
+    else if (a === "--year") args.year = Number(next());
+    else if (a === "--rejects") args.rejects = next();
+    else if (a === "--max-rejects") args.maxRejects = Number(next());
+    else if (a === "--county") args.county = next();
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`unknown argument ${a}`);
+  }
+  if (args.help) return args;
+  if (args.year != null && !(Number.isInteger(args.year) && args.year >= 1900 && args.year <= 2100)) {
+    throw new Error("--year must be a 4-digit roll year");
+  }
+  if (!(args.maxRejects >= 0)) throw new Error("--max-rejects must be a non-negative number");
+  return args;
+}
+
+/* ---------------------- mapping ----------------------- */
+function loadMapping(file, dir) {
+  const mapping = JSON.parse(fs.readFileSync(file, "utf8"));
+  const baseDir = dir || path.dirname(file);
+  const namespace = mapping.namespace || DEFAULT_NAMESPACE;
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(namespace)) {
+    throw new Error("mapping: namespace must be a UUID");
+  }
+
+  const entries = Object.entries(mapping.tables || {});
+  if (!entries.length) throw new Error("mapping: no tables");
+  const tables = entries.map(([table, t]) => {
+    if (!TABLE_ORDER.includes(table)) throw new Error(`mapping: unsupported table ${table}`);
+    if (!["fixed", "csv"].includes(t.format)) throw new Error(`mapping: ${table}.format must be fixed or csv`);
+    const columns = Object.entries(t.columns || {}).map(([name, c]) => ({ name, type: "text", ...c }));
+    const names = columns.map((c) => c.name);
+    const key = t.key || [];
+    const bad = [table, ...names, ...key].find((i) => !IDENT_RX.test(String(i)));
+    if (bad) throw new Error(`mapping: invalid identifier "${bad}" in ${table}`);
+    if (names.includes("master_id")) throw new Error(`mapping: ${table}.master_id is generated, don't map it`);
+    if (!names.includes(t.parcelKey)) throw new Error(`mapping: ${table}.parcelKey must name a mapped column`);
+    if (!key.length || key.some((k) => !names.includes(k) && k !== "prop_val_yr" && k !== "master_id")) {
+      throw new Error(`mapping: ${table}.key must list mapped columns`);
+    }
+    for (const c of columns) {
+      if (!TYPES[c.type]) throw new Error(`mapping: ${table}.${c.name} has unknown type ${c.type}`);
+      if (t.format === "fixed" && !(c.start >= 1 && c.length >= 1)) {
+        throw new Error(`mapping: ${table}.${c.name} needs start and length`);
+      }
+      if (t.format === "csv" && c.source == null) throw new Error(`mapping: ${table}.${c.name} needs a source`);
+    }
+    return {
+      table,
+      file: path.resolve(baseDir, t.file),
+      format: t.format,
+      encoding: t.encoding || "utf8",
+      delimiter: t.delimiter || ",",
+      header: t.header !== false,
+      parcelKey: t.parcelKey,
+      key,
+      columns,
+    };
+  });
+  tables.sort((a, b) => TABLE_ORDER.indexOf(a.table) - TABLE_ORDER.indexOf(b.table));
+  return { namespace, tables };
+}
+
+/* ----------------------- types ------------------------ */
+// each converter gets a trimmed, non-empty string and returns the value or throws
+const TYPES = {
+  text: (v) => v,
+  int: (v) => {
+    if (!/^[+-]?\d+$/.test(v)) throw new Error(`"${v}" is not an integer`);
+    return Number(v);
+  },
+  numeric: (v, col) => {
+    const s = v.replace(/[$,\s]/g, "");
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(s)) throw new Error(`"${v}" is not a number`);
+    return col.scale ? Number(s) / 10 ** col.scale : Number(s);
+  },
+  date: (v) => {
+    let m;
+    let iso = null;
+    if ((m = v.match(/^(\d{4})-(\d{2})-(\d{2})/))) iso = `${m[1]}-${m[2]}-${m[3]}`;
+    else if ((m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/))) iso = `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+    else if ((m = v.match(/^(\d{4})(\d{2})(\d{2})$/))) iso = `${m[1]}-${m[2]}-${m[3]}`;
+    const d = iso && new Date(`${iso}T00:00:00Z`);
+    if (!d || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== iso) throw new Error(`"${v}" is not a date`);
+    return iso;
+  },
+  bool: (v) => {
+    const s = v.toLowerCase();
+    if (["y", "yes", "t", "true", "1"].includes(s)) return true;
+    if (["n", "no", "f", "false", "0"].includes(s)) return false;
+    throw new Error(`"${v}" is not a boolean`);
+  },
+};
+
+/* ---------------------- reading ----------------------- */
+/**
+ * Raw string values per mapped column, one record at a time. `line` is the
+ * 1-based line the record starts on.
+ */
+async function* readRecords(spec) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(spec.file, { encoding: spec.encoding }),
+    crlfDelay: Infinity,
+  });
+  let lineNo = 0;
+
+  if (spec.format === "fixed") {
+    for await (const line of rl) {
+      lineNo++;
+      if (!line.trim()) continue;
+      const raw = {};
+      for (const c of spec.columns) raw[c.name] = line.substr(c.start - 1, c.length);
+      yield { line: lineNo, raw };
+    }
+    return;
+  }
+
+  let header = null;
+  let pending = "";
+  let startLine = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!pending) startLine = lineNo;
+    pending = pending ? `${pending}\n${line}` : line;
+    const fields = parseCsvRecord(pending, spec.delimiter);
+    if (!fields) continue;
+    pending = "";
+    if (fields.length === 1 && !fields[0].trim()) continue;
+
+    if (spec.header && !header) {
+      header = new Map(fields.map((f, i) => [f.trim(), i]));
+      const missing = spec.columns.find((c) => typeof c.source === "string" && !header.has(c.source));
+      if (missing) throw new Error(`${path.basename(spec.file)}: no column "${missing.source}" in header`);
+      continue;
+    }
+    const raw = {};
+    for (const c of spec.columns) {
+      raw[c.name] = fields[typeof c.source === "number" ? c.source : header ? header.get(c.source) : Number(c.source)];
+    }
+    yield { line: startLine, raw };
+  }
+  if (pending) throw new Error(`${path.basename(spec.file)}: unterminated quoted field starting on line ${startLine}`);
+}
+
+/* --------------------- validation --------------------- */
+function toRow(spec, raw, year) {
+  const row = {};
+  for (const c of spec.columns) {
+    const v = raw[c.name] == null ? "" : String(raw[c.name]).trim();
+    if (v === "") {
+      if (c.required) throw new Error(`${c.name} is required`);
+      row[c.name] = null;
+      continue;
+    }
+    try {
+      row[c.name] = TYPES[c.type](v, c);
+    } catch (err) {
+      throw new Error(`${c.name}: ${err.message}`);
+    }
+  }
+  if (year != null && row.prop_val_yr == null) row.prop_val_yr = year;
+  if (row[spec.parcelKey] == null) throw new Error(`${spec.parcelKey} is required`);
+  for (const k of spec.key) {
+    if (k !== "master_id" && row[k] == null) throw new Error(`${k} is required (upsert key)`);
+  }
+  return row;
+}
+
+// RFC 4122 name-based (SHA-1) UUID
+function uuidV5(name, namespace) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(Buffer.from(namespace.replace(/-/g, ""), "hex"))
+    .update(String(name), "utf8")
+    .digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const h = hash.subarray(0, 16).toString("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+/* ---------------------- writing ----------------------- */
+async function existingMasterIds(client) {
+  const r = await client.query(`
+    SELECT DISTINCT ON (prop_id) prop_id::text AS prop_id, master_id::text AS master_id
+    FROM property_master
+    WHERE prop_id IS NOT NULL
+    ORDER BY prop_id, prop_val_yr DESC NULLS LAST
+  `);
+  return new Map(r.rows.map((row) => [row.prop_id, row.master_id]));
+}
+
+async function upsertBatch(client, table, columns, key, rows) {
+  const params = [];
+  const values = rows.map((row) => `(${columns.map((c) => {
+    params.push(row[c]);
+    return `$${params.length}`;
+  }).join(", ")})`);
+  const updates = columns.filter((c) => !key.includes(c)).map((c) => `"${c}" = EXCLUDED."${c}"`);
+  const q = `
+    INSERT INTO "${table}" (${columns.map((c) => `"${c}"`).join(", ")})
+    VALUES ${values.join(",\n")}
+    ON CONFLICT (${key.map((k) => `"${k}"`).join(", ")})
+    ${updates.length ? `DO UPDATE SET ${updates.join(", ")}` : "DO NOTHING"}
+    RETURNING (xmax = 0) AS inserted
+  `;
+  const r = await client.query(q, params);
+  const inserted = r.rows.filter((x) => x.inserted).length;
+  return { inserted, updated: r.rows.length - inserted };
+}
+
+/**
+ * Reads, validates and upserts one table. Parcels get their master_id from
+ * `masterIds` (prop_id -> uuid); property_master rows add new parcels to it,
+ * land/improvement rows for a parcel that isn't there are rejected.
+ */
+async function importTable(client, spec, { namespace, year, masterIds, rejects, maxRejects }) {
+  const stats = { table: spec.table, file: path.basename(spec.file), read: 0, inserted: 0, updated: 0, rejected: 0 };
+  const isProperty = spec.table === "property_master";
+  const columns = ["master_id", ...spec.columns.map((c) => c.name)];
+  if (year != null && !columns.includes("prop_val_yr")) columns.push("prop_val_yr");
+  const batchSize = Math.max(1, Math.min(MAX_BATCH, Math.floor(MAX_PARAMS / columns.length)));
+
+  let batch = [];
+  let batchKeys = new Set();
+  const flush = async () => {
+    if (!batch.length) return;
+    const { inserted, updated } = await upsertBatch(client, spec.table, columns, spec.key, batch);
+    stats.inserted += inserted;
+    stats.updated += updated;
+    batch = [];
+    batchKeys = new Set();
+  };
+
+  for await (const { line, raw } of readRecords(spec)) {
+    stats.read++;
+    let row;
+    try {
+      row = toRow(spec, raw, year);
+      const parcel = String(row[spec.parcelKey]);
+      let masterId = masterIds.get(parcel);
+      if (!masterId) {
+        if (!isProperty) throw new Error(`no property_master row for ${spec.parcelKey} ${parcel}`);
+        masterId = uuidV5(parcel, namespace);
+        masterIds.set(parcel, masterId);
+      }
+      row.master_id = masterId;
+    } catch (err) {
+      stats.rejected++;
+      rejects.push({ table: spec.table, file: stats.file, line, reason: err.message });
+      if (rejects.length > maxRejects) throw new Error(`more than ${maxRejects} rejected rows, aborting`);
+      continue;
+    }
+
+    // the same key twice in one INSERT ... ON CONFLICT is an error; let the later row win in the next batch
+    const k = spec.key.map((c) => row[c]).join("\u0000");
+    if (batchKeys.has(k)) await flush();
+    batchKeys.add(k);
+    batch.push(row);
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+  return stats;
+}
+
+/* ---------------------- report ------------------------ */
+function printReport(results, rejects, dryRun) {
+  const fmt = (n) => n.toLocaleString();
+  console.log("");
+  console.table(results.map((s) => ({
+    table: s.table,
+    file: s.file,
+    read: fmt(s.read),
+    inserted: fmt(s.inserted),
+    updated: fmt(s.updated),
+    rejected: fmt(s.rejected),
+  })));
+  if (rejects.length) {
+    console.log(`\n${rejects.length} rejected row(s)${rejects.length > REJECTS_SHOWN ? `, first ${REJECTS_SHOWN}` : ""}:`);
+    for (const r of rejects.slice(0, REJECTS_SHOWN)) console.log(`  ${r.file}:${r.line}  ${r.reason}`);
+  }
+  console.log(dryRun ? "\nDry run: rolled back, nothing was written." : "\nCommitted.");
+}
+
+function writeRejects(file, rejects) {
+  const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const lines = [["table", "file", "line", "reason"], ...rejects.map((r) => [r.table, r.file, r.line, r.reason])];
+  fs.writeFileSync(file, lines.map((l) => l.map(esc).join(",")).join("\n") + "\n");
+  console.log(`Rejects written to ${file}`);
+}
+
+/* ----------------------- main ------------------------- */
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`import-roll: ${err.message}\nRun with --help for usage.`);
+    process.exit(2);
+  }
+  if (args.help) {
+    console.log(fs.readFileSync(__filename, "utf8").match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ""));
+    return;
+  }
+
+  const county = pickCounty(args.county);
+  const mappingFile = args.mapping ? path.resolve(args.mapping) : county.rollMapping;
+  if (!mappingFile) throw new Error(`--mapping is required (county ${county.id} has no rollMapping)`);
+  const mapping = loadMapping(mappingFile, args.dir && path.resolve(args.dir));
+  for (const t of mapping.tables) {
+    if (!fs.existsSync(t.file)) throw new Error(`${t.table}: file not found: ${t.file}`);
+    if (args.year == null && t.key.includes("prop_val_yr") && !t.columns.some((c) => c.name === "prop_val_yr")) {
+      throw new Error(`${t.table}: prop_val_yr isn't mapped, pass --year`);
+    }
+  }
+
+  console.log(`County ${county.id} (schema ${county.schema})`);
+  const pool = createPool("parcel-roll-import", county.schema);
+  const client = await pool.connect();
+  const rejects = [];
+  const results = [];
+  try {
+    await client.query("BEGIN");
+    const masterIds = await existingMasterIds(client);
+    for (const spec of mapping.tables) {
+      console.log(`⏳ ${spec.table} ← ${path.basename(spec.file)}`);
+      results.push(await importTable(client, spec, {
+        namespace: mapping.namespace,
+        year: args.year,
+        masterIds,
+        rejects,
+        maxRejects: args.maxRejects,
+      }));
+    }
+    if (!args.dryRun) {
+      console.log("⏳ parcel_summary refresh");
+      await client.query("REFRESH MATERIALIZED VIEW CONCURRENTLY parcel_summary");
+      await client.query(
+        `INSERT INTO data_versions (name, version)
+         SELECT unnest($1::text[]), 1
+         ON CONFLICT (name) DO UPDATE SET version = data_versions.version + 1, updated_at = now()`,
+        [[...new Set([...mapping.tables.map((spec) => spec.table), "parcel_summary"])]]
+      );
+    }
+    await client.query(args.dryRun ? "ROLLBACK" : "COMMIT");
+    printReport(results, rejects, args.dryRun);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    if (args.rejects && rejects.length) writeRejects(args.rejects, rejects);
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ import failed, nothing was written: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,227 @@
+// migrate.js
+/**
+ * Versioned schema migrations for a county schema (counties.js; the default
+ * county's, normally DB_SCHEMA / core, unless --county is given).
+ *
+ *   node migrate.js status [--county id]
+ *   node migrate.js up [version] [--county id]   apply pending migrations (up to `version`)
+ *   node migrate.js down [steps] [--county id]   revert the last `steps` migrations (default 1)
+ *
+ * Migrations live in ./migrations as NNN_name.sql or NNN_name.js, applied in
+ * version order, each in its own transaction with search_path set to the
+ * target schema. SQL files hold both directions:
+ *
+ *   -- migrate:up
+ *   CREATE TABLE ...;
+ *   -- migrate:down
+ *   DROP TABLE ...;
+ *
+ * JS files export async up(client, ctx) / down(client, ctx), where ctx is
+ * { schema, geomColumn } for DDL that depends on configuration. Applied
+ * versions are tracked in <schema>.schema_migrations.
+ *
+ * server.js calls assertSchemaCurrent() for every county on startup and
+ * refuses to serve while migrations are pending.
+ */
+const fs = require("fs");
+const path = require("path");
+const { TARGET_SCHEMA, GEOM_COLUMN, createPool } = require("./db");
+const { pickCounty } = require("./counties");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RX = /^(\d+)_([A-Za-z0-9_]+)\.(sql|js)$/;
+const LOCK_KEY = 7305417; // pg_advisory_lock id: one migrator at a time
+
+const quoteSchema = (schema) => `"${schema.replace(/"/g, '""')}"`;
+
+// split a .sql migration into its up/down halves
+function parseSqlMigration(text, file) {
+  const upAt = text.search(/^[ \t]*--[ \t]*migrate:up[ \t]*$/m);
+  if (upAt < 0) throw new Error(`${file}: missing "-- migrate:up" marker`);
+  const downAt = text.search(/^[ \t]*--[ \t]*migrate:down[ \t]*$/m);
+  const hasDown = downAt > upAt;
+  const up = text.slice(upAt, hasDown ? downAt : undefined).replace(/^.*$/m, "").trim();
+  const down = hasDown ? text.slice(downAt).replace(/^.*$/m, "").trim() : "";
+  return {
+    up: (client) => client.query(up),
+    down: down ? (client) => client.query(down) : null,
+  };
+}
+
+function loadMigrations() {
+  const seen = new Map();
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => FILE_RX.test(f))
+    .map((file) => {
+      const [, num, name, ext] = file.match(FILE_RX);
+      const version = Number(num);
+      if (seen.has(version)) throw new Error(`migrations: version ${version} used by ${seen.get(version)} and ${file}`);
+      seen.set(version, file);
+      const full = path.join(MIGRATIONS_DIR, file);
+      const steps = ext === "sql" ? parseSqlMigration(fs.readFileSync(full, "utf8"), file) : require(full);
+      if (typeof steps.up !== "function") throw new Error(`${file}: no up() migration`);
+      return { version, name, file, up: steps.up, down: typeof steps.down === "function" ? steps.down : null };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureTrackingTable(client, schema) {
+  await client.query(`CREATE SCHEMA IF NOT EXISTS ${quoteSchema(schema)}`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${quoteSchema(schema)}.schema_migrations (
+      version    integer PRIMARY KEY,
+      name       text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function appliedVersions(client, schema) {
+  const exists = await client.query("SELECT to_regclass($1) IS NOT NULL AS ok", [`${quoteSchema(schema)}.schema_migrations`]);
+  if (!exists.rows[0].ok) return new Map();
+  const r = await client.query(`SELECT version, name, applied_at FROM ${quoteSchema(schema)}.schema_migrations ORDER BY version`);
+  return new Map(r.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Migration files next to what the database has applied. `pending` are files
+ * not yet applied; `unknown` are applied versions with no file (the database
+ * is ahead of this checkout).
+ */
+async function schemaStatus(pool, schema = TARGET_SCHEMA) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    const applied = await appliedVersions(client, schema);
+    const known = new Set(migrations.map((m) => m.version));
+    return {
+      migrations: migrations.map((m) => ({ ...m, applied_at: applied.get(m.version)?.applied_at ?? null })),
+      pending: migrations.filter((m) => !applied.has(m.version)),
+      unknown: [...applied.values()].filter((a) => !known.has(a.version)),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// throws when the schema is behind the migration files
+async function assertSchemaCurrent(pool, schema = TARGET_SCHEMA) {
+  const { pending, unknown } = await schemaStatus(pool, schema);
+  if (unknown.length) {
+    console.warn(`⚠️  schema ${schema} has migrations this checkout doesn't know: ${unknown.map((u) => u.version).join(", ")}`);
+  }
+  if (pending.length) {
+    throw new Error(
+      `schema ${schema} is behind: ${pending.length} pending migration(s) (${pending.map((m) => m.file).join(", ")}). ` +
+        "Run `npm run migrate up` (or set SKIP_SCHEMA_CHECK=true)."
+    );
+  }
+}
+
+async function runStep(client, migration, direction, schema) {
+  const ctx = { schema, geomColumn: GEOM_COLUMN };
+  await client.query("BEGIN");
+  try {
+    await client.query(`SET LOCAL search_path TO ${quoteSchema(schema)}, public`);
+    await migration[direction](client, ctx);
+    if (direction === "up") {
+      await client.query(`INSERT INTO ${quoteSchema(schema)}.schema_migrations (version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+    } else {
+      await client.query(`DELETE FROM ${quoteSchema(schema)}.schema_migrations WHERE version = $1`, [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw new Error(`${migration.file} (${direction}) failed: ${err.message}`);
+  }
+}
+
+async function withLock(pool, schema, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    try {
+      await ensureTrackingTable(client, schema);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function migrateUp(pool, target = Infinity, schema = TARGET_SCHEMA) {
+  const migrations = loadMigrations();
+  return withLock(pool, schema, async (client) => {
+    const applied = await appliedVersions(client, schema);
+    const todo = migrations.filter((m) => !applied.has(m.version) && m.version <= target);
+    for (const m of todo) {
+      console.log(`⬆️  ${m.file}`);
+      await runStep(client, m, "up", schema);
+    }
+    return todo;
+  });
+}
+
+async function migrateDown(pool, steps = 1, schema = TARGET_SCHEMA) {
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  return withLock(pool, schema, async (client) => {
+    const applied = [...(await appliedVersions(client, schema)).keys()].sort((a, b) => b - a).slice(0, steps);
+    const done = [];
+    for (const version of applied) {
+      const m = migrations.get(version);
+      if (!m) throw new Error(`no migration file for applied version ${version}`);
+      if (!m.down) throw new Error(`${m.file} can't be reverted (no down migration)`);
+      console.log(`⬇️  ${m.file}`);
+      await runStep(client, m, "down", schema);
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+/* ------------------------- cli ------------------------ */
+async function main() {
+  const argv = process.argv.slice(2);
+  const at = argv.indexOf("--county");
+  const countyId = at >= 0 ? argv.splice(at, 2)[1] : undefined;
+  if (at >= 0 && !countyId) throw new Error("--county needs a value");
+  const { schema } = pickCounty(countyId);
+  const [command = "status", arg] = argv;
+  const pool = createPool("parcel-migrate", schema);
+  try {
+    if (command === "status") {
+      const { migrations, pending, unknown } = await schemaStatus(pool, schema);
+      for (const m of migrations) {
+        console.log(`${m.applied_at ? "✔" : "·"} ${m.file}${m.applied_at ? `  (${new Date(m.applied_at).toISOString()})` : "  pending"}`);
+      }
+      for (const u of unknown) console.log(`? ${u.version}_${u.name}  (applied, no file)`);
+      console.log(`\nschema ${schema}: ${pending.length ? `${pending.length} pending` : "up to date"}`);
+    } else if (command === "up") {
+      const target = arg == null ? Infinity : Number(arg);
+      if (!Number.isInteger(target) && target !== Infinity) throw new Error("up takes a migration version number");
+      const done = await migrateUp(pool, target, schema);
+      console.log(done.length ? `✅ applied ${done.length} migration(s)` : "✅ nothing to apply");
+    } else if (command === "down") {
+      const steps = arg == null ? 1 : Number(arg);
+      if (!(Number.isInteger(steps) && steps > 0)) throw new Error("down takes a positive number of steps");
+      const done = await migrateDown(pool, steps, schema);
+      console.log(done.length ? `✅ reverted ${done.length} migration(s)` : "✅ nothing to revert");
+    } else {
+      throw new Error(`unknown command "${command}" (use status, up or down)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadMigrations, schemaStatus, assertSchemaCurrent, migrateUp, migrateDown };
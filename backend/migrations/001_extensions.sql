@@ -0,0 +1,9 @@
+-- migrate:up
+-- PostGIS for parcel/overlay geometry, pg_trgm for the search and filter ILIKEs.
+-- Installed in public, which every county's search_path includes.
+CREATE EXTENSION IF NOT EXISTS postgis WITH SCHEMA public;
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+
+-- migrate:down
+-- extensions are database-wide and may be used by other schemas; leave them installed
+SELECT 1;
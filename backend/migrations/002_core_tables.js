@@ -0,0 +1,82 @@
+// 002_core_tables.js — the three roll tables server.js and import-roll.js read and write.
+// IF NOT EXISTS lets databases that were set up by hand adopt the migrations.
+
+exports.up = async (client, { geomColumn }) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS property_master (
+      master_id          uuid NOT NULL,
+      prop_id            bigint NOT NULL,
+      prop_val_yr        integer NOT NULL,
+      prop_type_cd       text,
+      geo_id             text,
+      block              text,
+      tract_or_lot       text,
+      legal_desc         text,
+      legal_loc_desc     text,
+      legal_acreage      numeric(14, 4),
+      land_acres         numeric(14, 4),
+
+      situs_address      text,
+      situs_street_num   text,
+      situs_street_name  text,
+      situs_city         text,
+      situs_zip          text,
+
+      py_owner_name      text,
+      py_addr_line1      text,
+      py_addr_line2      text,
+      py_addr_city       text,
+      py_addr_state      text,
+      py_addr_zip        text,
+
+      curr_market_val    numeric(14, 2),
+      curr_assessed_val  numeric(14, 2),
+      curr_land_val      numeric(14, 2),
+      curr_imprv_val     numeric(14, 2),
+      market_val         numeric(14, 2),
+      assessed_val       numeric(14, 2),
+
+      "${geomColumn}"    geometry(Geometry, 4326),
+
+      CONSTRAINT property_master_prop_year_key UNIQUE (prop_id, prop_val_yr)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS land_master (
+      master_id          uuid NOT NULL,
+      prop_id            bigint,
+      prop_val_yr        integer NOT NULL,
+      land_seg_id        bigint NOT NULL,
+      land_type_cd       text,
+      land_type_desc     text,
+      size_acres         numeric(14, 4),
+      land_area_factor   numeric(10, 4),
+      land_seg_mkt_val   numeric(14, 2),
+      land_val           numeric(14, 2),
+
+      CONSTRAINT land_master_seg_year_key UNIQUE (land_seg_id, prop_val_yr)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS improvement_master (
+      master_id          uuid NOT NULL,
+      prop_num           bigint,
+      prop_val_yr        integer NOT NULL,
+      improvement_id     bigint NOT NULL,
+      imprv_type_desc    text,
+      imprv_val          numeric(14, 2),
+      yr_built           integer,
+      imprv_det_area     numeric(14, 2),
+
+      CONSTRAINT improvement_master_imprv_year_key UNIQUE (improvement_id, prop_val_yr)
+    )
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS improvement_master");
+  await client.query("DROP TABLE IF EXISTS land_master");
+  await client.query("DROP TABLE IF EXISTS property_master");
+};
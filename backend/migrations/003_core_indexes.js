@@ -0,0 +1,29 @@
+// 003_core_indexes.js — indexes behind the details, spatial, search and portfolio queries
+
+const indexes = (geomColumn) => [
+  // spatial selection, tiles, buffers, comps
+  ["property_master_geom_idx", `property_master USING gist ("${geomColumn}")`],
+  // latest roll per parcel: DISTINCT ON (master_id) ... ORDER BY prop_val_yr DESC
+  ["property_master_master_year_idx", "property_master (master_id, prop_val_yr DESC)"],
+  ["property_master_year_idx", "property_master (prop_val_yr)"],
+  // owner portfolio matches on the normalized owner name
+  ["property_master_owner_idx", "property_master (upper(btrim(py_owner_name)))"],
+  // typeahead / filter ILIKE '%…%'
+  ["property_master_situs_trgm_idx", "property_master USING gin (situs_address gin_trgm_ops)"],
+  ["property_master_owner_trgm_idx", "property_master USING gin (py_owner_name gin_trgm_ops)"],
+  ["property_master_geo_id_idx", "property_master (geo_id)"],
+  ["land_master_master_year_idx", "land_master (master_id, prop_val_yr)"],
+  ["improvement_master_master_year_idx", "improvement_master (master_id, prop_val_yr)"],
+];
+
+exports.up = async (client, { geomColumn }) => {
+  for (const [name, def] of indexes(geomColumn)) {
+    await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${def}`);
+  }
+};
+
+exports.down = async (client, { geomColumn }) => {
+  for (const [name] of indexes(geomColumn).reverse()) {
+    await client.query(`DROP INDEX IF EXISTS ${name}`);
+  }
+};
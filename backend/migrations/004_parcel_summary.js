@@ -0,0 +1,148 @@
+// 004_parcel_summary.js — one precomputed row per parcel and roll year behind
+// GET /api/details/:id: the payload fields, point-on-surface, bbox and the
+// land/improvement lists, so a lookup is a single index read instead of three
+// EXISTS probes and two jsonb_agg passes. import-roll.js refreshes it after
+// every import; after editing the roll tables by hand run
+//   REFRESH MATERIALIZED VIEW CONCURRENTLY parcel_summary;
+
+exports.up = async (client, { geomColumn }) => {
+  const g = `p."${geomColumn}"`;
+  await client.query(`
+    CREATE MATERIALIZED VIEW IF NOT EXISTS parcel_summary AS
+    WITH parcel_years AS (
+      SELECT master_id, prop_val_yr FROM property_master
+      UNION
+      SELECT master_id, prop_val_yr FROM land_master
+      UNION
+      SELECT master_id, prop_val_yr FROM improvement_master
+    ),
+    prop AS (
+      SELECT DISTINCT ON (p.master_id, p.prop_val_yr)
+        p.master_id,
+        p.prop_val_yr,
+        p.prop_id,
+        p.legal_desc,
+        p.legal_loc_desc,
+        p.legal_acreage,
+        p.curr_assessed_val,
+        p.curr_land_val,
+        p.curr_imprv_val,
+        p.market_val,
+        p.assessed_val,
+        p.situs_address,
+        p.situs_street_num,
+        p.situs_street_name,
+        p.situs_city,
+        p.situs_zip,
+        p.prop_type_cd,
+        p.geo_id,
+        p.block,
+        p.tract_or_lot,
+        p.land_acres,
+        p.curr_market_val,
+        p.py_owner_name,
+        p.py_addr_line1,
+        p.py_addr_line2,
+        p.py_addr_city,
+        p.py_addr_state,
+        p.py_addr_zip,
+        ST_X(ST_PointOnSurface(${g})) AS lon,
+        ST_Y(ST_PointOnSurface(${g})) AS lat,
+        CASE WHEN ${g} IS NULL THEN NULL ELSE
+          ARRAY[ST_XMin(${g}), ST_YMin(${g}), ST_XMax(${g}), ST_YMax(${g})]::float8[]
+        END AS bbox
+      FROM property_master p
+      ORDER BY p.master_id, p.prop_val_yr, p.prop_id
+    ),
+    land AS (
+      SELECT
+        lm.master_id,
+        lm.prop_val_yr,
+        COUNT(*)::int AS land_segments,
+        COALESCE(SUM(lm.size_acres), 0)::float AS area_acres,
+        jsonb_agg(
+          jsonb_build_object(
+            'land_seg_id', lm.land_seg_id,
+            'land_type_cd', lm.land_type_cd,
+            'land_type_desc', lm.land_type_desc,
+            'size_acres', lm.size_acres,
+            'land_area_factor', lm.land_area_factor,
+            'land_seg_mkt_val', lm.land_seg_mkt_val,
+            'land_val', lm.land_val,
+            'prop_val_yr', lm.prop_val_yr
+          )
+          ORDER BY lm.land_seg_id
+        ) AS land_segments_list
+      FROM land_master lm
+      GROUP BY lm.master_id, lm.prop_val_yr
+    ),
+    impr AS (
+      SELECT
+        im.master_id,
+        im.prop_val_yr,
+        COUNT(*)::int AS improvements,
+        jsonb_agg(
+          jsonb_build_object(
+            'improvement_id', im.improvement_id,
+            'imprv_type_desc', im.imprv_type_desc,
+            'imprv_val', im.imprv_val,
+            'yr_built', im.yr_built,
+            'imprv_det_area', im.imprv_det_area,
+            'prop_num', im.prop_num
+          )
+          ORDER BY im.improvement_id
+        ) AS improvements_list
+      FROM improvement_master im
+      GROUP BY im.master_id, im.prop_val_yr
+    )
+    SELECT
+      k.master_id,
+      k.prop_val_yr,
+      prop.master_id IS NOT NULL AS on_roll,
+      prop.prop_id,
+      prop.legal_desc,
+      prop.legal_loc_desc,
+      prop.legal_acreage,
+      prop.curr_assessed_val,
+      prop.curr_land_val,
+      prop.curr_imprv_val,
+      prop.market_val,
+      prop.assessed_val,
+      prop.situs_address,
+      prop.situs_street_num,
+      prop.situs_street_name,
+      prop.situs_city,
+      prop.situs_zip,
+      prop.prop_type_cd,
+      prop.geo_id,
+      prop.block,
+      prop.tract_or_lot,
+      prop.land_acres,
+      prop.curr_market_val,
+      prop.py_owner_name,
+      prop.py_addr_line1,
+      prop.py_addr_line2,
+      prop.py_addr_city,
+      prop.py_addr_state,
+      prop.py_addr_zip,
+      prop.lon,
+      prop.lat,
+      prop.bbox,
+      COALESCE(land.land_segments, 0) AS land_segments,
+      COALESCE(land.area_acres, 0) AS area_acres,
+      COALESCE(land.land_segments_list, '[]'::jsonb) AS land_segments_list,
+      COALESCE(impr.improvements, 0) AS improvements,
+      COALESCE(impr.improvements_list, '[]'::jsonb) AS improvements_list
+    FROM parcel_years k
+    LEFT JOIN prop USING (master_id, prop_val_yr)
+    LEFT JOIN land USING (master_id, prop_val_yr)
+    LEFT JOIN impr USING (master_id, prop_val_yr)
+  `);
+  // the unique index is what REFRESH ... CONCURRENTLY needs
+  await client.query("CREATE UNIQUE INDEX IF NOT EXISTS parcel_summary_master_year_key ON parcel_summary (master_id, prop_val_yr)");
+  await client.query("CREATE INDEX IF NOT EXISTS parcel_summary_prop_id_idx ON parcel_summary (prop_id, prop_val_yr DESC)");
+};
+
+exports.down = async (client) => {
+  await client.query("DROP MATERIALIZED VIEW IF EXISTS parcel_summary");
+};
@@ -0,0 +1,12 @@
+-- migrate:up
+-- The rest of GET /api/search: trigram matching on legal descriptions
+-- (subdivision names), geo_id prefixes and exact ZIPs. Address and owner use
+-- the trigram indexes from 003.
+CREATE INDEX IF NOT EXISTS property_master_legal_trgm_idx ON property_master USING gin (legal_desc gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS property_master_geo_id_prefix_idx ON property_master (geo_id text_pattern_ops);
+CREATE INDEX IF NOT EXISTS property_master_zip_idx ON property_master (situs_zip);
+
+-- migrate:down
+DROP INDEX IF EXISTS property_master_zip_idx;
+DROP INDEX IF EXISTS property_master_geo_id_prefix_idx;
+DROP INDEX IF EXISTS property_master_legal_trgm_idx;
@@ -0,0 +1,15 @@
+-- migrate:up
+-- Change counters for the API's caches, one row per table. Writers bump a row
+-- in the same transaction as their change, so the new version is visible
+-- exactly when the data is; import-roll.js does it for the roll tables and
+-- parcel_summary. Anything else that rewrites a table the API serves runs:
+--   INSERT INTO data_versions (name, version) VALUES ('<table>', 1)
+--   ON CONFLICT (name) DO UPDATE SET version = data_versions.version + 1, updated_at = now();
+CREATE TABLE IF NOT EXISTS data_versions (
+  name        text PRIMARY KEY,
+  version     bigint NOT NULL DEFAULT 0,
+  updated_at  timestamptz NOT NULL DEFAULT now()
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS data_versions;
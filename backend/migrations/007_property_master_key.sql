@@ -0,0 +1,14 @@
+-- migrate:up
+-- property_master is keyed on the master record and roll year, so several
+-- master records can share a prop_id (splits, multi-owner records: the
+-- ambiguous-candidate lookups). import-roll upserts ON CONFLICT on this key;
+-- it's a unique index rather than a constraint so tables set up by hand,
+-- which 002 leaves alone, get it too.
+ALTER TABLE property_master DROP CONSTRAINT IF EXISTS property_master_prop_year_key;
+CREATE UNIQUE INDEX IF NOT EXISTS property_master_master_year_key ON property_master (master_id, prop_val_yr);
+CREATE INDEX IF NOT EXISTS property_master_prop_id_idx ON property_master (prop_id, prop_val_yr);
+
+-- migrate:down
+DROP INDEX IF EXISTS property_master_prop_id_idx;
+DROP INDEX IF EXISTS property_master_master_year_key;
+ALTER TABLE property_master ADD CONSTRAINT property_master_prop_year_key UNIQUE (prop_id, prop_val_yr);
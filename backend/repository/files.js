@@ -0,0 +1,566 @@
+// repository/files.js — parcel details from CSV/GeoJSON fixtures held in memory (no database)
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("../csv");
+const { FIELD_COLUMNS } = require("./postgres");
+
+/**
+ * Column types of the tables created by migrations/002_core_tables.js. Values
+ * are coerced to what node-postgres hands back for them (bigint and numeric
+ * as strings, integer as numbers) so rows look exactly like the Postgres
+ * repository's. Numbers are numeric scales; anything unlisted is text.
+ */
+const PROPERTY_TYPES = {
+  master_id: "uuid",
+  prop_id: "bigint",
+  prop_val_yr: "int",
+  legal_acreage: 4,
+  land_acres: 4,
+  curr_market_val: 2,
+  curr_assessed_val: 2,
+  curr_land_val: 2,
+  curr_imprv_val: 2,
+  market_val: 2,
+  assessed_val: 2,
+};
+const PROPERTY_COLUMNS = [
+  "master_id", "prop_id", "legal_desc", "legal_loc_desc", "legal_acreage", "curr_assessed_val", "curr_land_val",
+  "curr_imprv_val", "market_val", "assessed_val", "situs_address", "situs_street_num", "situs_street_name",
+  "situs_city", "situs_zip", "prop_type_cd", "geo_id", "block", "tract_or_lot", "land_acres", "curr_market_val",
+  "prop_val_yr", "py_owner_name", "py_addr_line1", "py_addr_line2", "py_addr_city", "py_addr_state", "py_addr_zip",
+];
+const LAND_TYPES = {
+  master_id: "uuid",
+  prop_id: "bigint",
+  prop_val_yr: "int",
+  land_seg_id: "bigint",
+  size_acres: 4,
+  land_area_factor: 4,
+  land_seg_mkt_val: 2,
+  land_val: 2,
+};
+const LAND_LIST_FIELDS = ["land_seg_id", "land_type_cd", "land_type_desc", "size_acres", "land_area_factor", "land_seg_mkt_val", "land_val", "prop_val_yr"];
+const IMPROVEMENT_TYPES = {
+  master_id: "uuid",
+  prop_num: "bigint",
+  prop_val_yr: "int",
+  improvement_id: "bigint",
+  imprv_val: 2,
+  yr_built: "int",
+  imprv_det_area: 2,
+};
+const IMPROVEMENT_LIST_FIELDS = ["improvement_id", "imprv_type_desc", "imprv_val", "yr_built", "imprv_det_area", "prop_num"];
+
+const isBlank = (v) => v == null || (typeof v === "string" && v.trim() === "");
+
+// column value as node-postgres returns it
+function toColumn(v, type) {
+  if (isBlank(v)) return null;
+  if (type === "int") return Number.parseInt(v, 10);
+  if (type === "bigint") return BigInt(String(v).trim()).toString();
+  if (type === "uuid") return String(v).trim().toLowerCase();
+  if (typeof type === "number") return Number(v).toFixed(type);
+  return String(v);
+}
+
+// column value as it comes out of jsonb_build_object (numbers stay numbers)
+function toJsonb(v, type) {
+  if (isBlank(v)) return null;
+  if (type && type !== "uuid") return Number(v);
+  return String(v);
+}
+
+// jsonb prints object keys shortest first, then bytewise
+function jsonbObject(entries) {
+  return Object.fromEntries([...entries].sort(([a], [b]) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+function coerceRow(raw, types) {
+  const row = { ...raw };
+  for (const [k, type] of Object.entries(types)) row[k] = toColumn(raw[k], type);
+  return row;
+}
+
+/* --------------------- geometry ----------------------- */
+function rings(geom) {
+  if (!geom) return [];
+  if (geom.type === "Polygon") return [geom.coordinates];
+  if (geom.type === "MultiPolygon") return geom.coordinates;
+  return [];
+}
+
+function allPositions(geom) {
+  if (!geom) return [];
+  const flat = (c) => (typeof c[0] === "number" ? [c] : c.flatMap(flat));
+  return geom.type === "GeometryCollection" ? geom.geometries.flatMap(allPositions) : flat(geom.coordinates);
+}
+
+function geometryBBox(geom) {
+  const pts = allPositions(geom);
+  if (!pts.length) return null;
+  let [w, s, e, n] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of pts) {
+    if (x < w) w = x;
+    if (y < s) s = y;
+    if (x > e) e = x;
+    if (y > n) n = y;
+  }
+  return [w, s, e, n];
+}
+
+/**
+ * Interior point of a (multi)polygon the way ST_PointOnSurface finds it: cut
+ * each polygon with a horizontal line that avoids its vertices and take the
+ * middle of the widest inside section. Other geometries use their first vertex.
+ */
+function pointOnSurface(geom) {
+  let best = null;
+  for (const polygon of rings(geom)) {
+    const [, minY, , maxY] = geometryBBox({ type: "Polygon", coordinates: polygon });
+    const centreY = (minY + maxY) / 2;
+    let lo = minY;
+    let hi = maxY;
+    for (const ring of polygon) {
+      for (const [, y] of ring) {
+        if (y <= centreY && y > lo) lo = y;
+        else if (y > centreY && y < hi) hi = y;
+      }
+    }
+    const scanY = (lo + hi) / 2;
+
+    const xs = [];
+    for (const ring of polygon) {
+      for (let i = 1; i < ring.length; i++) {
+        const [x0, y0] = ring[i - 1];
+        const [x1, y1] = ring[i];
+        if ((y0 > scanY) !== (y1 > scanY)) xs.push(x0 + ((scanY - y0) / (y1 - y0)) * (x1 - x0));
+      }
+    }
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      const width = xs[i + 1] - xs[i];
+      if (!best || width > best.width) best = { width, point: [(xs[i] + xs[i + 1]) / 2, scanY] };
+    }
+  }
+  if (best) return best.point;
+  const first = allPositions(geom)[0];
+  return first ? [first[0], first[1]] : null;
+}
+
+// ring contains point (even-odd ray cast)
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+const polygonContains = (polygon, pt) => ringContains(polygon[0], pt) && !polygon.slice(1).some((hole) => ringContains(hole, pt));
+
+// segments a-b and c-d touch or cross
+function segmentsMeet(a, b, c, d) {
+  const orient = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  const onSegment = (p, q, r) =>
+    Math.min(p[0], q[0]) <= r[0] && r[0] <= Math.max(p[0], q[0]) && Math.min(p[1], q[1]) <= r[1] && r[1] <= Math.max(p[1], q[1]);
+  const [o1, o2, o3, o4] = [orient(a, b, c), orient(a, b, d), orient(c, d, a), orient(c, d, b)];
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (!o1 && onSegment(a, b, c)) || (!o2 && onSegment(a, b, d)) || (!o3 && onSegment(c, d, a)) || (!o4 && onSegment(c, d, b));
+}
+
+/* ST_Intersects for (multi)polygons: boundaries meet, or one lies inside the other */
+function polygonsIntersect(a, b) {
+  const [aw, as, ae, an] = geometryBBox(a) || [];
+  const [bw, bs, be, bn] = geometryBBox(b) || [];
+  if (aw == null || bw == null || aw > be || bw > ae || as > bn || bs > an) return false;
+  const pa = rings(a);
+  const pb = rings(b);
+  for (const ra of pa.flat()) {
+    for (const rb of pb.flat()) {
+      for (let i = 1; i < ra.length; i++) {
+        for (let j = 1; j < rb.length; j++) {
+          if (segmentsMeet(ra[i - 1], ra[i], rb[j - 1], rb[j])) return true;
+        }
+      }
+    }
+  }
+  return pa.some((p) => pb.some((q) => polygonContains(q, p[0][0]))) || pb.some((q) => pa.some((p) => polygonContains(p, q[0][0])));
+}
+
+/* ---------------------- search ------------------------ */
+// pg_trgm's defaults for the % and <% operators
+const SIMILARITY_THRESHOLD = 0.3;
+const WORD_SIMILARITY_THRESHOLD = 0.6;
+
+// trigrams the way pg_trgm extracts them: lower-cased words padded "  word "
+function trigrams(text) {
+  const set = new Set();
+  for (const word of String(text ?? "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) set.add(padded.slice(i, i + 3));
+  }
+  return set;
+}
+
+const sharedCount = (a, b) => [...a].filter((t) => b.has(t)).length;
+
+// GREATEST(similarity(column, q), word_similarity(q, column)); 0 for a NULL column
+function trigramScore(query, value) {
+  if (value == null) return 0;
+  const t = trigrams(value);
+  const shared = sharedCount(query, t);
+  const union = query.size + t.size - shared;
+  return Math.max(union ? shared / union : 0, query.size ? shared / query.size : 0);
+}
+
+// column % q OR q <% column
+function trigramMatch(query, value) {
+  if (value == null) return false;
+  const t = trigrams(value);
+  const shared = sharedCount(query, t);
+  const union = query.size + t.size - shared;
+  return (union && shared / union >= SIMILARITY_THRESHOLD) || (query.size && shared / query.size >= WORD_SIMILARITY_THRESHOLD);
+}
+
+/* -------------------- statistics ---------------------- */
+// percentile_cont(0.5) over an ascending list
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = (sorted.length - 1) / 2;
+  return (sorted[Math.floor(mid)] + sorted[Math.ceil(mid)]) / 2;
+}
+
+const sumOrNull = (values) => (values.length ? values.reduce((a, b) => a + b, 0) : null);
+const byCountThenCode = (a, b) => b.count - a.count || (a.code < b.code ? -1 : a.code > b.code ? 1 : 0);
+
+// a FIELD_COLUMNS field of a property row under a county's `fields` (fieldSql's twin)
+const fieldValue = (p, field, fields) =>
+  (fields[field] ? [fields[field]] : FIELD_COLUMNS[field]).map((c) => p[c]).find((v) => v != null);
+
+// value columns of the selection statistics (same as the Postgres statMetrics)
+const statMetrics = (fields) => ({
+  market_value: (p) => fieldValue(p, "market_value", fields),
+  assessed_value: (p) => fieldValue(p, "curr_assessed_val", fields) ?? fieldValue(p, "assessed_val", fields),
+  land_value: (p) => fieldValue(p, "curr_land_val", fields),
+  improvement_value: (p) => fieldValue(p, "curr_imprv_val", fields),
+});
+
+/* ---------------------- loading ----------------------- */
+function readTable(dir, table) {
+  const geojson = path.join(dir, `${table}.geojson`);
+  const csv = path.join(dir, `${table}.csv`);
+  if (fs.existsSync(geojson)) {
+    const fc = JSON.parse(fs.readFileSync(geojson, "utf8"));
+    return (fc.features || []).map((f) => ({ ...(f.properties || {}), __geometry: f.geometry || null }));
+  }
+  if (fs.existsSync(csv)) return parseCsv(fs.readFileSync(csv, "utf8"));
+  return null;
+}
+
+function groupBy(rows, key) {
+  const map = new Map();
+  for (const r of rows) {
+    const k = r[key];
+    if (k == null) continue;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(r);
+  }
+  return map;
+}
+
+const byNumber = (key) => (a, b) => (a[key] == null) - (b[key] == null) || Number(a[key]) - Number(b[key]);
+const byYearDesc = (a, b) => (a.prop_val_yr == null) - (b.prop_val_yr == null) || b.prop_val_yr - a.prop_val_yr;
+const latest = (rows) => [...rows].sort(byYearDesc)[0];
+// ORDER BY prop_id on the bigint column (NULLs last)
+function byPropId(a, b) {
+  if (a.prop_id == null || b.prop_id == null) return (a.prop_id == null) - (b.prop_id == null);
+  const d = BigInt(a.prop_id) - BigInt(b.prop_id);
+  return d > 0n ? 1 : d < 0n ? -1 : 0;
+}
+
+/**
+ * DATA_DIR holds one file per table, named after it: property_master.geojson
+ * (or .csv without geometry), land_master.csv and improvement_master.csv.
+ * Land and improvement rows without a master_id are attached through prop_id
+ * (prop_num for improvements).
+ */
+function createFileRepository(dir, { fields = {} } = {}) {
+  const propertyRaw = readTable(dir, "property_master");
+  if (!propertyRaw) throw new Error(`file data source: no property_master.geojson or .csv in ${dir}`);
+
+  const properties = propertyRaw.map((raw) => {
+    const row = coerceRow(raw, PROPERTY_TYPES);
+    if (!row.master_id) throw new Error(`file data source: property_master row without master_id (prop_id ${row.prop_id})`);
+    const geom = raw.__geometry;
+    const point = geom ? pointOnSurface(geom) : null;
+    return { ...row, __geometry: geom, lon: point?.[0] ?? null, lat: point?.[1] ?? null, bbox: geom ? geometryBBox(geom) : null };
+  });
+  const propertyByMaster = groupBy(properties, "master_id");
+  const propertyByPropId = groupBy(properties, "prop_id");
+
+  const attach = (rows, parcelKey) =>
+    rows
+      .map((r) => {
+        if (r.master_id) return r;
+        const owner = propertyByPropId.get(r[parcelKey])?.[0];
+        return owner ? { ...r, master_id: owner.master_id } : null;
+      })
+      .filter(Boolean);
+  const land = attach((readTable(dir, "land_master") || []).map((r) => coerceRow(r, LAND_TYPES)), "prop_id");
+  const improvements = attach((readTable(dir, "improvement_master") || []).map((r) => coerceRow(r, IMPROVEMENT_TYPES)), "prop_num");
+  const landByMaster = groupBy(land, "master_id");
+  const improvementsByMaster = groupBy(improvements, "master_id");
+
+  console.log(`📁 file data source: ${propertyByMaster.size} parcels, ${land.length} land segments, ${improvements.length} improvements (${dir})`);
+
+  const inRoll = (yr) => (r) => yr == null || r.prop_val_yr === yr;
+
+  // same shape as the base/land/impr CTEs of the Postgres details queries
+  function detailsRow(masterId, property, year) {
+    const yr = year ?? property?.prop_val_yr ?? null;
+    const segs = (landByMaster.get(masterId) || []).filter(inRoll(yr)).sort(byNumber("land_seg_id"));
+    const imps = (improvementsByMaster.get(masterId) || []).filter(inRoll(yr)).sort(byNumber("improvement_id"));
+    const base = Object.fromEntries(PROPERTY_COLUMNS.map((c) => [c, property?.[c] ?? null]));
+    return {
+      ...base,
+      master_id: masterId,
+      prop_val_yr: yr,
+      lon: property?.lon ?? null,
+      lat: property?.lat ?? null,
+      bbox: property?.bbox ?? null,
+      land_segments: segs.length,
+      area_acres: segs.reduce((sum, s) => sum + Math.round(Number(s.size_acres || 0) * 1e4), 0) / 1e4,
+      land_segments_list: segs.map((s) => jsonbObject(LAND_LIST_FIELDS.map((f) => [f, toJsonb(s[f], LAND_TYPES[f])]))),
+      improvements: imps.length,
+      improvements_list: imps.map((i) => jsonbObject(IMPROVEMENT_LIST_FIELDS.map((f) => [f, toJsonb(i[f], IMPROVEMENT_TYPES[f])]))),
+    };
+  }
+
+  // PROPERTY_FIELDS + prop_val_yr of a property row
+  const summaryRow = (p) => Object.fromEntries(PROPERTY_COLUMNS.map((c) => [c, p[c] ?? null]));
+
+  /**
+   * The parcel_summary row the Postgres lookup picks: among the parcel's roll
+   * years (property, land or improvement rows) matching `year`, those it is on
+   * the roll for first, then the newest. A year with only land/improvement rows
+   * is used only when no on-roll year qualifies.
+   */
+  function masterDetails(masterId, year) {
+    const id = String(masterId).toLowerCase();
+    const properties = propertyByMaster.get(id) || [];
+    const years = [...new Set(
+      [propertyByMaster, landByMaster, improvementsByMaster].flatMap((m) => m.get(id) || []).map((r) => r.prop_val_yr)
+    )].filter((y) => year == null || y === year);
+    if (!years.length) return null;
+    const onRoll = (yr) => properties.some((p) => p.prop_val_yr === yr);
+    const [yr] = years
+      .map((y) => ({ prop_val_yr: y, onRoll: onRoll(y) }))
+      .sort((a, b) => b.onRoll - a.onRoll || byYearDesc(a, b))
+      .map((c) => c.prop_val_yr);
+    const property = properties.filter((p) => p.prop_val_yr === yr).sort(byPropId)[0] || null;
+    return detailsRow(id, property, yr);
+  }
+
+  // prop_id as the bigint column would compare it; null when it can't be one
+  const propKey = (propId) => {
+    const s = String(propId ?? "").trim();
+    return /^[+-]?\d+$/.test(s) ? BigInt(s).toString() : null;
+  };
+
+  return {
+    kind: "files",
+
+    async getDetailsByMasterId(masterId, year = null) {
+      return masterDetails(masterId, year);
+    },
+
+    async getDetailsByPropId(propId, year = null) {
+      const rows = (propertyByPropId.get(propKey(propId)) || []).filter(inRoll(year));
+      const property = rows.sort((a, b) => (a.master_id < b.master_id ? -1 : a.master_id > b.master_id ? 1 : byYearDesc(a, b)))[0];
+      return property ? detailsRow(property.master_id, property, year) : null;
+    },
+
+    async getDetailsForMasterIds(masterIds, year = null) {
+      return masterIds.map((id) => masterDetails(id, year)).filter(Boolean);
+    },
+
+    async getDetailsForPropIds(propIds, year = null) {
+      return propIds.flatMap((propId) => {
+        const byMaster = groupBy((propertyByPropId.get(propKey(propId)) || []).filter(inRoll(year)), "master_id");
+        return [...byMaster.keys()].sort().map((masterId) => detailsRow(masterId, byMaster.get(masterId).sort(byYearDesc)[0], year));
+      });
+    },
+
+    async getRollYears(masterId) {
+      const id = String(masterId).toLowerCase();
+      const years = new Set(
+        [propertyByMaster, landByMaster, improvementsByMaster]
+          .flatMap((m) => m.get(id) || [])
+          .map((r) => r.prop_val_yr)
+          .filter((y) => y != null)
+      );
+      return [...years].sort((a, b) => b - a);
+    },
+
+    async getPropIdCandidates(propId) {
+      const byMaster = groupBy(propertyByPropId.get(propKey(propId)) || [], "master_id");
+      return [...byMaster.keys()].sort().map((masterId) => {
+        const p = byMaster.get(masterId).sort(byYearDesc)[0];
+        return {
+          master_id: masterId,
+          prop_id: p.prop_id,
+          situs_address: p.situs_address ?? null,
+          situs_city: p.situs_city ?? null,
+          situs_zip: p.situs_zip ?? null,
+          legal_desc: p.legal_desc ?? null,
+          market_value: fieldValue(p, "market_value", fields) ?? null,
+          prop_val_yr: p.prop_val_yr ?? null,
+        };
+      });
+    },
+
+    /**
+     * Same candidates and ranking as the Postgres pg_trgm search: exact prop_id,
+     * ZIP and geo_id prefix, or a trigram match on address, legal description
+     * or owner; exact ids first, then by best similarity.
+     */
+    async searchParcels(text, limit = 10) {
+      const query = trigrams(text);
+      const propId = /^\d{1,18}$/.test(text) ? BigInt(text).toString() : null;
+      const hits = [];
+      for (const [masterId, rows] of propertyByMaster) {
+        const p = latest(rows);
+        const prefix = p.geo_id != null && p.geo_id.startsWith(text);
+        const fuzzy = [p.situs_address, p.legal_desc, p.py_owner_name].some((v) => trigramMatch(query, v));
+        if (!(rows.some((r) => r.prop_id === propId) || prefix || rows.some((r) => r.situs_zip === text) || fuzzy)) continue;
+        const exactId = p.prop_id === propId || p.geo_id === text;
+        const scores = {
+          address: trigramScore(query, p.situs_address),
+          legal: trigramScore(query, p.legal_desc),
+          owner: trigramScore(query, p.py_owner_name),
+        };
+        let matchedOn;
+        if (exactId && p.prop_id === propId) matchedOn = "prop_id";
+        else if (exactId || prefix) matchedOn = "geo_id";
+        else if (p.situs_zip === text) matchedOn = "zip";
+        else if (scores.address >= Math.max(scores.legal, scores.owner)) matchedOn = "address";
+        else matchedOn = scores.owner >= scores.legal ? "owner" : "legal";
+        hits.push({
+          master_id: masterId,
+          prop_id: p.prop_id,
+          situs_address: p.situs_address ?? null,
+          situs_city: p.situs_city ?? null,
+          situs_zip: p.situs_zip ?? null,
+          geo_id: p.geo_id ?? null,
+          legal_desc: p.legal_desc ?? null,
+          py_owner_name: p.py_owner_name ?? null,
+          matched_on: matchedOn,
+          exactId,
+          score: Math.max(scores.address, scores.legal, scores.owner),
+        });
+      }
+      hits.sort(
+        (a, b) =>
+          b.exactId - a.exactId ||
+          b.score - a.score ||
+          (a.situs_address == null) - (b.situs_address == null) ||
+          (a.situs_address?.length ?? 0) - (b.situs_address?.length ?? 0) ||
+          (a.situs_address < b.situs_address ? -1 : a.situs_address > b.situs_address ? 1 : 0) ||
+          byPropId(a, b)
+      );
+      return hits.slice(0, limit).map(({ exactId, score, ...row }) => row);
+    },
+
+    /**
+     * Latest-roll parcels intersecting a GeoJSON (multi)polygon, by prop_id;
+     * at most `limit` + 1 rows.
+     */
+    async getParcelsWithin(geometry, limit) {
+      const rows = [];
+      for (const list of propertyByMaster.values()) {
+        const p = latest(list);
+        if (p.__geometry && polygonsIntersect(p.__geometry, geometry)) rows.push(summaryRow(p));
+      }
+      return rows.sort(byPropId).slice(0, limit + 1);
+    },
+
+    async getParcelGeometry({ masterId, propId }) {
+      const rows = masterId ? propertyByMaster.get(String(masterId).toLowerCase()) : propertyByPropId.get(propKey(propId));
+      const p = (rows || []).filter((r) => r.__geometry).sort((a, b) => (a.master_id < b.master_id ? -1 : a.master_id > b.master_id ? 1 : byYearDesc(a, b)))[0];
+      if (!p) return null;
+      return { master_id: p.master_id, prop_id: p.prop_id, geometry: p.__geometry, lon: p.lon, lat: p.lat, bbox: p.bbox };
+    },
+
+    /**
+     * Same row as the Postgres selection statistics: value sums/medians,
+     * acreage, property and land type counts, year-built decades.
+     */
+    async getSelectionStats({ masterIds, geometry }) {
+      const sel = geometry
+        ? [...propertyByMaster.values()].map(latest).filter((p) => p.__geometry && polygonsIntersect(p.__geometry, geometry))
+        : [...new Set(masterIds.map((id) => String(id).toLowerCase()))].filter((id) => propertyByMaster.has(id)).map((id) => latest(propertyByMaster.get(id)));
+      const rollOf = new Map(sel.map((p) => [p.master_id, p.prop_val_yr]));
+      const inSelection = (r) => rollOf.has(r.master_id) && rollOf.get(r.master_id) === r.prop_val_yr;
+      const numbers = (values) => values.filter((v) => v != null).map(Number);
+
+      const valueStats = Object.fromEntries(
+        Object.entries(statMetrics(fields)).map(([key, pick]) => {
+          const values = numbers(sel.map(pick)).sort((a, b) => a - b);
+          return [key, { sum: sumOrNull(values), median: median(values) }];
+        })
+      );
+
+      const propTypes = new Map();
+      for (const p of sel) propTypes.set(p.prop_type_cd ?? "", (propTypes.get(p.prop_type_cd ?? "") || 0) + 1);
+
+      const landTypes = new Map();
+      for (const l of land.filter(inSelection)) {
+        const code = l.land_type_cd ?? "";
+        const t = landTypes.get(code) || { code, description: null, count: 0, parcels: new Set(), acres: [] };
+        if (l.land_type_desc != null && (t.description == null || l.land_type_desc > t.description)) t.description = l.land_type_desc;
+        t.count += 1;
+        t.parcels.add(l.master_id);
+        if (l.size_acres != null) t.acres.push(Number(l.size_acres));
+        landTypes.set(code, t);
+      }
+
+      const decades = new Map();
+      for (const i of improvements.filter(inSelection)) {
+        if (!(i.yr_built > 0)) continue;
+        const decade = Math.floor(i.yr_built / 10) * 10;
+        decades.set(decade, (decades.get(decade) || 0) + 1);
+      }
+
+      return {
+        parcel_count: sel.length,
+        value_stats: valueStats,
+        total_acres: sumOrNull(numbers(sel.map((p) => p.land_acres ?? p.legal_acreage))),
+        prop_types: [...propTypes].map(([code, count]) => ({ code, count })).sort(byCountThenCode),
+        land_types: [...landTypes.values()]
+          .map((t) => ({ code: t.code, description: t.description, count: t.count, parcels: t.parcels.size, acres: sumOrNull(t.acres) }))
+          .sort(byCountThenCode),
+        year_built: [...decades].sort(([a], [b]) => a - b).map(([decade, count]) => ({ decade, count })),
+      };
+    },
+
+    /**
+     * Latest-roll parcels with geometry as a FeatureCollection, carrying
+     * `fields` as properties — stands in for the parcel vector tiles.
+     */
+    getParcelFeatures(fields = []) {
+      const features = [];
+      for (const [masterId, rows] of propertyByMaster) {
+        const p = latest(rows);
+        if (!p.__geometry) continue;
+        const props = { master_id: masterId };
+        for (const f of fields) props[f] = p[f] ?? null;
+        features.push({ type: "Feature", properties: props, geometry: p.__geometry });
+      }
+      return { type: "FeatureCollection", features };
+    },
+  };
+}
+
+module.exports = { createFileRepository };
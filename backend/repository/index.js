@@ -0,0 +1,32 @@
+// repository/index.js — picks where parcel details come from (DATA_SOURCE)
+const { createPostgresRepository } = require("./postgres");
+const { createFileRepository } = require("./files");
+
+/**
+ * Parcel detail lookups behind one interface:
+ *   getDetailsByMasterId(masterId, year?) / getDetailsByPropId(propId, year?)
+ *     -> raw row for toPayload(), or null
+ *   getDetailsForMasterIds(masterIds, year?) / getDetailsForPropIds(propIds, year?)
+ *     -> rows for the ids found; a prop_id yields one row per master record
+ *   getRollYears(masterId) -> [year, ...] newest first
+ *   getPropIdCandidates(propId) -> rows for toCandidate()
+ *   searchParcels(text, limit) -> ranked typeahead rows with matched_on
+ *   getParcelsWithin(geometry, limit) -> latest-roll summary rows, limit + 1 at most
+ *   getParcelGeometry({ masterId } | { propId }) -> { geometry, lon, lat, bbox, ... } or null
+ *   getSelectionStats({ masterIds } | { geometry }) -> the POST /api/stats row
+ * `fields` is the county's payload field -> column mapping; the stats' value
+ * metrics follow it like toPayload() does.
+ * "postgres" (default) reads the county schema the pool's search_path points
+ * at; "files" serves fixtures from the county's dataDir and also offers
+ * getParcelFeatures() in place of vector tiles. Everything else (tiles,
+ * overlays, comps, taxes, thematic, filters) is Postgres-only; server.js
+ * answers those with 501 when `kind` is "files".
+ */
+function createRepository(pool, dataDir, { fields = {} } = {}) {
+  const source = process.env.DATA_SOURCE || "postgres";
+  if (source === "postgres") return createPostgresRepository(pool, { fields });
+  if (source === "files") return createFileRepository(dataDir, { fields });
+  throw new Error(`DATA_SOURCE must be "postgres" or "files" (got "${source}")`);
+}
+
+module.exports = { createRepository };
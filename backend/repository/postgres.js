@@ -0,0 +1,349 @@
+// repository/postgres.js — parcel details from the county schema (pool search_path)
+const { GEOM_COLUMN } = require("../db");
+
+// property_master columns that make up a parcel summary
+const PROPERTY_COLUMNS = [
+  "master_id", "prop_id", "legal_desc", "legal_loc_desc", "legal_acreage", "curr_assessed_val", "curr_land_val",
+  "curr_imprv_val", "market_val", "assessed_val", "situs_address", "situs_street_num", "situs_street_name",
+  "situs_city", "situs_zip", "prop_type_cd", "geo_id", "block", "tract_or_lot", "land_acres", "curr_market_val",
+  "py_owner_name", "py_addr_line1", "py_addr_line2", "py_addr_city", "py_addr_state", "py_addr_zip",
+];
+// ...as a select list (alias p)
+const PROPERTY_FIELDS = PROPERTY_COLUMNS.map((c) => `p.${c}`).join(", ");
+
+// [west, south, east, north] of the parcel geometry (alias p), NULL when it has none
+const BBOX_SQL = `
+  CASE WHEN p.${GEOM_COLUMN} IS NULL THEN NULL ELSE
+    ARRAY[ST_XMin(p.${GEOM_COLUMN}), ST_YMin(p.${GEOM_COLUMN}), ST_XMax(p.${GEOM_COLUMN}), ST_YMax(p.${GEOM_COLUMN})]::float8[]
+  END AS bbox
+`;
+
+/**
+ * Payload fields that SQL computes on (filters, thematic maps, stats, history,
+ * taxes) -> the property_master columns toPayload() reads them from, first
+ * non-null wins. A county's `fields` mapping replaces them with its column.
+ */
+const FIELD_COLUMNS = {
+  market_value: ["curr_market_val", "market_val"],
+  market_val: ["market_val"],
+  curr_assessed_val: ["curr_assessed_val"],
+  assessed_val: ["assessed_val"],
+  curr_land_val: ["curr_land_val"],
+  curr_imprv_val: ["curr_imprv_val"],
+  land_acres: ["land_acres"],
+  legal_acreage: ["legal_acreage"],
+};
+
+// SQL for a FIELD_COLUMNS field on a property row (alias `alias`) under a county's `fields`
+function fieldSql(field, fields = {}, alias = "p") {
+  const refs = (fields[field] ? [fields[field]] : FIELD_COLUMNS[field]).map((c) => `${alias}.${c}`);
+  return refs.length > 1 ? `COALESCE(${refs.join(", ")})` : refs[0];
+}
+
+// selection statistics: value expressions summed and medianed (alias s)
+const statMetrics = (fields) => ({
+  market_value: fieldSql("market_value", fields, "s"),
+  assessed_value: `COALESCE(${fieldSql("curr_assessed_val", fields, "s")}, ${fieldSql("assessed_val", fields, "s")})`,
+  land_value: fieldSql("curr_land_val", fields, "s"),
+  improvement_value: fieldSql("curr_imprv_val", fields, "s"),
+});
+
+function likeEscape(text) {
+  return String(text).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+function createPostgresRepository(pool, { fields = {} } = {}) {
+  return {
+    kind: "postgres",
+
+    /**
+     * master_id lookup: one read of parcel_summary (migration 004).
+     * `year` picks a certified roll; without it the latest roll the parcel is
+     * on is used. Land segments and improvements follow the same roll year.
+     */
+    async getDetailsByMasterId(masterId, year = null) {
+      const q = `
+        SELECT s.*
+        FROM parcel_summary s
+        WHERE s.master_id = $1::uuid
+          AND ($2::int IS NULL OR s.prop_val_yr = $2::int)
+        ORDER BY s.on_roll DESC, s.prop_val_yr DESC
+        LIMIT 1
+      `;
+      const r = await pool.query(q, [masterId, year]);
+      return r.rows?.[0] || null;
+    },
+
+    /**
+     * prop_id lookup with same field coverage (and the same `year` semantics)
+     */
+    async getDetailsByPropId(propId, year = null) {
+      const q = `
+        SELECT s.*
+        FROM parcel_summary s
+        WHERE s.prop_id = $1
+          AND ($2::int IS NULL OR s.prop_val_yr = $2::int)
+        ORDER BY s.master_id, s.on_roll DESC, s.prop_val_yr DESC
+        LIMIT 1
+      `;
+      const r = await pool.query(q, [propId, year]);
+      return r.rows?.[0] || null;
+    },
+
+    /**
+     * getDetailsByMasterId for many parcels at once: one row per master_id found.
+     */
+    async getDetailsForMasterIds(masterIds, year = null) {
+      const q = `
+        SELECT DISTINCT ON (s.master_id) s.*
+        FROM parcel_summary s
+        WHERE s.master_id = ANY($1::uuid[])
+          AND ($2::int IS NULL OR s.prop_val_yr = $2::int)
+        ORDER BY s.master_id, s.on_roll DESC, s.prop_val_yr DESC
+      `;
+      const r = await pool.query(q, [masterIds, year]);
+      return r.rows || [];
+    },
+
+    /**
+     * Latest row of every master record carrying one of the prop_ids, so a
+     * prop_id shared by several master records comes back more than once.
+     */
+    async getDetailsForPropIds(propIds, year = null) {
+      const q = `
+        SELECT DISTINCT ON (s.prop_id, s.master_id) s.*
+        FROM parcel_summary s
+        WHERE s.prop_id = ANY($1::bigint[])
+          AND ($2::int IS NULL OR s.prop_val_yr = $2::int)
+        ORDER BY s.prop_id, s.master_id, s.on_roll DESC, s.prop_val_yr DESC
+      `;
+      const r = await pool.query(q, [propIds, year]);
+      return r.rows || [];
+    },
+
+    /**
+     * Roll years on record for a parcel across property, land and improvement rows.
+     */
+    async getRollYears(masterId) {
+      const r = await pool.query(
+        "SELECT prop_val_yr AS yr FROM parcel_summary WHERE master_id = $1::uuid ORDER BY prop_val_yr DESC",
+        [masterId]
+      );
+      return (r.rows || []).map((row) => Number(row.yr));
+    },
+
+    /**
+     * All distinct master records sharing a prop_id (splits, roll years,
+     * multi-owner records), with enough context for the user to pick one,
+     * taken from each record's latest roll year.
+     */
+    async getPropIdCandidates(propId) {
+      const q = `
+        SELECT DISTINCT ON (p.master_id)
+          p.master_id,
+          p.prop_id,
+          p.situs_address,
+          p.situs_city,
+          p.situs_zip,
+          p.legal_desc,
+          ${fieldSql("market_value", fields)} AS market_value,
+          p.prop_val_yr
+        FROM property_master p
+        WHERE p.prop_id = $1
+          AND p.master_id IS NOT NULL
+        ORDER BY p.master_id, p.prop_val_yr DESC NULLS LAST
+      `;
+      const r = await pool.query(q, [propId]);
+      return r.rows || [];
+    },
+
+    /**
+     * Ranked fuzzy typeahead over address / legal description / owner (pg_trgm) plus
+     * exact prop_id, ZIP and geo_id prefix. Each branch of `hits` is one indexed
+     * probe (migrations 003 and 005); candidates are then ranked by trigram
+     * similarity, with exact id matches first, so typos still find the parcel.
+     */
+    async searchParcels(text, limit = 10) {
+      const propId = /^\d{1,18}$/.test(text) ? text : null;
+      const params = [text, likeEscape(text), limit, propId];
+      const q = `
+        WITH hits AS (
+          SELECT master_id FROM property_master WHERE prop_id = $4::bigint
+          UNION SELECT master_id FROM property_master WHERE geo_id LIKE $2 || '%'
+          UNION SELECT master_id FROM property_master WHERE situs_zip = $1
+          UNION SELECT master_id FROM property_master WHERE situs_address % $1 OR $1 <% situs_address
+          UNION SELECT master_id FROM property_master WHERE legal_desc % $1 OR $1 <% legal_desc
+          UNION SELECT master_id FROM property_master WHERE py_owner_name % $1 OR $1 <% py_owner_name
+        ),
+        scored AS (
+          SELECT DISTINCT ON (p.master_id)
+            p.master_id,
+            p.prop_id,
+            p.situs_address,
+            p.situs_city,
+            p.situs_zip,
+            p.geo_id,
+            p.legal_desc,
+            p.py_owner_name,
+            COALESCE(p.prop_id = $4::bigint OR p.geo_id = $1, false) AS exact_id,
+            GREATEST(similarity(p.situs_address, $1), word_similarity($1, p.situs_address)) AS address_score,
+            GREATEST(similarity(p.legal_desc, $1), word_similarity($1, p.legal_desc)) AS legal_score,
+            GREATEST(similarity(p.py_owner_name, $1), word_similarity($1, p.py_owner_name)) AS owner_score
+          FROM hits
+          JOIN property_master p USING (master_id)
+          ORDER BY p.master_id, p.prop_val_yr DESC
+        )
+        SELECT *,
+          CASE
+            WHEN exact_id AND prop_id = $4::bigint THEN 'prop_id'
+            WHEN exact_id OR geo_id LIKE $2 || '%' THEN 'geo_id'
+            WHEN situs_zip = $1 THEN 'zip'
+            WHEN COALESCE(address_score, 0) >= GREATEST(COALESCE(legal_score, 0), COALESCE(owner_score, 0)) THEN 'address'
+            WHEN COALESCE(owner_score, 0) >= COALESCE(legal_score, 0) THEN 'owner'
+            ELSE 'legal'
+          END AS matched_on
+        FROM scored
+        ORDER BY
+          exact_id DESC,
+          GREATEST(COALESCE(address_score, 0), COALESCE(legal_score, 0), COALESCE(owner_score, 0)) DESC,
+          length(situs_address) NULLS LAST, situs_address, prop_id
+        LIMIT $3
+      `;
+      const r = await pool.query(q, params);
+      return r.rows || [];
+    },
+
+    /**
+     * Every parcel whose latest-roll geometry intersects the given GeoJSON polygon.
+     * Returns at most `limit` + 1 rows so callers can tell when it was truncated.
+     */
+    async getParcelsWithin(geometry, limit) {
+      const q = `
+        WITH area AS (
+          SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom
+        ),
+        latest AS (
+          SELECT DISTINCT ON (p.master_id) ${PROPERTY_FIELDS}, p.prop_val_yr, p.${GEOM_COLUMN} AS latest_geom
+          FROM property_master p
+          WHERE p.master_id IN (
+            SELECT m.master_id FROM property_master m, area a WHERE m.${GEOM_COLUMN} && a.geom
+          )
+          ORDER BY p.master_id, p.prop_val_yr DESC NULLS LAST
+        )
+        SELECT ${PROPERTY_COLUMNS.join(", ")}, prop_val_yr
+        FROM latest l, area a
+        WHERE ST_Intersects(l.latest_geom, a.geom)
+        ORDER BY prop_id
+        LIMIT $2
+      `;
+      const r = await pool.query(q, [JSON.stringify(geometry), limit + 1]);
+      return r.rows || [];
+    },
+
+    /**
+     * GeoJSON geometry, bbox and centroid for one parcel, by master_id or prop_id,
+     * from its latest roll year that has one.
+     */
+    async getParcelGeometry({ masterId, propId }) {
+      const where = masterId ? "p.master_id = $1::uuid" : "p.prop_id = $1";
+      const q = `
+        SELECT
+          p.master_id,
+          p.prop_id,
+          ST_AsGeoJSON(p.${GEOM_COLUMN})::json AS geometry,
+          ST_X(ST_PointOnSurface(p.${GEOM_COLUMN})) AS lon,
+          ST_Y(ST_PointOnSurface(p.${GEOM_COLUMN})) AS lat,
+          ${BBOX_SQL}
+        FROM property_master p
+        WHERE ${where}
+          AND p.${GEOM_COLUMN} IS NOT NULL
+        ORDER BY p.master_id NULLS LAST, p.prop_val_yr DESC NULLS LAST
+        LIMIT 1
+      `;
+      const r = await pool.query(q, [masterId || propId]);
+      return r.rows?.[0] || null;
+    },
+
+    /**
+     * Totals and distributions for a selection set (latest roll per parcel).
+     * selection: { masterIds: [uuid] } or { geometry: GeoJSON polygon }.
+     * Year-built histogram buckets improvements by decade.
+     */
+    async getSelectionStats({ masterIds, geometry }) {
+      const params = [];
+      let where;
+      let keep = "true"; // applied to each parcel's latest row
+      if (geometry) {
+        params.push(JSON.stringify(geometry));
+        where = `p.master_id IN (
+            SELECT m.master_id FROM property_master m
+            WHERE m.${GEOM_COLUMN} && ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)
+          )`;
+        keep = `ST_Intersects(l.${GEOM_COLUMN}, ST_SetSRID(ST_GeomFromGeoJSON($1), 4326))`;
+      } else {
+        params.push(masterIds);
+        where = "p.master_id = ANY($1::uuid[])";
+      }
+
+      const metricCols = Object.entries(statMetrics(fields))
+        .map(([key, expr]) => `'${key}', json_build_object(
+              'sum', SUM(${expr})::float8,
+              'median', percentile_cont(0.5) WITHIN GROUP (ORDER BY ${expr}))`)
+        .join(",\n        ");
+
+      const q = `
+        WITH sel AS (
+          SELECT l.* FROM (
+            SELECT DISTINCT ON (p.master_id) p.*
+            FROM property_master p
+            WHERE ${where}
+            ORDER BY p.master_id, p.prop_val_yr DESC NULLS LAST
+          ) l
+          WHERE ${keep}
+        )
+        SELECT
+          (SELECT COUNT(*)::int FROM sel) AS parcel_count,
+          (SELECT json_build_object(${metricCols}) FROM sel s) AS value_stats,
+          (SELECT SUM(COALESCE(s.land_acres, s.legal_acreage))::float8 FROM sel s) AS total_acres,
+          (
+            SELECT COALESCE(json_agg(json_build_object('code', code, 'count', n) ORDER BY n DESC, code), '[]'::json)
+            FROM (
+              SELECT COALESCE(s.prop_type_cd, '') AS code, COUNT(*)::int AS n
+              FROM sel s GROUP BY 1
+            ) t
+          ) AS prop_types,
+          (
+            SELECT COALESCE(json_agg(json_build_object(
+              'code', code, 'description', descr, 'count', n, 'parcels', parcels, 'acres', acres
+            ) ORDER BY n DESC, code), '[]'::json)
+            FROM (
+              SELECT COALESCE(lm.land_type_cd, '') AS code,
+                     MAX(lm.land_type_desc) AS descr,
+                     COUNT(*)::int AS n,
+                     COUNT(DISTINCT lm.master_id)::int AS parcels,
+                     SUM(lm.size_acres)::float8 AS acres
+              FROM land_master lm
+              JOIN sel s ON s.master_id = lm.master_id
+               AND lm.prop_val_yr IS NOT DISTINCT FROM s.prop_val_yr
+              GROUP BY 1
+            ) t
+          ) AS land_types,
+          (
+            SELECT COALESCE(json_agg(json_build_object('decade', decade, 'count', n) ORDER BY decade), '[]'::json)
+            FROM (
+              SELECT (im.yr_built / 10) * 10 AS decade, COUNT(*)::int AS n
+              FROM improvement_master im
+              JOIN sel s ON s.master_id = im.master_id
+               AND im.prop_val_yr IS NOT DISTINCT FROM s.prop_val_yr
+              WHERE im.yr_built > 0
+              GROUP BY 1
+            ) t
+          ) AS year_built
+      `;
+      const r = await pool.query(q, params);
+      return r.rows[0];
+    },
+  };
+}
+
+module.exports = { PROPERTY_COLUMNS, PROPERTY_FIELDS, BBOX_SQL, FIELD_COLUMNS, fieldSql, likeEscape, createPostgresRepository };
@@ -1,15 +1,26 @@
 // server.js
 require("dotenv").config();
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
+const { GEOM_COLUMN, createPool } = require("./db");
+const { loadCounties } = require("./counties");
+const { assertSchemaCurrent } = require("./migrate");
+const { createRepository } = require("./repository");
+const { PROPERTY_COLUMNS, PROPERTY_FIELDS, BBOX_SQL, fieldSql } = require("./repository/postgres");
+const { rulesProvider, loadCopilotProvider, toCopilotFeature } = require("./copilot");
+const { CURRENT_ROLL_SQL, SORTABLE, compileParcelFilter, compileSort, filterCatalog } = require("./filters");
+const { claimedExemptions, estimateTaxes } = require("./taxes");
 
 const app = express();
 
 /* --------------------- middleware --------------------- */
 app.use(cors({ origin: true, credentials: true }));
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // batch id lists and drawn polygons run past the 100kb default
 
 // tiny request logger
 app.use((req, _res, next) => {
@@ -22,33 +33,47 @@ app.use((req, _res, next) => {
  * ENV you can set:
  *   DB_HOST, DB_PORT, DB_USER, DB_PASS, DB_NAME, DB_SCHEMA (default: core)
  *   DB_SSL=true  (for managed Postgres like Neon/Render/Heroku)
+ *   DB_GEOM_COLUMN  parcel geometry column on property_master (default: geom, EPSG:4326)
+ *   SELECTION_LIMIT max parcels returned by spatial selections (default: 5000)
+ *   SEARCH_LIMIT    max typeahead suggestions per request (default: 25)
+ *   BATCH_LIMIT     max ids per POST /api/details/batch (default: 5000)
+ *   LAYERS_CONFIG   tile layer registry (default: ./layers.json)
+ *   TILE_CACHE_SIZE in-memory tile cache entries (default: 2000, 0 disables)
+ *   TILE_CACHE_DIR  optional on-disk tile cache directory
+ *   TILE_CACHE_CHECK_MS how often to re-check tables for changes, for tiles and
+ *                   the details cache (default: 30000)
+ *   DETAILS_CACHE_SIZE in-memory /api/details/:id responses (default: 5000, 0 disables)
+ *   DETAILS_MAX_AGE Cache-Control max-age of /api/details/:id in seconds (default: 0,
+ *                   i.e. browsers revalidate every click against the ETag)
+ *   PUBLIC_BASE_URL base URL written into TileJSON (default: from the request)
+ *   COPILOT_PROVIDER  "rules" (default) or a module path exporting parse(question)
+ *   THEMATIC_LIMIT  max parcels per thematic viewport request (default: 20000)
+ *   TAXING_UNITS_CONFIG taxing unit rates and exemptions (default: ./taxing_units.json)
+ *   SKIP_SCHEMA_CHECK=true  serve even when migrations are pending (see migrate.js)
+ *   DATA_SOURCE     "postgres" (default) or "files": parcel details from CSV/GeoJSON
+ *                   fixtures in DATA_DIR (default: ./fixtures), no database needed.
+ *                   Details, search and selection work; tile and analytics
+ *                   routes answer 501 and still need Postgres.
+ *   COUNTIES_CONFIG county profiles, e.g. ./counties.example.json (see counties.js).
+ *                   Without it DB_SCHEMA, LAYERS_CONFIG, TAXING_UNITS_CONFIG and
+ *                   DATA_DIR describe the single county served.
  */
-const TARGET_SCHEMA = process.env.DB_SCHEMA || "core";
-
-const pool = new Pool({
-  host: process.env.DB_HOST || "localhost",
-  port: Number(process.env.DB_PORT || 5432),
-  user: process.env.DB_USER || "postgres",
-  password: process.env.DB_PASS || "",
-  database: process.env.DB_NAME || "landscore",
-  application_name: "parcel-viewer-api",
-  options: `-c search_path=${TARGET_SCHEMA},public`,
-  ssl: process.env.DB_SSL === "true" ? { rejectUnauthorized: false } : false,
-});
-
-pool.on("connect", () => {
-  console.log(`✅ DB connected (schema=${TARGET_SCHEMA}, ssl=${process.env.DB_SSL === "true"})`);
-});
-
-pool.on("error", (err) => {
-  console.error("🐘 PG pool error:", err);
-});
+const SELECTION_LIMIT = Number(process.env.SELECTION_LIMIT || 5000);
+const SEARCH_LIMIT = Number(process.env.SEARCH_LIMIT || 25);
+const QUERY_PAGE_MAX = 1000;
+const BATCH_LIMIT = Number(process.env.BATCH_LIMIT || 5000);
+const BIGINT_MAX = 2n ** 63n - 1n;
 
 /* --------------------- helpers ------------------------ */
 const UUID_RX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-function toPayload(row) {
-  if (!row) return null;
+// prop_ids compare as the bigint column does ("00123" is 123); null when it can't be one
+function propKey(id) {
+  return /^\d+$/.test(id) && BigInt(id) <= BIGINT_MAX ? BigInt(id).toString() : null;
+}
+
+// toPayload() before the county's field overrides
+function defaultPayload(row) {
   return {
     // ids
     master_id: row.master_id,
@@ -64,8 +89,17 @@ function toPayload(row) {
     block: row.block,
     tract_or_lot: row.tract_or_lot,
 
+    // ownership (mailing address as carried on the roll)
+    owner_name: row.py_owner_name ?? null,
+    owner_addr_line1: row.py_addr_line1 ?? null,
+    owner_addr_line2: row.py_addr_line2 ?? null,
+    owner_addr_city: row.py_addr_city ?? null,
+    owner_addr_state: row.py_addr_state ?? null,
+    owner_addr_zip: row.py_addr_zip ?? null,
+
     // property / legal
     prop_type_cd: row.prop_type_cd,
+    prop_val_yr: row.prop_val_yr ?? null,
     legal_desc: row.legal_desc,
     legal_loc_desc: row.legal_loc_desc,
     legal_acreage: row.legal_acreage,
@@ -81,6 +115,8 @@ function toPayload(row) {
 
     // derived
     area_acres: row.area_acres ?? 0,
+    lon: row.lon ?? null,
+    lat: row.lat ?? null,
     land_segments: row.land_segments ?? 0,
     improvements: row.improvements ?? 0,
 
@@ -90,247 +126,1931 @@ function toPayload(row) {
   };
 }
 
+function toPayload(row) {
+  if (!row) return null;
+  const payload = defaultPayload(row);
+  // the county profile's `fields`: payload field -> property_master column
+  for (const [field, column] of Object.entries(county().fields)) payload[field] = row[column] ?? null;
+  return payload;
+}
+
+// SQL (alias p) for a payload value field, following the active county's `fields` like toPayload
+const fieldExpr = (field) => fieldSql(field, county().fields);
+
+const POLYGON_TYPES = new Set(["Polygon", "MultiPolygon"]);
+
+/**
+ * Accepts a GeoJSON geometry, Feature or { geometry } wrapper and returns the
+ * bare Polygon/MultiPolygon geometry, or null when it isn't one.
+ */
+function toPolygonGeometry(input) {
+  if (!input || typeof input !== "object") return null;
+  const geom = input.type === "Feature" || input.geometry ? input.geometry : input;
+  if (!geom || !POLYGON_TYPES.has(geom.type) || !Array.isArray(geom.coordinates)) return null;
+  return geom;
+}
+
+function toCandidate(c) {
+  return {
+    master_id: c.master_id,
+    prop_id: c.prop_id,
+    address: c.situs_address,
+    city: c.situs_city,
+    zip: c.situs_zip,
+    legal_desc: c.legal_desc,
+    market_value: c.market_value ?? null,
+    prop_val_yr: c.prop_val_yr ?? null,
+  };
+}
+
 /**
- * Robust master_id lookup with all requested fields
+ * prop_id lookup that refuses to guess: returns { candidates } when the
+ * prop_id maps to more than one master_id, otherwise { row } (null when the
+ * id can't be a prop_id).
  */
-async function getDetailsByMasterId(masterId) {
+async function resolvePropId(id, year = null) {
+  const propId = propKey(id);
+  if (!propId) return { row: null };
+  const candidates = await county().repo.getPropIdCandidates(propId);
+  if (candidates.length > 1) return { candidates: candidates.map(toCandidate) };
+  return { row: await county().repo.getDetailsByPropId(propId, year) };
+}
+
+/**
+ * :id (master_id or prop_id) -> { masterId } for the per-parcel sub-resources,
+ * or { candidates } when a prop_id is ambiguous. masterId is null on no match.
+ */
+async function resolveMasterId(id) {
+  if (UUID_RX.test(id)) return { masterId: id };
+  const propId = propKey(id);
+  if (!propId) return { masterId: null };
+  const candidates = await county().repo.getPropIdCandidates(propId);
+  if (candidates.length > 1) return { candidates: candidates.map(toCandidate) };
+  return { masterId: candidates[0]?.master_id || null };
+}
+
+/**
+ * Every parcel whose latest roll lists the same owner (case/space-insensitive)
+ * as the given parcel. Returns { owner_name, rows } with at most `limit` + 1 rows.
+ */
+async function getOwnerPortfolio(masterId, limit = SELECTION_LIMIT) {
   const q = `
-    WITH any_master AS (
-      SELECT $1::uuid AS master_id
-      WHERE EXISTS (SELECT 1 FROM ${TARGET_SCHEMA}.property_master p WHERE p.master_id = $1::uuid)
-      UNION ALL
-      SELECT $1::uuid
-      WHERE EXISTS (SELECT 1 FROM ${TARGET_SCHEMA}.land_master l WHERE l.master_id = $1::uuid)
-      UNION ALL
-      SELECT $1::uuid
-      WHERE EXISTS (SELECT 1 FROM ${TARGET_SCHEMA}.improvement_master m WHERE m.master_id = $1::uuid)
+    WITH owner AS (
+      SELECT upper(btrim(p.py_owner_name)) AS name, p.py_owner_name
+      FROM property_master p
+      WHERE p.master_id = $1::uuid AND p.py_owner_name IS NOT NULL
+      ORDER BY p.prop_val_yr DESC NULLS LAST
       LIMIT 1
     ),
-    base AS (
-      SELECT
-        am.master_id,
-        p.prop_id,
-        -- property_master fields you asked for
-        p.legal_desc,
-        p.legal_loc_desc,
-        p.legal_acreage,
-        p.curr_assessed_val,
-        p.curr_land_val,
-        p.curr_imprv_val,
-        p.market_val,
-        p.assessed_val,
-        p.situs_address,
-        p.situs_street_num,
-        p.situs_street_name,
-        p.situs_city,
-        p.situs_zip,
-        p.prop_type_cd,
-        p.geo_id,
-        p.block,
-        p.tract_or_lot,
-        p.land_acres,
-        p.curr_market_val
-      FROM any_master am
-      LEFT JOIN ${TARGET_SCHEMA}.property_master p
-        ON p.master_id = am.master_id
+    latest AS (
+      SELECT DISTINCT ON (p.master_id) ${PROPERTY_FIELDS}, p.prop_val_yr, ${BBOX_SQL}
+      FROM property_master p
+      WHERE p.master_id IN (
+        SELECT m.master_id FROM property_master m, owner o
+        WHERE upper(btrim(m.py_owner_name)) = o.name
+      )
+      ORDER BY p.master_id, p.prop_val_yr DESC NULLS LAST
+    )
+    SELECT l.*, o.py_owner_name AS portfolio_owner
+    FROM latest l, owner o
+    WHERE upper(btrim(l.py_owner_name)) = o.name
+    ORDER BY l.situs_address NULLS LAST, l.prop_id
+    LIMIT $2
+  `;
+  const r = await county().pool.query(q, [masterId, limit + 1]);
+  const rows = r.rows || [];
+  return { owner_name: rows[0]?.portfolio_owner ?? null, rows };
+}
+
+const FEET_PER_METER = 3.28084;
+const NOTIFY_MAX_FT = 5280;
+
+/**
+ * Parcels on the current roll within `distanceFt` of a subject parcel
+ * (geodesic buffer of its latest geometry), nearest first. Returns { buffer, rows } with at most
+ * `limit` + 1 rows; `buffer` is null when the subject has no geometry.
+ */
+async function getNotificationParcels(masterId, distanceFt, limit = SELECTION_LIMIT) {
+  const q = `
+    WITH subject AS (
+      SELECT p.${GEOM_COLUMN} AS geom
+      FROM property_master p
+      WHERE p.master_id = $1::uuid AND p.${GEOM_COLUMN} IS NOT NULL
+      ORDER BY p.prop_val_yr DESC NULLS LAST
       LIMIT 1
     ),
-    land AS (
-      SELECT
-        COUNT(*)::int AS land_segments,
-        COALESCE(SUM(size_acres), 0)::float AS area_acres,
-        COALESCE(
-          jsonb_agg(
-            jsonb_build_object(
-              'land_seg_id', lm.land_seg_id,
-              'land_type_cd', lm.land_type_cd,
-              'land_type_desc', lm.land_type_desc,
-              'size_acres', lm.size_acres,
-              'land_area_factor', lm.land_area_factor,
-              'land_seg_mkt_val', lm.land_seg_mkt_val,
-              'land_val', lm.land_val,
-              'prop_val_yr', lm.prop_val_yr
-            )
-            ORDER BY lm.land_seg_id
-          ), '[]'::jsonb
-        ) AS land_segments_list
-      FROM ${TARGET_SCHEMA}.land_master lm
-      WHERE lm.master_id = $1::uuid
+    area AS (
+      SELECT s.geom AS subject_geom, ST_Buffer(s.geom::geography, $2)::geometry AS geom
+      FROM subject s
     ),
-    impr AS (
-      SELECT
-        COUNT(*)::int AS improvements,
-        COALESCE(
-          jsonb_agg(
-            jsonb_build_object(
-              'improvement_id', im.improvement_id,
-              'imprv_type_desc', im.imprv_type_desc,
-              'imprv_val', im.imprv_val,
-              'yr_built', im.yr_built,
-              'imprv_det_area', im.imprv_det_area,
-              'prop_num', im.prop_num
-            )
-            ORDER BY im.improvement_id
-          ), '[]'::jsonb
-        ) AS improvements_list
-      FROM ${TARGET_SCHEMA}.improvement_master im
-      WHERE im.master_id = $1::uuid
+    hits AS (
+      SELECT DISTINCT ON (p.master_id) ${PROPERTY_FIELDS}, p.prop_val_yr,
+             ST_Distance(p.${GEOM_COLUMN}::geography, a.subject_geom::geography) AS distance_m
+      FROM property_master p, area a
+      WHERE ${CURRENT_ROLL_SQL}
+        AND p.${GEOM_COLUMN} && a.geom
+        AND ST_Intersects(p.${GEOM_COLUMN}, a.geom)
+      ORDER BY p.master_id, p.prop_val_yr DESC NULLS LAST
     )
     SELECT
-      base.*,
-      land.land_segments,
-      land.area_acres,
-      land.land_segments_list,
-      impr.improvements,
-      impr.improvements_list
-    FROM base
-    LEFT JOIN land ON TRUE
-    LEFT JOIN impr ON TRUE
+      (SELECT ST_AsGeoJSON(a.geom)::json FROM area a) AS buffer,
+      (SELECT ARRAY[ST_XMin(a.geom), ST_YMin(a.geom), ST_XMax(a.geom), ST_YMax(a.geom)]::float8[] FROM area a) AS buffer_bbox,
+      COALESCE((
+        SELECT json_agg(h ORDER BY h.distance_m, h.prop_id)
+        FROM (SELECT * FROM hits ORDER BY distance_m, prop_id LIMIT $3) h
+      ), '[]'::json) AS rows
   `;
-  const r = await pool.query(q, [masterId]);
-  return r.rows?.[0] || null;
+  const r = await county().pool.query(q, [masterId, distanceFt / FEET_PER_METER, limit + 1]);
+  const row = r.rows[0] || {};
+  return { buffer: row.buffer || null, bbox: row.buffer_bbox || null, rows: row.rows || [] };
+}
+
+/**
+ * Deduplicated owner mailing list: one entry per normalized owner + mailing
+ * address, with the prop_ids it covers. Rows without a mailing address are
+ * counted, not listed.
+ */
+function toMailingList(parcels) {
+  const norm = (v) => String(v ?? "").trim().replace(/\s+/g, " ").toUpperCase();
+  const byKey = new Map();
+  let missing = 0;
+  for (const p of parcels) {
+    if (!norm(p.owner_addr_line1) && !norm(p.owner_addr_line2)) {
+      missing += 1;
+      continue;
+    }
+    const key = [p.owner_name, p.owner_addr_line1, p.owner_addr_line2, p.owner_addr_city, p.owner_addr_state, p.owner_addr_zip]
+      .map(norm)
+      .join("|");
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        owner_name: p.owner_name,
+        addr_line1: p.owner_addr_line1,
+        addr_line2: p.owner_addr_line2,
+        city: p.owner_addr_city,
+        state: p.owner_addr_state,
+        zip: p.owner_addr_zip,
+        prop_ids: [],
+      });
+    }
+    byKey.get(key).prop_ids.push(p.prop_id);
+  }
+  const list = [...byKey.values()].sort((a, b) => norm(a.owner_name).localeCompare(norm(b.owner_name)));
+  return { list, missing };
+}
+
+// union of [w, s, e, n] boxes
+function mergeBBoxes(boxes) {
+  const valid = boxes.filter((b) => Array.isArray(b) && b.length === 4);
+  if (!valid.length) return null;
+  return [
+    Math.min(...valid.map((b) => b[0])),
+    Math.min(...valid.map((b) => b[1])),
+    Math.max(...valid.map((b) => b[2])),
+    Math.max(...valid.map((b) => b[3])),
+  ];
 }
 
 /**
- * prop_id lookup with same field coverage
+ * One valuation row per roll year, oldest first.
  */
-async function getDetailsByPropId(propId) {
+async function getValuationHistory(masterId) {
+  const f = fieldExpr;
   const q = `
-    WITH base AS (
-      SELECT
-        p.master_id,
-        p.prop_id,
-
-        p.legal_desc,
-        p.legal_loc_desc,
-        p.legal_acreage,
-        p.curr_assessed_val,
-        p.curr_land_val,
-        p.curr_imprv_val,
-        p.market_val,
-        p.assessed_val,
-        p.situs_address,
-        p.situs_street_num,
-        p.situs_street_name,
-        p.situs_city,
-        p.situs_zip,
-        p.prop_type_cd,
-        p.geo_id,
-        p.block,
-        p.tract_or_lot,
-        p.land_acres,
-        p.curr_market_val
-
-      FROM ${TARGET_SCHEMA}.property_master p
-      WHERE p.prop_id = $1
-      ORDER BY p.master_id NULLS LAST
+    SELECT DISTINCT ON (p.prop_val_yr)
+      p.prop_val_yr AS year,
+      ${f("market_value")}::float AS market_value,
+      COALESCE(${f("curr_assessed_val")}, ${f("assessed_val")})::float AS assessed_value,
+      ${f("curr_land_val")}::float AS land_value,
+      ${f("curr_imprv_val")}::float AS improvement_value
+    FROM property_master p
+    WHERE p.master_id = $1::uuid
+      AND p.prop_val_yr IS NOT NULL
+    ORDER BY p.prop_val_yr
+  `;
+  const r = await county().pool.query(q, [masterId]);
+  return r.rows || [];
+}
+
+const HISTORY_METRICS = ["market_value", "assessed_value", "land_value", "improvement_value"];
+
+/**
+ * Adds year-over-year { abs, pct } change per metric (null for the first year
+ * or when either side is missing; pct is null when the prior value is 0).
+ */
+function withYearOverYear(rows) {
+  return rows.map((row, i) => {
+    const prev = rows[i - 1];
+    const change = {};
+    for (const m of HISTORY_METRICS) {
+      const curr = row[m];
+      const before = prev ? prev[m] : null;
+      if (curr == null || before == null) {
+        change[m] = null;
+        continue;
+      }
+      const abs = curr - before;
+      change[m] = { abs, pct: before !== 0 ? Math.round((abs / before) * 10000) / 100 : null };
+    }
+    return { ...row, year: Number(row.year), change };
+  });
+}
+
+/**
+ * ?year= query value -> integer roll year, null when absent, NaN when invalid.
+ */
+function parseYear(value) {
+  if (value == null || value === "") return null;
+  const yr = Number(value);
+  return Number.isInteger(yr) && yr >= 1800 && yr <= 2200 ? yr : NaN;
+}
+
+/* ----------------------- comps ------------------------ */
+const METERS_PER_MILE = 1609.344;
+const COMPS_MAX_RADIUS_MI = 10;
+const COMPS_POOL = 400; // nearest candidates scored per request
+
+// relative weight of each dissimilarity term (0 = identical on that attribute)
+const COMP_WEIGHTS = {
+  prop_type: 3,
+  land_type: 1,
+  acres: 1,
+  improvement_area: 1.5,
+  yr_built: 1,
+  distance: 0.5,
+};
+
+/**
+ * Subject parcel plus its nearest candidates within `radiusM` (parcels on
+ * the current roll only), with improvement area, oldest yr_built and dominant land type.
+ * The subject comes first with is_subject = true.
+ */
+async function getCompCandidates(masterId, radiusM, poolSize = COMPS_POOL) {
+  const q = `
+    WITH subj AS (
+      SELECT p.*
+      FROM property_master p
+      WHERE p.master_id = $1::uuid AND p.${GEOM_COLUMN} IS NOT NULL
+      ORDER BY p.prop_val_yr DESC NULLS LAST
       LIMIT 1
     ),
-    land AS (
-      SELECT
-        COUNT(*)::int AS land_segments,
-        COALESCE(SUM(size_acres), 0)::float AS area_acres,
-        COALESCE(
-          jsonb_agg(
-            jsonb_build_object(
-              'land_seg_id', lm.land_seg_id,
-              'land_type_cd', lm.land_type_cd,
-              'land_type_desc', lm.land_type_desc,
-              'size_acres', lm.size_acres,
-              'land_area_factor', lm.land_area_factor,
-              'land_seg_mkt_val', lm.land_seg_mkt_val,
-              'land_val', lm.land_val,
-              'prop_val_yr', lm.prop_val_yr
-            )
-            ORDER BY lm.land_seg_id
-          ), '[]'::jsonb
-        ) AS land_segments_list
-      FROM ${TARGET_SCHEMA}.land_master lm
-      JOIN base b ON lm.master_id = b.master_id
+    near AS (
+      SELECT * FROM (
+        SELECT DISTINCT ON (p.master_id) p.*,
+               ST_Distance(p.${GEOM_COLUMN}::geography, s.${GEOM_COLUMN}::geography) AS distance_m
+        FROM property_master p, subj s
+        WHERE p.master_id <> s.master_id
+          AND ${CURRENT_ROLL_SQL}
+          AND p.${GEOM_COLUMN} && ST_Expand(
+            s.${GEOM_COLUMN},
+            $2 / 111320.0 / GREATEST(cos(radians(ST_Y(ST_Centroid(s.${GEOM_COLUMN})))), 0.2)
+          )
+          AND ST_DWithin(p.${GEOM_COLUMN}::geography, s.${GEOM_COLUMN}::geography, $2)
+        ORDER BY p.master_id, p.prop_val_yr DESC NULLS LAST
+      ) c
+      ORDER BY distance_m
+      LIMIT $3
     ),
-    impr AS (
+    rows AS (
+      SELECT s.*, 0::float8 AS distance_m, true AS is_subject FROM subj s
+      UNION ALL
+      SELECT n.*, false AS is_subject FROM near n
+    )
+    SELECT ${PROPERTY_FIELDS}, p.prop_val_yr, p.distance_m, p.is_subject, ${BBOX_SQL},
+           i.improvement_area, i.yr_built, l.land_type_cd, l.land_type_desc
+    FROM rows p
+    LEFT JOIN LATERAL (
+      SELECT SUM(im.imprv_det_area)::float8 AS improvement_area,
+             MIN(NULLIF(im.yr_built, 0)) AS yr_built
+      FROM improvement_master im
+      WHERE im.master_id = p.master_id AND im.prop_val_yr IS NOT DISTINCT FROM p.prop_val_yr
+    ) i ON true
+    LEFT JOIN LATERAL (
+      SELECT lm.land_type_cd, lm.land_type_desc
+      FROM land_master lm
+      WHERE lm.master_id = p.master_id AND lm.prop_val_yr IS NOT DISTINCT FROM p.prop_val_yr
+      ORDER BY lm.size_acres DESC NULLS LAST
+      LIMIT 1
+    ) l ON true
+    ORDER BY p.is_subject DESC, p.distance_m
+  `;
+  const r = await county().pool.query(q, [masterId, radiusM, poolSize]);
+  return r.rows || [];
+}
+
+/* comparable-facing fields of a candidate row, with unit values */
+function toComp(row) {
+  const p = toPayload(row);
+  const acres = Number(p.land_acres ?? p.legal_acreage) || null;
+  const area = Number(row.improvement_area) || null;
+  const market = Number(p.market_value) || 0;
+  return {
+    master_id: p.master_id,
+    prop_id: p.prop_id,
+    address: p.address,
+    city: p.city,
+    prop_type_cd: p.prop_type_cd,
+    land_type_cd: row.land_type_cd ?? null,
+    land_type_desc: row.land_type_desc ?? null,
+    land_acres: acres,
+    improvement_area: area,
+    yr_built: row.yr_built ?? null,
+    market_value: market,
+    assessed_value: Number(p.curr_assessed_val ?? p.assessed_val) || 0,
+    land_value: Number(p.curr_land_val) || 0,
+    improvement_value: Number(p.curr_imprv_val) || 0,
+    value_per_acre: acres ? market / acres : null,
+    value_per_sqft: area ? market / area : null,
+    distance_mi: row.distance_m != null ? Number(row.distance_m) / METERS_PER_MILE : null,
+    prop_val_yr: p.prop_val_yr,
+    bbox: row.bbox,
+  };
+}
+
+// |log ratio| of two positive sizes, 0 when both are missing, 1 when only one is
+function sizeGap(a, b) {
+  if (!(a > 0) && !(b > 0)) return 0;
+  if (!(a > 0) || !(b > 0)) return 1;
+  return Math.min(Math.abs(Math.log(a / b)), 2);
+}
+
+/**
+ * Weighted dissimilarity of a comp to the subject (see COMP_WEIGHTS) and a
+ * 0-100 similarity score derived from it.
+ */
+function scoreComp(subject, comp, radiusMi) {
+  const yrGap = subject.yr_built && comp.yr_built
+    ? Math.min(Math.abs(subject.yr_built - comp.yr_built) / 20, 2)
+    : subject.yr_built || comp.yr_built ? 1 : 0;
+  const terms = {
+    prop_type: subject.prop_type_cd === comp.prop_type_cd ? 0 : 1,
+    land_type: subject.land_type_cd === comp.land_type_cd ? 0 : 1,
+    acres: sizeGap(subject.land_acres, comp.land_acres),
+    improvement_area: sizeGap(subject.improvement_area, comp.improvement_area),
+    yr_built: yrGap,
+    distance: radiusMi > 0 ? Math.min((comp.distance_mi || 0) / radiusMi, 1) : 0,
+  };
+  const score = Object.entries(terms).reduce((sum, [k, v]) => sum + COMP_WEIGHTS[k] * v, 0);
+  return { score, similarity: Math.round(100 / (1 + score)) };
+}
+
+/**
+ * Ranked comparables for a parcel. Returns null when the subject has no
+ * geometry; otherwise { subject, comps } with at most `limit` comps.
+ */
+async function getComps(masterId, { radiusMi = 1, limit = 10, sameType = false } = {}) {
+  const rows = await getCompCandidates(masterId, radiusMi * METERS_PER_MILE);
+  const subjectRow = rows.find((r) => r.is_subject);
+  if (!subjectRow) return null;
+  const subject = toComp(subjectRow);
+  const comps = rows
+    .filter((r) => !r.is_subject)
+    .map(toComp)
+    .filter((c) => !sameType || c.prop_type_cd === subject.prop_type_cd)
+    .map((c) => ({ ...c, ...scoreComp(subject, c, radiusMi) }))
+    .sort((a, b) => a.score - b.score || a.distance_mi - b.distance_mi)
+    .slice(0, limit);
+  return { subject, comps };
+}
+
+/* --------------------- thematic ----------------------- */
+/**
+ * Attributes available for choropleth styling. `expr(f)` is evaluated per
+ * property row (alias p) on the current roll, with `f` the county's fieldSql;
+ * categorical attributes are coloured by value, numeric ones by class breaks.
+ */
+const THEMATIC_ATTRIBUTES = {
+  market_value: {
+    label: "Market value",
+    type: "numeric",
+    format: "money",
+    expr: (f) => `${f("market_value")}::float8`,
+  },
+  value_per_acre: {
+    label: "Value per acre",
+    type: "numeric",
+    format: "money",
+    expr: (f) => `${f("market_value")}::float8 / NULLIF(COALESCE(${f("land_acres")}, ${f("legal_acreage")}), 0)`,
+  },
+  year_built: {
+    label: "Year built (oldest improvement)",
+    type: "numeric",
+    format: "year",
+    expr: () => `(SELECT MIN(im.yr_built)::float8 FROM improvement_master im
+            WHERE im.master_id = p.master_id AND im.prop_val_yr IS NOT DISTINCT FROM p.prop_val_yr
+              AND im.yr_built > 0)`,
+  },
+  land_type: {
+    label: "Land type (largest segment)",
+    type: "categorical",
+    expr: () => `(SELECT lm.land_type_cd FROM land_master lm
+            WHERE lm.master_id = p.master_id AND lm.prop_val_yr IS NOT DISTINCT FROM p.prop_val_yr
+            ORDER BY lm.size_acres DESC NULLS LAST LIMIT 1)`,
+  },
+  assessed_ratio: {
+    label: "Assessed / market ratio",
+    type: "numeric",
+    format: "ratio",
+    expr: (f) =>
+      `COALESCE(${f("curr_assessed_val")}, ${f("assessed_val")})::float8 / NULLIF(${f("market_value")}, 0)`,
+  },
+};
+
+const THEMATIC_METHODS = ["quantile", "equal_interval", "natural_breaks"];
+const THEMATIC_MAX_CLASSES = 9;
+const THEMATIC_MAX_CATEGORIES = 12;
+const THEMATIC_LIMIT = Number(process.env.THEMATIC_LIMIT || 20000);
+const JENKS_SAMPLE = 2000;
+
+/**
+ * Fisher–Jenks natural breaks. Returns the k-1 inner breaks (lower bound of
+ * classes 2..k) for an unsorted numeric array.
+ */
+function jenksBreaks(data, k) {
+  const v = data.slice().sort((a, b) => a - b);
+  const n = v.length;
+  if (n <= k) return [...new Set(v)].slice(1);
+
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const cost = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    cost[1][j] = 0;
+  }
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSq = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const start = l - m + 1;
+      const val = v[start - 1];
+      sum += val;
+      sumSq += val * val;
+      variance = sumSq - (sum * sum) / m;
+      if (start > 1) {
+        for (let j = 2; j <= k; j++) {
+          if (cost[l][j] >= variance + cost[start - 1][j - 1]) {
+            lower[l][j] = start;
+            cost[l][j] = variance + cost[start - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    cost[l][1] = variance;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const start = lower[end][j];
+    breaks.unshift(v[start - 1]);
+    end = start - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Classification for a thematic attribute over the whole current roll.
+ * numeric -> { min, max, count, breaks }; categorical -> { count, categories }.
+ */
+async function getThematicBreaks(attrId, method, classes) {
+  const attr = THEMATIC_ATTRIBUTES[attrId];
+  const source = `
+    SELECT ${attr.expr(fieldExpr)} AS v
+    FROM property_master p
+    WHERE ${CURRENT_ROLL_SQL}
+  `;
+
+  if (attr.type === "categorical") {
+    const r = await county().pool.query(
+      `SELECT v AS value, COUNT(*)::int AS count FROM (${source}) t
+       WHERE v IS NOT NULL GROUP BY v ORDER BY count DESC, v LIMIT $1`,
+      [THEMATIC_MAX_CATEGORIES]
+    );
+    return { count: r.rows.reduce((n, c) => n + c.count, 0), categories: r.rows };
+  }
+
+  const fractions = Array.from({ length: classes - 1 }, (_, i) => (i + 1) / classes);
+  const r = await county().pool.query(
+    `SELECT MIN(v) AS min, MAX(v) AS max, COUNT(v)::int AS count,
+            percentile_cont($1::float8[]) WITHIN GROUP (ORDER BY v) AS quantiles
+     FROM (${source}) t`,
+    [fractions]
+  );
+  const { min, max, count, quantiles } = r.rows[0];
+  if (!count) return { min: null, max: null, count: 0, breaks: [] };
+
+  let breaks;
+  if (method === "equal_interval") {
+    const step = (max - min) / classes;
+    breaks = fractions.map((_, i) => min + step * (i + 1));
+  } else if (method === "natural_breaks") {
+    const sample = await county().pool.query(
+      `SELECT v FROM (${source}) t WHERE v IS NOT NULL ORDER BY random() LIMIT $1`,
+      [JENKS_SAMPLE]
+    );
+    breaks = jenksBreaks(sample.rows.map((row) => row.v), classes);
+  } else {
+    breaks = quantiles || [];
+  }
+  breaks = [...new Set(breaks.filter((b) => b > min && b <= max))];
+  return { min, max, count, breaks };
+}
+
+/* attribute value per parcel inside a bbox (current roll), for feature-state styling */
+async function getThematicValues(attrId, bbox, limit = THEMATIC_LIMIT) {
+  const attr = THEMATIC_ATTRIBUTES[attrId];
+  const q = `
+    SELECT * FROM (
+      SELECT p.master_id AS id, ${attr.expr(fieldExpr)} AS v
+      FROM property_master p
+      WHERE ${CURRENT_ROLL_SQL}
+        AND p.${GEOM_COLUMN} && ST_MakeEnvelope($1, $2, $3, $4, 4326)
+    ) t
+    WHERE v IS NOT NULL
+    LIMIT $5
+  `;
+  const r = await county().pool.query(q, [...bbox, limit + 1]);
+  return r.rows;
+}
+
+/* ------------------- parcel filters ------------------- */
+/**
+ * Parcels matching a structured filter: one page of summary rows plus the
+ * total count and per-row bbox.
+ */
+async function queryParcels(filter, { limit = 100, offset = 0, sort } = {}) {
+  const params = [];
+  const where = compileParcelFilter(filter, params, county().fields);
+  params.push(limit, offset);
+  const q = `
+    SELECT ${PROPERTY_FIELDS}, p.prop_val_yr, ${BBOX_SQL}, COUNT(*) OVER () AS total_count
+    FROM property_master p
+    WHERE ${where}
+    ORDER BY ${compileSort(sort, county().fields)}
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `;
+  const r = await county().pool.query(q, params);
+  const rows = r.rows || [];
+  if (rows.length) return { total: Number(rows[0].total_count), rows };
+  if (!offset) return { total: 0, rows };
+
+  // paged past the end: the window count is gone with the rows
+  const countParams = [];
+  const c = await county().pool.query(
+    `SELECT COUNT(*)::int AS n FROM property_master p WHERE ${compileParcelFilter(filter, countParams, county().fields)}`,
+    countParams
+  );
+  return { total: c.rows[0]?.n ?? 0, rows };
+}
+
+/* master_ids of every match (capped) — for map highlighting */
+async function queryParcelIds(filter, limit) {
+  const params = [];
+  const where = compileParcelFilter(filter, params, county().fields);
+  params.push(limit);
+  const r = await county().pool.query(
+    `SELECT p.master_id FROM property_master p WHERE ${where} LIMIT $${params.length}`,
+    params
+  );
+  return r.rows.map((row) => row.master_id);
+}
+
+/* ---------------------- copilot ----------------------- */
+/**
+ * Natural-language parcel questions -> structured filter (see filters.js)
+ * -> parameterized SQL. Parsing is pluggable (copilot.js): COPILOT_PROVIDER=rules
+ * (default, deterministic, offline) or a path to a module exporting
+ *   async parse(question) -> { conditions, match?, sort?, limit?, interpretation? }
+ * Whatever a provider returns is still compiled through the whitelist above.
+ */
+const COPILOT_LIMIT = 500;
+
+const copilotProvider = loadCopilotProvider();
+
+/* ------------------- data versions -------------------- */
+// a table's row in data_versions (migration 006); "0" until a writer bumps it
+async function readDataVersion(name) {
+  const r = await county().pool.query("SELECT version::text AS v FROM data_versions WHERE name = $1", [name]);
+  return r.rows?.[0]?.v || "0";
+}
+
+/* -------------------- vector tiles -------------------- */
+/**
+ * Mapbox Vector Tiles straight from PostGIS (ST_AsMVT), served under the same
+ * /data/{name}.json + /data/{name}/{z}/{x}/{y}.pbf layout the viewer already
+ * expects from TILE_BASE, or under /data/{county}/... for a given county.
+ * Layers are described in each county's layers.json, which doubles as the
+ * overlay catalog (kind: "overlay") behind GET /api/layers.
+ */
+const IDENT_RX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TILE_CACHE_SIZE = Number(process.env.TILE_CACHE_SIZE ?? 2000);
+const TILE_CACHE_DIR = process.env.TILE_CACHE_DIR || "";
+const TILE_CACHE_CHECK_MS = Number(process.env.TILE_CACHE_CHECK_MS || 30000);
+
+function loadTileLayers(file) {
+  const { layers = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const byId = new Map();
+  for (const l of layers) {
+    const layer = {
+      kind: "overlay",
+      title: l.id,
+      geometryType: "polygon",
+      minzoom: 0,
+      maxzoom: 14,
+      fields: {},
+      attribution: "",
+      ...l,
+      style: { color: "#0088ff", opacity: 0.35, enabled: false, ...(l.style || {}) },
+      geometryColumn: l.geometryColumn || GEOM_COLUMN,
+      idColumn: l.idColumn || "id",
+    };
+    const recordCols = layer.records ? Object.entries(layer.records).filter(([k]) => k !== "kind").map(([, v]) => v) : [];
+    const idents = [layer.table, layer.geometryColumn, layer.idColumn, ...Object.keys(layer.fields), ...recordCols];
+    const bad = idents.find((i) => !IDENT_RX.test(String(i)));
+    if (bad) throw new Error(`layers config: invalid identifier "${bad}" in layer ${l.id}`);
+    if (!["polygon", "line", "point"].includes(layer.geometryType)) {
+      throw new Error(`layers config: geometryType must be polygon, line or point (layer ${l.id})`);
+    }
+    byId.set(layer.id, layer);
+  }
+  return byId;
+}
+
+// small LRU: Map keeps insertion order, re-insert on hit
+const tileCache = new Map();
+function tileCacheGet(key) {
+  const hit = tileCache.get(key);
+  if (hit) {
+    tileCache.delete(key);
+    tileCache.set(key, hit);
+  }
+  return hit;
+}
+function tileCacheSet(key, buf) {
+  if (!TILE_CACHE_SIZE) return;
+  tileCache.set(key, buf);
+  while (tileCache.size > TILE_CACHE_SIZE) tileCache.delete(tileCache.keys().next().value);
+}
+
+/**
+ * Per-layer data version: the layer table's row in data_versions, re-read at
+ * most every TILE_CACHE_CHECK_MS. When a writer bumps it, every cached tile of
+ * that layer is dropped (memory) or orphaned (disk, keyed by version).
+ */
+const layerVersions = new Map(); // county/id -> { version, checkedAt, bounds }
+async function getLayerVersion(layer) {
+  const countyId = county().id;
+  const cacheId = `${countyId}/${layer.id}`;
+  const now = Date.now();
+  const known = layerVersions.get(cacheId);
+  if (known && now - known.checkedAt < TILE_CACHE_CHECK_MS) return known.version;
+
+  const version = await readDataVersion(layer.table);
+  if (known && known.version !== version) {
+    for (const key of tileCache.keys()) if (key.startsWith(`${cacheId}/`)) tileCache.delete(key);
+    if (TILE_CACHE_DIR) {
+      fs.promises
+        .rm(path.join(TILE_CACHE_DIR, countyId, layer.id, known.version), { recursive: true, force: true })
+        .catch(() => {});
+    }
+    console.log(`🧹 tile cache invalidated for ${cacheId}`);
+  }
+  layerVersions.set(cacheId, {
+    version,
+    checkedAt: now,
+    bounds: known && known.version === version ? known.bounds : undefined,
+  });
+  return version;
+}
+
+async function getLayerBounds(layer) {
+  await getLayerVersion(layer);
+  const entry = layerVersions.get(`${county().id}/${layer.id}`);
+  if (entry.bounds !== undefined) return entry.bounds;
+
+  const g = `"${layer.geometryColumn}"`;
+  let bounds = null;
+  try {
+    const r = await county().pool.query(
+      `SELECT ST_XMin(e) AS w, ST_YMin(e) AS s, ST_XMax(e) AS e, ST_YMax(e) AS n
+       FROM (SELECT ST_Extent(${g}) AS e FROM "${layer.table}") x`
+    );
+    const b = r.rows?.[0];
+    if (b && b.w != null) bounds = [b.w, b.s, b.e, b.n];
+  } catch (err) {
+    console.warn(`bounds for ${layer.id} failed:`, err.message);
+  }
+  entry.bounds = bounds;
+  return bounds;
+}
+
+async function renderTile(layer, z, x, y) {
+  const g = `t."${layer.geometryColumn}"`;
+  const fieldSql = Object.keys(layer.fields).map((f) => `, t."${f}"`).join("");
+  // the parcel table holds a row per roll year: draw the latest roll only, once per parcel
+  const rollSql = layer.kind === "base"
+    ? `AND t.prop_val_yr IS NOT DISTINCT FROM (SELECT MAX(prop_val_yr) FROM "${layer.table}")`
+    : "";
+  const q = `
+    WITH bounds AS (
+      SELECT ST_TileEnvelope($1, $2, $3) AS geom
+    ),
+    mvtgeom AS (
       SELECT
-        COUNT(*)::int AS improvements,
-        COALESCE(
-          jsonb_agg(
-            jsonb_build_object(
-              'improvement_id', im.improvement_id,
-              'imprv_type_desc', im.imprv_type_desc,
-              'imprv_val', im.imprv_val,
-              'yr_built', im.yr_built,
-              'imprv_det_area', im.imprv_det_area,
-              'prop_num', im.prop_num
-            )
-            ORDER BY im.improvement_id
-          ), '[]'::jsonb
-        ) AS improvements_list
-      FROM ${TARGET_SCHEMA}.improvement_master im
-      JOIN base b ON im.master_id = b.master_id
+        ST_AsMVTGeom(ST_Transform(${g}, 3857), b.geom, 4096, 64, true) AS geom,
+        t."${layer.idColumn}"::text AS "${layer.idColumn}"
+        ${fieldSql}
+      FROM "${layer.table}" t, bounds b
+      WHERE ${g} && ST_Transform(b.geom, 4326)
+        ${rollSql}
+    )
+    SELECT ST_AsMVT(mvtgeom, $4, 4096, 'geom') AS mvt
+    FROM mvtgeom
+  `;
+  const r = await county().pool.query(q, [z, x, y, layer.id]);
+  return r.rows?.[0]?.mvt || Buffer.alloc(0);
+}
+
+async function getTile(layer, z, x, y) {
+  const countyId = county().id;
+  const version = await getLayerVersion(layer);
+  const key = `${countyId}/${layer.id}/${version}/${z}/${x}/${y}`;
+
+  const cached = tileCacheGet(key);
+  if (cached) return cached;
+
+  const file = TILE_CACHE_DIR ? path.join(TILE_CACHE_DIR, countyId, layer.id, version, String(z), String(x), `${y}.pbf`) : null;
+  if (file) {
+    try {
+      const buf = await fs.promises.readFile(file);
+      tileCacheSet(key, buf);
+      return buf;
+    } catch {}
+  }
+
+  const buf = await renderTile(layer, z, x, y);
+  tileCacheSet(key, buf);
+  if (file) {
+    fs.promises
+      .mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(file, buf))
+      .catch((err) => console.warn("tile disk cache write failed:", err.message));
+  }
+  return buf;
+}
+
+/**
+ * Features of one overlay layer intersecting a parcel. coverage_pct is the
+ * share of the parcel's area covered (polygon overlays only).
+ */
+async function getOverlayHits(layer, masterId) {
+  const g = `t."${layer.geometryColumn}"`;
+  const props = Object.keys(layer.fields).map((f) => `'${f}', t."${f}"`).join(", ");
+  const q = `
+    WITH parcel AS (
+      SELECT p.${GEOM_COLUMN} AS geom
+      FROM property_master p
+      WHERE p.master_id = $1::uuid AND p.${GEOM_COLUMN} IS NOT NULL
+      ORDER BY p.prop_val_yr DESC NULLS LAST
+      LIMIT 1
     )
     SELECT
-      base.*,
-      land.land_segments,
-      land.area_acres,
-      land.land_segments_list,
-      impr.improvements,
-      impr.improvements_list
-    FROM base
-    LEFT JOIN land ON TRUE
-    LEFT JOIN impr ON TRUE
+      t."${layer.idColumn}"::text AS feature_id,
+      jsonb_build_object(${props}) AS properties,
+      CASE WHEN ST_Dimension(${g}) = 2 THEN
+        ROUND((100 * ST_Area(ST_Intersection(ST_MakeValid(${g}), ST_MakeValid(parcel.geom))::geography)
+          / NULLIF(ST_Area(parcel.geom::geography), 0))::numeric, 2)::float
+      END AS coverage_pct
+    FROM "${layer.table}" t, parcel
+    WHERE ${g} && parcel.geom
+      AND ST_Intersects(${g}, parcel.geom)
+    ORDER BY coverage_pct DESC NULLS LAST
+    LIMIT 200
   `;
-  const r = await pool.query(q, [propId]);
+  const r = await county().pool.query(q, [masterId]);
+  return r.rows || [];
+}
+
+// record columns a layers.json `records` block can map (all optional)
+const RECORD_FIELDS = ["number", "type", "status", "date", "result", "address"];
+
+// a record's `date` as ms since the epoch: ISO dates/timestamps or US MM/DD/YYYY; NaN otherwise
+function recordTime(value) {
+  const text = String(value ?? "").trim();
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})\b/.exec(text);
+  if (us) return Date.UTC(Number(us[3]), Number(us[1]) - 1, Number(us[2]));
+  return text ? Date.parse(text) : NaN;
+}
+
+/**
+ * Permit / inspection rows of one records layer that belong to a parcel:
+ * located on the parcel, or filed against its situs address.
+ */
+async function getParcelRecords(layer, masterId) {
+  const rec = layer.records;
+  const g = `t."${layer.geometryColumn}"`;
+  const col = (k) => (rec[k] ? `t."${rec[k]}"::text` : "NULL::text");
+  const norm = (expr) => `upper(regexp_replace(btrim(${expr}), '\\s+', ' ', 'g'))`;
+  const select = `
+    SELECT
+      t."${layer.idColumn}"::text AS record_id,
+      ${RECORD_FIELDS.map((k) => `${col(k)} AS "${k}"`).join(",\n      ")}`;
+  const byAddress = rec.address
+    ? `
+      UNION
+      ${select}, 'address' AS matched_by
+      FROM "${layer.table}" t, parcel
+      WHERE parcel.situs_address IS NOT NULL
+        AND ${norm(`t."${rec.address}"`)} = ${norm("parcel.situs_address")}`
+    : "";
+  const q = `
+    WITH parcel AS (
+      SELECT p.${GEOM_COLUMN} AS geom, p.situs_address
+      FROM property_master p
+      WHERE p.master_id = $1::uuid
+      ORDER BY p.prop_val_yr DESC NULLS LAST
+      LIMIT 1
+    ),
+    hits AS (
+      ${select}, 'spatial' AS matched_by
+      FROM "${layer.table}" t, parcel
+      WHERE ${g} && parcel.geom
+        AND ST_Intersects(${g}, parcel.geom)
+      ${byAddress}
+    )
+    SELECT DISTINCT ON (record_id) *
+    FROM hits
+    ORDER BY record_id, matched_by DESC
+  `;
+  const r = await county().pool.query(q, [masterId]);
+  return r.rows || [];
+}
+
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+}
+
+/* -------------------- taxing units -------------------- */
+/**
+ * Taxing units are described in taxing_units.json as
+ * { id, name, type, rate, tax_year?, source?, jurisdiction?, exemptions? }.
+ * `rate` is per $100 of taxable value, adopted for `tax_year` as cited by
+ * `source`. A unit without `jurisdiction` levies on the whole roll;
+ * otherwise a parcel belongs to it when its point-on-surface falls inside a
+ * row of `jurisdiction.table` (where `column` = `value`, when given). No
+ * migration creates the boundary tables; until one is loaded its units are
+ * reported as unavailable. Exemption rules and the bill itself: taxes.js.
+ */
+const TAX_UNIT_TYPES = ["county", "city", "isd", "special"];
+
+function loadTaxingUnits(file) {
+  const { units = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const ids = new Set();
+  return units.map((u) => {
+    if (!u.id || !u.name || ids.has(u.id)) throw new Error(`taxing units config: every unit needs a unique id and a name (unit ${u.id})`);
+    if (!TAX_UNIT_TYPES.includes(u.type)) {
+      throw new Error(`taxing units config: type must be one of ${TAX_UNIT_TYPES.join(", ")} (unit ${u.id})`);
+    }
+    if (!(Number(u.rate) >= 0)) throw new Error(`taxing units config: rate must be a non-negative number (unit ${u.id})`);
+    if (u.tax_year != null && !Number.isInteger(u.tax_year)) {
+      throw new Error(`taxing units config: tax_year must be an integer (unit ${u.id})`);
+    }
+    const jurisdiction = u.jurisdiction ? { geometryColumn: GEOM_COLUMN, ...u.jurisdiction } : null;
+    if (jurisdiction) {
+      const idents = [jurisdiction.table, jurisdiction.geometryColumn, jurisdiction.column].filter((i) => i != null);
+      const bad = idents.find((i) => !IDENT_RX.test(String(i)));
+      if (bad) throw new Error(`taxing units config: invalid identifier "${bad}" in unit ${u.id}`);
+    }
+    ids.add(u.id);
+    return { ...u, rate: Number(u.rate), jurisdiction, exemptions: u.exemptions || {} };
+  });
+}
+
+// latest-roll assessed value of a parcel, or null when it isn't on the roll
+async function getTaxBase(masterId) {
+  const q = `
+    SELECT p.master_id, p.prop_id, p.prop_val_yr, ${fieldExpr("curr_assessed_val")} AS curr_assessed_val,
+           (p.${GEOM_COLUMN} IS NOT NULL) AS has_geom
+    FROM property_master p
+    WHERE p.master_id = $1::uuid
+    ORDER BY p.prop_val_yr DESC NULLS LAST
+    LIMIT 1
+  `;
+  const r = await county().pool.query(q, [masterId]);
   return r.rows?.[0] || null;
 }
 
+// does the parcel's point-on-surface fall inside the unit's jurisdiction polygon?
+// null when the boundary table hasn't been loaded
+async function inJurisdiction(jurisdiction, masterId) {
+  const t = await county().pool.query("SELECT to_regclass($1) IS NOT NULL AS loaded", [`"${jurisdiction.table}"`]);
+  if (!t.rows?.[0]?.loaded) return null;
+  const g = `j."${jurisdiction.geometryColumn}"`;
+  const byValue = jurisdiction.column != null;
+  const q = `
+    WITH parcel AS (
+      SELECT ST_PointOnSurface(p.${GEOM_COLUMN}) AS pt
+      FROM property_master p
+      WHERE p.master_id = $1::uuid AND p.${GEOM_COLUMN} IS NOT NULL
+      ORDER BY p.prop_val_yr DESC NULLS LAST
+      LIMIT 1
+    )
+    SELECT EXISTS (
+      SELECT 1
+      FROM "${jurisdiction.table}" j, parcel
+      WHERE ${g} && parcel.pt
+        AND ST_Covers(${g}, parcel.pt)
+        ${byValue ? `AND j."${jurisdiction.column}"::text = $2` : ""}
+    ) AS inside
+  `;
+  const r = await county().pool.query(q, byValue ? [masterId, String(jurisdiction.value)] : [masterId]);
+  return Boolean(r.rows?.[0]?.inside);
+}
+
+/* ------------------- details cache -------------------- */
+/**
+ * Finished GET /api/details/:id bodies, LRU by county + summary version + id +
+ * year, with an ETag over the version and body. The version is parcel_summary's
+ * row in data_versions (migration 006), which import-roll bumps in the same
+ * transaction as its REFRESH, so after an import every key and ETag changes;
+ * it's re-read at most every TILE_CACHE_CHECK_MS.
+ */
+const DETAILS_CACHE_SIZE = Number(process.env.DETAILS_CACHE_SIZE ?? 5000);
+const DETAILS_MAX_AGE = Number(process.env.DETAILS_MAX_AGE ?? 0);
+
+const detailsCache = new Map();
+function detailsCacheGet(key) {
+  const hit = detailsCache.get(key);
+  if (hit) {
+    detailsCache.delete(key);
+    detailsCache.set(key, hit);
+  }
+  return hit;
+}
+function detailsCacheSet(key, entry) {
+  if (!DETAILS_CACHE_SIZE) return;
+  detailsCache.set(key, entry);
+  while (detailsCache.size > DETAILS_CACHE_SIZE) detailsCache.delete(detailsCache.keys().next().value);
+}
+
+const summaryVersions = new Map(); // county -> { version, checkedAt }
+async function getSummaryVersion() {
+  const c = county();
+  if (c.repo.kind !== "postgres") return "0"; // fixtures don't change under a running process
+  const now = Date.now();
+  const known = summaryVersions.get(c.id);
+  if (known && now - known.checkedAt < TILE_CACHE_CHECK_MS) return known.version;
+
+  const version = await readDataVersion("parcel_summary");
+  if (known && known.version !== version) {
+    for (const key of detailsCache.keys()) if (key.startsWith(`${c.id}/`)) detailsCache.delete(key);
+    console.log(`🧹 details cache invalidated for ${c.id}`);
+  }
+  summaryVersions.set(c.id, { version, checkedAt: now });
+  return version;
+}
+
+function detailsEntry(body, version) {
+  const json = JSON.stringify(body);
+  return { json, etag: `"${version}-${crypto.createHash("sha1").update(json).digest("base64url")}"` };
+}
+
+/* ---------------------- counties ---------------------- */
+/**
+ * Every county profile (counties.js) gets its own pool, with search_path set
+ * to the county's schema, plus its repository, tile layers and taxing units.
+ * /api/{county}/... and /data/{county}/... are rewritten to the plain routes
+ * and handled inside countyContext; unscoped paths get the default county.
+ * Helpers reach the current county through county().
+ */
+const countyContext = new AsyncLocalStorage();
+
+// payload fields that ids, search, portfolio, filters and stats read from fixed columns
+const UNMAPPABLE_FIELDS = new Set([
+  "master_id", "prop_id", "prop_val_yr", "address", "city", "zip", "situs_street_name", "geo_id", "owner_name",
+  "legal_desc", "prop_type_cd",
+]);
+
+function openCounty(profile) {
+  const payloadFields = new Set(Object.keys(defaultPayload({})));
+  const columns = new Set([...PROPERTY_COLUMNS, "prop_val_yr"]);
+  for (const [field, column] of Object.entries(profile.fields)) {
+    if (!payloadFields.has(field)) throw new Error(`counties config: unknown payload field "${field}" (county ${profile.id})`);
+    if (UNMAPPABLE_FIELDS.has(field)) throw new Error(`counties config: "${field}" can't be remapped (county ${profile.id})`);
+    if (!columns.has(column)) throw new Error(`counties config: "${column}" isn't a property_master column (county ${profile.id})`);
+  }
+  const pool = createPool(`parcel-viewer-api:${profile.id}`, profile.schema);
+  pool.on("connect", () => {
+    console.log(`✅ DB connected (county=${profile.id}, schema=${profile.schema}, ssl=${process.env.DB_SSL === "true"})`);
+  });
+  pool.on("error", (err) => {
+    console.error(`🐘 PG pool error (${profile.id}):`, err);
+  });
+  return {
+    ...profile,
+    pool,
+    repo: createRepository(pool, profile.dataDir, { fields: profile.fields }),
+    layers: loadTileLayers(profile.layersFile),
+    taxingUnits: loadTaxingUnits(profile.taxingUnitsFile),
+  };
+}
+
+const { defaultId: DEFAULT_COUNTY, counties: countyProfiles } = loadCounties();
+const COUNTIES = new Map([...countyProfiles.values()].map((p) => [p.id, openCounty(p)]));
+for (const c of COUNTIES.values()) {
+  // /data/{county}/... would shadow the plain tile URLs of a layer named like a county
+  const clash = [...c.layers.keys()].find((id) => COUNTIES.has(id));
+  if (clash) throw new Error(`layers config: layer id "${clash}" (county ${c.id}) is also a county id`);
+}
+
+function county() {
+  return countyContext.getStore() || COUNTIES.get(DEFAULT_COUNTY);
+}
+
+// public part of a profile, for the viewer
+function countyInfo(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    default: c.id === DEFAULT_COUNTY,
+    map: c.map,
+    branding: c.branding,
+    baseLayer: [...c.layers.values()].find((l) => l.kind === "base")?.id ?? null,
+  };
+}
+
+const COUNTY_PATH_RX = /^\/(api|data)\/([^/?]+)(\/.*)?$/;
+app.use((req, _res, next) => {
+  const m = req.url.match(COUNTY_PATH_RX);
+  const scoped = m && COUNTIES.get(m[2]);
+  if (scoped) req.url = `/${m[1]}${m[3] || ""}`;
+  countyContext.run(scoped || COUNTIES.get(DEFAULT_COUNTY), next);
+});
+
 /* ----------------------- routes ----------------------- */
 
+// routes built on PostGIS / SQL aggregates; the file data source only answers
+// details, search and selection, so these say so instead of failing
+function postgresOnly(_req, res, next) {
+  if (county().repo.kind === "postgres") return next();
+  return res.status(501).json({ error: "Not available with the file data source" });
+}
+
 // health
 app.get("/health", async (_req, res) => {
   try {
-    await pool.query("SELECT 1");
-    res.json({ ok: true });
+    if (county().repo.kind === "postgres") await county().pool.query("SELECT 1");
+    res.json({ ok: true, source: county().repo.kind });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+/**
+ * GET /api/counties
+ * County profiles served here (map center/bounds, branding, base layer), plus
+ * the request size limits clients must stay under: `limits.selection`
+ * (SELECTION_LIMIT, master_ids per POST /api/stats) and `limits.batch`
+ * (BATCH_LIMIT, ids per POST /api/details/batch).
+ * Every /api/... and /data/... route also answers as /api/{id}/... and
+ * /data/{id}/...; the unscoped form uses the default county.
+ */
+app.get("/api/counties", (_req, res) => {
+  res.json({
+    default: DEFAULT_COUNTY,
+    counties: [...COUNTIES.values()].map(countyInfo),
+    limits: { selection: SELECTION_LIMIT, batch: BATCH_LIMIT },
+  });
+});
+
 /**
  * GET /api/details/:id
  * :id may be a UUID master_id OR a prop_id (string/number).
+ * A prop_id shared by several master records answers with
+ * { note: "ambiguous", candidates } instead of picking one.
+ * ?year= selects a certified roll (default: latest).
+ * Parcel answers are served from the details cache with an ETag and
+ * Cache-Control: private, max-age=DETAILS_MAX_AGE; If-None-Match gets a 304.
  */
 app.get("/api/details/:id", async (req, res) => {
   const id = (req.params.id || "").trim();
+  const year = parseYear(req.query.year);
+  if (Number.isNaN(year)) return res.status(400).json({ error: "year must be a 4-digit roll year" });
+  const sendEntry = (entry) => {
+    res.set("Cache-Control", `private, max-age=${DETAILS_MAX_AGE}`);
+    res.set("ETag", entry.etag);
+    if (req.fresh) return res.status(304).end();
+    return res.type("json").send(entry.json);
+  };
   try {
+    const version = await getSummaryVersion();
+    const cacheKey = `${county().id}/${version}/${id}/${year ?? ""}`;
+    const cached = detailsCacheGet(cacheKey);
+    if (cached) return sendEntry(cached);
+
     let row = null;
 
-    if (UUID_RX.test(id)) row = await getDetailsByMasterId(id);
-    if (!row) row = await getDetailsByPropId(id);
+    if (UUID_RX.test(id)) row = await county().repo.getDetailsByMasterId(id, year);
+    if (!row) {
+      const resolved = await resolvePropId(id, year);
+      if (resolved.candidates) {
+        return res.json({ details: null, note: "ambiguous", candidates: resolved.candidates });
+      }
+      row = resolved.row;
+    }
 
     if (!row) return res.json({ details: null, note: "no_match" });
 
-    return res.json({ details: toPayload(row) });
+    const entry = detailsEntry({ details: toPayload(row), bbox: row.bbox ?? null }, version);
+    detailsCacheSet(cacheKey, entry);
+    return sendEntry(entry);
   } catch (err) {
     console.error("details route error:", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
+/**
+ * POST /api/details/batch
+ * Body: { ids: [master_id | prop_id, ...], year? } with up to BATCH_LIMIT ids.
+ * results holds { id, details, bbox } per resolved id in request order;
+ * not_found lists ids that matched nothing and ambiguous the prop_ids shared
+ * by several master records (with candidates, as GET /api/details/:id).
+ */
+app.post("/api/details/batch", async (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.ids) || !body.ids.length) {
+    return res.status(400).json({ error: "ids must be a non-empty array of master_ids or prop_ids" });
+  }
+  const ids = [...new Set(body.ids.map((v) => String(v ?? "").trim()).filter(Boolean))];
+  if (ids.length > BATCH_LIMIT) return res.status(400).json({ error: `at most ${BATCH_LIMIT} ids per request` });
+  const year = parseYear(body.year);
+  if (Number.isNaN(year)) return res.status(400).json({ error: "year must be a 4-digit roll year" });
+
+  const masterIds = ids.filter((id) => UUID_RX.test(id)).map((id) => id.toLowerCase());
+  const propIds = [...new Set(ids.map(propKey).filter(Boolean))];
+  try {
+    const [masterRows, propRows] = await Promise.all([
+      masterIds.length ? county().repo.getDetailsForMasterIds(masterIds, year) : [],
+      propIds.length ? county().repo.getDetailsForPropIds(propIds, year) : [],
+    ]);
+    const byMaster = new Map(masterRows.map((r) => [String(r.master_id).toLowerCase(), r]));
+    const byProp = new Map();
+    for (const r of propRows) {
+      const key = String(r.prop_id);
+      if (!byProp.has(key)) byProp.set(key, []);
+      byProp.get(key).push(r);
+    }
+
+    const results = [];
+    const notFound = [];
+    const ambiguous = [];
+    for (const id of ids) {
+      const rows = UUID_RX.test(id) ? [byMaster.get(id.toLowerCase())].filter(Boolean) : byProp.get(propKey(id)) || [];
+      if (!rows.length) notFound.push(id);
+      else if (rows.length > 1) {
+        ambiguous.push({
+          id,
+          candidates: rows.map((r) => toCandidate({ ...r, market_value: toPayload(r).market_value })),
+        });
+      } else results.push({ id, details: toPayload(rows[0]), bbox: rows[0].bbox ?? null });
+    }
+    return res.json({
+      requested: ids.length,
+      count: results.length,
+      master_ids: [...new Set(results.map((r) => r.details.master_id))],
+      results,
+      not_found: notFound,
+      ambiguous,
+    });
+  } catch (err) {
+    console.error("details/batch route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/search?q=&limit=
+ * Typeahead suggestions for the search box.
+ */
+app.get("/api/search", async (req, res) => {
+  const text = String(req.query.q || "").trim();
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), SEARCH_LIMIT);
+  if (text.length < 2) return res.json({ q: text, results: [] });
+  try {
+    const rows = await county().repo.searchParcels(text, limit);
+    return res.json({
+      q: text,
+      results: rows.map((r) => ({
+        master_id: r.master_id,
+        prop_id: r.prop_id,
+        address: r.situs_address,
+        city: r.situs_city,
+        zip: r.situs_zip,
+        geo_id: r.geo_id,
+        legal_desc: r.legal_desc,
+        owner_name: r.py_owner_name,
+        matched_on: r.matched_on,
+      })),
+    });
+  } catch (err) {
+    console.error("search route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/years
+ * Roll years available for the parcel, newest first (drives the year selector).
+ */
+app.get("/api/details/:id/years", async (req, res) => {
+  const id = (req.params.id || "").trim();
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ years: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ years: [], note: "no_match" });
+    return res.json({ master_id: masterId, years: await county().repo.getRollYears(masterId) });
+  } catch (err) {
+    console.error("years route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/history
+ * Market / assessed / land / improvement value per roll year with
+ * year-over-year change.
+ */
+app.get("/api/details/:id/history", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ history: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ history: [], note: "no_match" });
+    const rows = await getValuationHistory(masterId);
+    return res.json({ master_id: masterId, history: withYearOverYear(rows) });
+  } catch (err) {
+    console.error("history route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/portfolio
+ * Other parcels held by this parcel's owner, with a combined bbox for zooming.
+ */
+app.get("/api/details/:id/portfolio", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ parcels: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ parcels: [], note: "no_match" });
+
+    const { owner_name, rows } = await getOwnerPortfolio(masterId);
+    if (!owner_name) return res.json({ parcels: [], note: "no_owner" });
+
+    const truncated = rows.length > SELECTION_LIMIT;
+    const kept = rows.slice(0, SELECTION_LIMIT);
+    return res.json({
+      owner_name,
+      count: kept.length,
+      truncated,
+      bbox: mergeBBoxes(kept.map((r) => r.bbox)),
+      parcels: kept.map(toPayload),
+    });
+  } catch (err) {
+    console.error("portfolio route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/notify?distance=200&include_subject=false
+ * Notification radius: every parcel within `distance` feet of the subject
+ * parcel plus a deduplicated owner mailing list. The subject parcel is left
+ * out unless include_subject=true.
+ */
+app.get("/api/details/:id/notify", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  const distanceFt = Number(req.query.distance ?? 200);
+  if (!Number.isFinite(distanceFt) || distanceFt <= 0 || distanceFt > NOTIFY_MAX_FT) {
+    return res.status(400).json({ error: `distance must be between 0 and ${NOTIFY_MAX_FT} feet` });
+  }
+  const includeSubject = req.query.include_subject === "true";
+
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ parcels: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ parcels: [], note: "no_match" });
+
+    const { buffer, bbox, rows } = await getNotificationParcels(masterId, distanceFt);
+    if (!buffer) return res.json({ parcels: [], note: "no_geometry" });
+
+    const truncated = rows.length > SELECTION_LIMIT;
+    const parcels = rows
+      .slice(0, SELECTION_LIMIT)
+      .map((r) => ({
+        ...toPayload(r),
+        is_subject: r.master_id === masterId,
+        distance_ft: Math.round(r.distance_m * FEET_PER_METER),
+      }))
+      .filter((p) => includeSubject || !p.is_subject);
+    const { list, missing } = toMailingList(parcels);
+
+    return res.json({
+      subject_id: masterId,
+      distance_ft: distanceFt,
+      buffer,
+      bbox,
+      count: parcels.length,
+      truncated,
+      parcels,
+      mailing_list: list,
+      missing_address: missing,
+    });
+  } catch (err) {
+    console.error("notify route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/comps?radius=1&limit=10&same_type=false
+ * Nearby comparables ranked by similarity (property type, land type, acres,
+ * improvement area, year built, distance). `radius` is in miles.
+ */
+app.get("/api/details/:id/comps", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  const radiusMi = Number(req.query.radius ?? 1);
+  if (!Number.isFinite(radiusMi) || radiusMi <= 0 || radiusMi > COMPS_MAX_RADIUS_MI) {
+    return res.status(400).json({ error: `radius must be between 0 and ${COMPS_MAX_RADIUS_MI} miles` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ comps: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ comps: [], note: "no_match" });
+
+    const result = await getComps(masterId, { radiusMi, limit, sameType: req.query.same_type === "true" });
+    if (!result) return res.json({ comps: [], note: "no_geometry" });
+
+    // per-parcel bboxes only feed the combined extent
+    const withoutBBox = ({ bbox, ...rest }) => rest;
+    return res.json({
+      radius_mi: radiusMi,
+      subject: withoutBBox(result.subject),
+      count: result.comps.length,
+      bbox: mergeBBoxes([result.subject.bbox, ...result.comps.map((c) => c.bbox)]),
+      comps: result.comps.map(withoutBBox),
+    });
+  } catch (err) {
+    console.error("comps route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/taxes?homestead=true&over65=true
+ * Estimated tax bill per taxing unit from the latest curr_assessed_val.
+ * Over-65 implies homestead. Units whose jurisdiction couldn't be checked (no
+ * parcel geometry, missing boundary table) are listed under `unavailable`.
+ */
+app.get("/api/details/:id/taxes", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  const claimed = claimedExemptions({ homestead: req.query.homestead === "true", over65: req.query.over65 === "true" });
+
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ units: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ units: [], note: "no_match" });
+
+    const base = await getTaxBase(masterId);
+    if (!base) return res.json({ units: [], note: "no_match" });
+
+    const unavailable = [];
+    const applies = await Promise.all(
+      county().taxingUnits.map((u) => {
+        if (!u.jurisdiction) return true;
+        if (!base.has_geom) {
+          unavailable.push(u.id);
+          return false;
+        }
+        return inJurisdiction(u.jurisdiction, masterId).then((inside) => {
+          if (inside == null) unavailable.push(u.id);
+          return Boolean(inside);
+        }, (err) => {
+          console.warn(`taxes: ${u.id} jurisdiction skipped:`, err.message);
+          unavailable.push(u.id);
+          return false;
+        });
+      })
+    );
+
+    const estimate = estimateTaxes(base.curr_assessed_val, county().taxingUnits.filter((_, i) => applies[i]), claimed);
+    return res.json({
+      master_id: masterId,
+      prop_id: base.prop_id,
+      prop_val_yr: base.prop_val_yr ?? null,
+      exemptions: claimed,
+      ...estimate,
+      unavailable,
+    });
+  } catch (err) {
+    console.error("taxes route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/permits
+ * Building permits and environmental inspections tied to the parcel
+ * (spatially or by situs address), newest first by `date` (ISO or
+ * MM/DD/YYYY). Sources are the layers.json entries with a `records` mapping.
+ */
+app.get("/api/details/:id/permits", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ records: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ records: [], note: "no_match" });
+
+    const layers = [...county().layers.values()].filter((l) => l.records);
+    const unavailable = [];
+    const results = await Promise.all(
+      layers.map((layer) =>
+        getParcelRecords(layer, masterId).catch((err) => {
+          console.warn(`permits: ${layer.id} skipped:`, err.message);
+          unavailable.push(layer.id);
+          return [];
+        })
+      )
+    );
+
+    const records = results
+      .flatMap((rows, i) =>
+        rows.map((r) => ({
+          source: layers[i].id,
+          source_title: layers[i].title,
+          kind: layers[i].records.kind || "record",
+          ...r,
+        }))
+      )
+      .map((r) => ({ record: r, time: recordTime(r.date) }))
+      // newest first, undated / unparseable last
+      .sort((a, b) => (Number.isNaN(a.time) - Number.isNaN(b.time)) || (b.time - a.time) || 0)
+      .map(({ record }) => record);
+    return res.json({ master_id: masterId, records, unavailable });
+  } catch (err) {
+    console.error("permits route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/details/:id/overlays
+ * Every overlay feature intersecting the parcel geometry, independent of what
+ * is switched on or where the user clicked. Layers whose table is missing are
+ * listed under `unavailable` instead of failing the whole report.
+ */
+app.get("/api/details/:id/overlays", postgresOnly, async (req, res) => {
+  const id = (req.params.id || "").trim();
+  try {
+    const { masterId, candidates } = await resolveMasterId(id);
+    if (candidates) return res.json({ overlays: [], note: "ambiguous", candidates });
+    if (!masterId) return res.json({ overlays: [], note: "no_match" });
+
+    const layers = [...county().layers.values()].filter((l) => l.kind === "overlay");
+    const unavailable = [];
+    const results = await Promise.all(
+      layers.map((layer) =>
+        getOverlayHits(layer, masterId).catch((err) => {
+          console.warn(`overlay report: ${layer.id} skipped:`, err.message);
+          unavailable.push(layer.id);
+          return [];
+        })
+      )
+    );
+
+    const overlays = results.flatMap((rows, i) =>
+      rows.map((r) => ({
+        layer: layers[i].id,
+        title: layers[i].title,
+        geometryType: layers[i].geometryType,
+        feature_id: r.feature_id,
+        coverage_pct: r.coverage_pct ?? null,
+        properties: r.properties || {},
+      }))
+    );
+    return res.json({ master_id: masterId, overlays, unavailable });
+  } catch (err) {
+    console.error("overlays route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/geojson/parcels
+ * Latest-roll parcel polygons as GeoJSON when DATA_SOURCE=files, so the viewer
+ * has a parcel layer without vector tiles. Properties follow the base layer's
+ * fields in layers.json.
+ */
+app.get("/api/geojson/parcels", (_req, res) => {
+  if (typeof county().repo.getParcelFeatures !== "function") {
+    return res.status(404).json({ error: "Parcel GeoJSON is only served by the files data source" });
+  }
+  const base = [...county().layers.values()].find((l) => l.kind === "base");
+  return res.json(county().repo.getParcelFeatures(Object.keys(base?.fields || {})));
+});
+
 /**
  * GET /api/parcels/:parcel_id
- * Used by the front-end “search” bar. Proxies by prop_id.
+ * Used by the front-end “search” bar. Proxies by prop_id (?year= as above).
  */
 app.get("/api/parcels/:parcel_id", async (req, res) => {
   const pid = (req.params.parcel_id || "").trim();
+  const year = parseYear(req.query.year);
+  if (Number.isNaN(year)) return res.status(400).json({ error: "year must be a 4-digit roll year" });
   try {
-    const row = await getDetailsByPropId(pid);
+    const { row, candidates } = await resolvePropId(pid, year);
+    if (candidates) return res.json({ details: null, note: "ambiguous", candidates });
     if (!row) return res.json({ details: null, note: "no_match" });
-    return res.json({ details: toPayload(row) });
+    return res.json({ details: toPayload(row), bbox: row.bbox ?? null });
   } catch (err) {
     console.error("parcels route error:", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
+/**
+ * GET /api/parcels/:id/geometry
+ * Parcel outline for fly-to/highlight when the feature isn't rendered.
+ */
+app.get("/api/parcels/:id/geometry", async (req, res) => {
+  const id = (req.params.id || "").trim();
+  const where = UUID_RX.test(id) ? { masterId: id } : propKey(id) ? { propId: propKey(id) } : null;
+  if (!where) return res.json({ geometry: null, note: "no_match" });
+  try {
+    const row = await county().repo.getParcelGeometry(where);
+    if (!row) return res.json({ geometry: null, note: "no_match" });
+    return res.json({
+      master_id: row.master_id,
+      prop_id: row.prop_id,
+      geometry: row.geometry,
+      bbox: row.bbox,
+      centroid: row.lon != null && row.lat != null ? [row.lon, row.lat] : null,
+    });
+  } catch (err) {
+    console.error("geometry route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/parcels/within
+ * Body: a GeoJSON Polygon/MultiPolygon (bare, as a Feature, or { geometry }).
+ * Returns every intersecting parcel, not just what the client has rendered.
+ */
+app.post("/api/parcels/within", async (req, res) => {
+  const geometry = toPolygonGeometry(req.body);
+  if (!geometry) {
+    return res.status(400).json({ error: "Body must be a GeoJSON Polygon or MultiPolygon" });
+  }
+  try {
+    const rows = await county().repo.getParcelsWithin(geometry, SELECTION_LIMIT);
+    const truncated = rows.length > SELECTION_LIMIT;
+    const parcels = rows.slice(0, SELECTION_LIMIT).map(toPayload);
+    return res.json({
+      count: parcels.length,
+      truncated,
+      master_ids: parcels.map((p) => p.master_id),
+      parcels,
+    });
+  } catch (err) {
+    console.error("parcels/within route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/stats
+ * Body: { master_ids: [uuid] } or { geometry } (GeoJSON Polygon/MultiPolygon,
+ * bare or as a Feature). Sum/median of values, total acres, counts by
+ * prop_type_cd and land_type_cd, and a year-built (decade) histogram.
+ */
+app.post("/api/stats", async (req, res) => {
+  const body = req.body || {};
+  const selection = {};
+  if (Array.isArray(body.master_ids)) {
+    const ids = [...new Set(body.master_ids.map(String))];
+    if (!ids.length) return res.status(400).json({ error: "master_ids is empty" });
+    if (ids.length > SELECTION_LIMIT) {
+      return res.status(400).json({ error: `Too many master_ids (max ${SELECTION_LIMIT})` });
+    }
+    if (!ids.every((id) => UUID_RX.test(id))) {
+      return res.status(400).json({ error: "master_ids must be UUIDs" });
+    }
+    selection.masterIds = ids;
+  } else {
+    selection.geometry = toPolygonGeometry(body);
+    if (!selection.geometry) {
+      return res.status(400).json({ error: "Provide master_ids or a GeoJSON Polygon/MultiPolygon geometry" });
+    }
+  }
+
+  try {
+    const row = await county().repo.getSelectionStats(selection);
+    return res.json({
+      count: row.parcel_count,
+      values: row.value_stats,
+      total_acres: row.total_acres ?? 0,
+      prop_types: row.prop_types,
+      land_types: row.land_types,
+      year_built: row.year_built,
+    });
+  } catch (err) {
+    console.error("stats route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/parcels/query/fields
+ * Fields and operators accepted by POST /api/parcels/query.
+ */
+app.get("/api/parcels/query/fields", (req, res) => {
+  res.json({
+    fields: filterCatalog(),
+    sorts: Object.keys(SORTABLE),
+    page_size_max: QUERY_PAGE_MAX,
+  });
+});
+
+/**
+ * POST /api/parcels/query
+ * Body: { conditions: [{ field, op, value }], match: "all"|"any",
+ *         sort: "market_value:desc", page: 1, page_size: 100, include_ids: false }
+ * Structured attribute filter over the current roll (property, land and
+ * improvement columns). include_ids adds every matching master_id (capped at
+ * SELECTION_LIMIT) for map highlighting.
+ */
+app.post("/api/parcels/query", postgresOnly, async (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+    return res.status(400).json({ error: "At least one condition is required" });
+  }
+  const page = Math.max(parseInt(body.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(body.page_size, 10) || 100, 1), QUERY_PAGE_MAX);
+  const filter = { conditions: body.conditions, match: body.match };
+
+  try {
+    const { total, rows } = await queryParcels(filter, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      sort: body.sort,
+    });
+    const parcels = rows.map(toPayload);
+    const out = {
+      count: total,
+      page,
+      page_size: pageSize,
+      pages: Math.ceil(total / pageSize),
+      bbox: mergeBBoxes(rows.map((r) => r.bbox)),
+      parcels,
+    };
+    if (body.include_ids) {
+      const ids = await queryParcelIds(filter, SELECTION_LIMIT + 1);
+      out.ids_truncated = ids.length > SELECTION_LIMIT;
+      out.master_ids = ids.slice(0, SELECTION_LIMIT);
+    }
+    return res.json(out);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("parcels/query route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/copilot
+ * Body: { question }. Plain-English parcel question -> structured filter ->
+ * parameterized SQL. Returns a map action plus the matching parcels.
+ */
+app.post("/api/copilot", postgresOnly, async (req, res) => {
+  const question = String(req.body?.question || "").trim();
+  if (!question) return res.status(400).json({ error: "Missing question" });
+  if (question.length > 500) return res.status(400).json({ error: "Question too long" });
+
+  let parsed;
+  let provider = copilotProvider.name;
+  try {
+    parsed = await copilotProvider.parse(question);
+  } catch (err) {
+    console.warn("copilot provider error, falling back to rules:", err.message);
+    parsed = await rulesProvider.parse(question);
+    provider = rulesProvider.name;
+  }
+
+  const conditions = Array.isArray(parsed?.conditions) ? parsed.conditions : [];
+  if (!conditions.length && !parsed?.sort) {
+    return res.json({
+      question,
+      provider,
+      interpretation: [],
+      count: 0,
+      action: null,
+      features: [],
+      note: "not_understood",
+    });
+  }
+
+  const limit = Math.min(Math.max(Number(parsed.limit) || 200, 1), COPILOT_LIMIT);
+  try {
+    const { total, rows } = await queryParcels(
+      { conditions, match: parsed.match },
+      { limit, sort: parsed.sort || "market_value:desc" }
+    );
+    const bbox = mergeBBoxes(rows.map((r) => r.bbox));
+    return res.json({
+      question,
+      provider,
+      interpretation: parsed.interpretation || [],
+      filter: { conditions, match: parsed.match || "all", sort: parsed.sort || null },
+      count: total,
+      truncated: total > rows.length,
+      action: bbox ? { type: "zoomToBBox", bbox } : null,
+      features: rows.map((r) => toCopilotFeature(toPayload(r))),
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("copilot route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/thematic
+ * Attributes and classification methods for choropleth styling.
+ */
+app.get("/api/thematic", (req, res) => {
+  res.json({
+    attributes: Object.entries(THEMATIC_ATTRIBUTES).map(([id, a]) => ({
+      id,
+      label: a.label,
+      type: a.type,
+      format: a.format || null,
+    })),
+    methods: THEMATIC_METHODS,
+    max_classes: THEMATIC_MAX_CLASSES,
+  });
+});
+
+/**
+ * GET /api/thematic/:attribute/breaks?method=quantile&classes=5
+ * Class breaks (numeric) or top categories computed over the whole current
+ * roll, so colours stay stable while the map pans.
+ */
+app.get("/api/thematic/:attribute/breaks", postgresOnly, async (req, res) => {
+  const attrId = req.params.attribute;
+  const attr = THEMATIC_ATTRIBUTES[attrId];
+  if (!attr) return res.status(404).json({ error: "Unknown attribute" });
+  const method = req.query.method || "quantile";
+  if (!THEMATIC_METHODS.includes(method)) return res.status(400).json({ error: "Unknown classification method" });
+  const classes = Number(req.query.classes || 5);
+  if (!Number.isInteger(classes) || classes < 2 || classes > THEMATIC_MAX_CLASSES) {
+    return res.status(400).json({ error: `classes must be 2-${THEMATIC_MAX_CLASSES}` });
+  }
+
+  try {
+    const out = await getThematicBreaks(attrId, method, classes);
+    return res.json({
+      attribute: attrId,
+      label: attr.label,
+      type: attr.type,
+      format: attr.format || null,
+      method: attr.type === "numeric" ? method : null,
+      classes: attr.type === "numeric" ? out.breaks.length + 1 : out.categories.length,
+      ...out,
+    });
+  } catch (err) {
+    console.error("thematic/breaks route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/thematic/:attribute/values?bbox=west,south,east,north
+ * { values: [{ id: master_id, v }] } for parcels in the viewport.
+ */
+app.get("/api/thematic/:attribute/values", postgresOnly, async (req, res) => {
+  const attrId = req.params.attribute;
+  if (!THEMATIC_ATTRIBUTES[attrId]) return res.status(404).json({ error: "Unknown attribute" });
+  const bbox = String(req.query.bbox || "").split(",").map(Number);
+  if (bbox.length !== 4 || bbox.some((n) => !Number.isFinite(n))) {
+    return res.status(400).json({ error: "bbox must be west,south,east,north" });
+  }
+
+  try {
+    const rows = await getThematicValues(attrId, bbox);
+    const truncated = rows.length > THEMATIC_LIMIT;
+    return res.json({ attribute: attrId, truncated, values: rows.slice(0, THEMATIC_LIMIT) });
+  } catch (err) {
+    console.error("thematic/values route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/layers
+ * Overlay catalog: what to draw, how (geometryType picks circle/line/fill),
+ * its default style, attribute schema and attribution.
+ */
+app.get("/api/layers", (req, res) => {
+  const base = publicBaseUrl(req);
+  const layers = [...county().layers.values()]
+    .filter((l) => l.kind === "overlay")
+    .map((l) => ({
+      id: l.id,
+      title: l.title,
+      sourceLayer: l.id,
+      geometryType: l.geometryType,
+      tilejson: `${base}/data/${county().id}/${l.id}.json`,
+      tiles: [`${base}/data/${county().id}/${l.id}/{z}/{x}/{y}.pbf`],
+      minzoom: l.minzoom,
+      maxzoom: l.maxzoom,
+      style: l.style,
+      fields: { [l.idColumn]: "String", ...l.fields },
+      attribution: l.attribution,
+    }));
+  res.json({ layers });
+});
+
+/**
+ * GET /data/:name.json
+ * TileJSON for a layer from layers.json. vector_layers carries the id column
+ * so the viewer's promoteId / pickIdPropertyNameFromLayerMeta logic works.
+ */
+app.get("/data/:name.json", async (req, res) => {
+  const layer = county().layers.get(req.params.name);
+  if (!layer) return res.status(404).json({ error: "Unknown layer" });
+  if (county().repo.kind !== "postgres") return res.status(404).json({ error: "Tiles need the postgres data source" });
+  try {
+    const base = publicBaseUrl(req);
+    const bounds = await getLayerBounds(layer);
+    return res.json({
+      tilejson: "3.0.0",
+      name: layer.id,
+      scheme: "xyz",
+      tiles: [`${base}/data/${county().id}/${layer.id}/{z}/{x}/{y}.pbf`],
+      minzoom: layer.minzoom,
+      maxzoom: layer.maxzoom,
+      ...(bounds ? { bounds } : {}),
+      ...(layer.attribution ? { attribution: layer.attribution } : {}),
+      vector_layers: [
+        {
+          id: layer.id,
+          minzoom: layer.minzoom,
+          maxzoom: layer.maxzoom,
+          fields: { [layer.idColumn]: "String", ...layer.fields },
+        },
+      ],
+    });
+  } catch (err) {
+    console.error("tilejson route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /data/:name/:z/:x/:y.pbf
+ * One MVT tile; empty (204) outside the layer's zoom range.
+ */
+app.get("/data/:name/:z/:x/:y.pbf", async (req, res) => {
+  const layer = county().layers.get(req.params.name);
+  if (!layer) return res.status(404).json({ error: "Unknown layer" });
+  if (county().repo.kind !== "postgres") return res.status(404).json({ error: "Tiles need the postgres data source" });
+
+  const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+  const max = 2 ** z;
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > 22 || x < 0 || y < 0 || x >= max || y >= max) {
+    return res.status(400).json({ error: "Invalid tile coordinates" });
+  }
+  if (z < layer.minzoom || z > layer.maxzoom) return res.status(204).end();
+
+  try {
+    const buf = await getTile(layer, z, x, y);
+    if (!buf.length) return res.status(204).end();
+    res.set("Content-Type", "application/vnd.mapbox-vector-tile");
+    res.set("Cache-Control", `public, max-age=${Math.round(TILE_CACHE_CHECK_MS / 1000)}`);
+    return res.send(buf);
+  } catch (err) {
+    console.error("tile route error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /* --------------- final error handler ------------------ */
 app.use((err, _req, res, _next) => {
   console.error("===== SERVER ERROR =====");
@@ -343,6 +2063,27 @@ app.use((err, _req, res, _next) => {
 
 /* ------------------------ start ----------------------- */
 const PORT = Number(process.env.PORT || 3000);
-app.listen(PORT, () => {
-  console.log(`🚀 API on http://localhost:${PORT}`);
-});
+
+// refuse to serve against a county schema older than the code's migrations
+async function checkSchemas() {
+  if (process.env.SKIP_SCHEMA_CHECK === "true") return;
+  for (const c of COUNTIES.values()) {
+    if (c.repo.kind !== "postgres") continue;
+    try {
+      await assertSchemaCurrent(c.pool, c.schema);
+    } catch (err) {
+      throw new Error(`county ${c.id}: ${err.message}`);
+    }
+  }
+}
+
+checkSchemas()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 API on http://localhost:${PORT} (counties: ${[...COUNTIES.keys()].join(", ")}; default ${DEFAULT_COUNTY})`);
+    });
+  })
+  .catch((err) => {
+    console.error(`❌ schema check failed: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// taxes.js — estimated tax bill per taxing unit (GET /api/details/:id/taxes)
+
+/**
+ * Exemption rules are { amount, pct, min } per unit and exemption type:
+ * amount + max(pct × value, min).
+ */
+const TAX_EXEMPTIONS = ["homestead", "over65"];
+
+// the exemptions an owner claims; over-65 implies homestead
+function claimedExemptions({ homestead = false, over65 = false } = {}) {
+  return { homestead: Boolean(homestead || over65), over65: Boolean(over65) };
+}
+
+function exemptionAmount(rule, value) {
+  const pct = Number(rule.pct) || 0;
+  return (Number(rule.amount) || 0) + (pct ? Math.max(value * pct, Number(rule.min) || 0) : 0);
+}
+
+/**
+ * Per-unit bill for an assessed value. `claimed` flags which exemptions the
+ * owner qualifies for; each unit only grants the ones it defines, capped at
+ * the assessed value.
+ */
+function estimateTaxes(assessedValue, units, claimed) {
+  const value = Math.max(Number(assessedValue) || 0, 0);
+  const rows = units.map((u) => {
+    const exemptions = TAX_EXEMPTIONS
+      .filter((k) => claimed[k] && u.exemptions[k])
+      .map((k) => ({ type: k, amount: Math.round(exemptionAmount(u.exemptions[k], value)) }));
+    const exempt = Math.min(exemptions.reduce((sum, e) => sum + e.amount, 0), value);
+    const taxable = value - exempt;
+    return {
+      id: u.id,
+      name: u.name,
+      type: u.type,
+      rate: u.rate,
+      tax_year: u.tax_year ?? null,
+      source: u.source ?? null,
+      exemptions,
+      exemption_total: exempt,
+      taxable_value: taxable,
+      tax: Math.round(taxable * u.rate) / 100,
+    };
+  });
+  const total = Math.round(rows.reduce((sum, r) => sum + r.tax * 100, 0)) / 100;
+  return {
+    assessed_value: value,
+    units: rows,
+    total_tax: total,
+    effective_rate: value ? Math.round((total / value) * 1e6) / 1e4 : null,
+  };
+}
+
+module.exports = { TAX_EXEMPTIONS, claimedExemptions, exemptionAmount, estimateTaxes };
@@ -0,0 +1,28 @@
+// copilot.test.js — rule parser output and the feature shape the map highlight reads
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rulesProvider, toCopilotFeature } = require("../copilot");
+
+test("rules parser turns a question into whitelisted conditions", async () => {
+  const parsed = await rulesProvider.parse("vacant land over 10 acres in 78704 worth under $200k");
+  assert.deepEqual(parsed.conditions, [
+    { field: "improvement_count", op: "eq", value: 0 },
+    { field: "land_acres", op: "gt", value: 10 },
+    { field: "market_value", op: "lt", value: 200000 },
+    { field: "situs_zip", op: "in", value: ["78704"] },
+  ]);
+});
+
+test("copilot features carry the master_id the parcel tiles are highlighted by", () => {
+  const feature = toCopilotFeature({
+    master_id: "0b2f6a3e-5c1d-5e8a-9f4b-1a2c3d4e5f01",
+    prop_id: "100101",
+    address: "1104 W 9TH ST",
+    owner_name: "DOE JANE",
+    market_value: 450000,
+    land_acres: 0.2,
+    legal_desc: "LOT 1",
+  });
+  assert.deepEqual(Object.keys(feature).sort(), ["address", "land_acres", "market_value", "master_id", "owner_name", "prop_id"]);
+  assert.equal(feature.master_id, "0b2f6a3e-5c1d-5e8a-9f4b-1a2c3d4e5f01");
+});
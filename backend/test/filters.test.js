@@ -0,0 +1,89 @@
+// filters.test.js — the whitelist SQL builder behind POST /api/parcels/query and /api/copilot
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CURRENT_ROLL_SQL, compileCondition, compileParcelFilter, compileSort } = require("../filters");
+
+const compile = (cond, fields) => {
+  const params = [];
+  return { sql: compileCondition(cond, params, fields), params };
+};
+
+test("unknown fields are rejected with a 400", () => {
+  assert.throws(() => compile({ field: "py_owner_name; DROP TABLE x", op: "eq", value: 1 }), {
+    status: 400,
+    message: /Unknown filter field/,
+  });
+});
+
+test("operators outside the field type's list are rejected", () => {
+  assert.throws(() => compile({ field: "market_value", op: "contains", value: "1" }), { status: 400, message: /not allowed/ });
+  assert.throws(() => compile({ field: "owner_name", op: "gt", value: "A" }), { status: 400, message: /not allowed/ });
+  assert.throws(() => compile({ field: "owner_name", op: "regex", value: "A" }), { status: 400 });
+});
+
+test("numeric fields need finite numbers", () => {
+  for (const value of ["abc", "", null, Infinity]) {
+    assert.throws(() => compile({ field: "market_value", op: "lt", value }), { status: 400, message: /numeric value/ });
+  }
+  const { sql, params } = compile({ field: "market_value", op: "lt", value: "250000" });
+  assert.equal(sql, "COALESCE(p.curr_market_val, p.market_val) < $1::float8");
+  assert.deepEqual(params, [250000]);
+});
+
+test("between binds both bounds and in binds every value", () => {
+  const between = compile({ field: "land_acres", op: "between", value: [1, 5] });
+  assert.equal(between.sql, "COALESCE(p.land_acres, p.legal_acreage) BETWEEN $1::float8 AND $2::float8");
+  assert.deepEqual(between.params, [1, 5]);
+  assert.throws(() => compile({ field: "land_acres", op: "between", value: [1] }), { status: 400 });
+
+  const list = compile({ field: "situs_zip", op: "in", value: "78704, 78703,," });
+  assert.equal(list.sql, "upper(p.situs_zip) IN (upper($1::text), upper($2::text))");
+  assert.deepEqual(list.params, ["78704", "78703"]);
+  assert.throws(() => compile({ field: "situs_zip", op: "in", value: [] }), { status: 400, message: /at least one value/ });
+});
+
+test("contains and starts_with escape LIKE wildcards", () => {
+  const contains = compile({ field: "owner_name", op: "contains", value: "50%_OFF\\" });
+  assert.equal(contains.sql, "p.py_owner_name ILIKE '%' || $1::text || '%'");
+  assert.deepEqual(contains.params, ["50\\%\\_OFF\\\\"]);
+
+  const prefix = compile({ field: "situs_address", op: "starts_with", value: "1_" });
+  assert.equal(prefix.sql, "p.situs_address ILIKE $1::text || '%'");
+  assert.deepEqual(prefix.params, ["1\\_"]);
+});
+
+test("land and improvement fields match through EXISTS on the same roll year", () => {
+  const { sql, params } = compile({ field: "yr_built", op: "gte", value: 2000 });
+  assert.match(sql, /^EXISTS \(\s+SELECT 1 FROM improvement_master if_/);
+  assert.match(sql, /if_\."yr_built" >= \$1::float8/);
+  assert.match(sql, /if_\.prop_val_yr IS NOT DISTINCT FROM p\.prop_val_yr/);
+  assert.deepEqual(params, [2000]);
+});
+
+test("a filter is always limited to the current roll and joins conditions by match", () => {
+  assert.equal(compileParcelFilter({}, []), CURRENT_ROLL_SQL);
+
+  const params = [];
+  const sql = compileParcelFilter(
+    {
+      match: "any",
+      conditions: [
+        { field: "prop_type_cd", op: "eq", value: "R" },
+        { field: "improvement_value", op: "is_null" },
+      ],
+    },
+    params
+  );
+  assert.equal(sql, `${CURRENT_ROLL_SQL} AND (upper(p.prop_type_cd) = upper($1::text) OR p.curr_imprv_val IS NULL)`);
+  assert.deepEqual(params, ["R"]);
+
+  const tooMany = { conditions: Array.from({ length: 26 }, () => ({ field: "prop_id", op: "not_null" })) };
+  assert.throws(() => compileParcelFilter(tooMany, []), { status: 400, message: /Too many conditions/ });
+});
+
+test("value fields and sorts follow the county's field mapping", () => {
+  const fields = { market_value: "market_val" };
+  assert.equal(compile({ field: "market_value", op: "gt", value: 1 }, fields).sql, "p.market_val > $1::float8");
+  assert.equal(compileSort("market_value:desc", fields), "p.market_val DESC NULLS LAST, p.master_id");
+  assert.equal(compileSort("nope"), "p.prop_id ASC NULLS LAST, p.master_id");
+});
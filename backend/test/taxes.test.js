@@ -0,0 +1,65 @@
+// taxes.test.js — exemption and per-$100 rate math behind GET /api/details/:id/taxes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { claimedExemptions, exemptionAmount, estimateTaxes } = require("../taxes");
+
+const unit = (id, rate, exemptions = {}) => ({ id, name: id, type: "special", rate, exemptions });
+
+test("over-65 implies homestead", () => {
+  assert.deepEqual(claimedExemptions({ over65: true }), { homestead: true, over65: true });
+  assert.deepEqual(claimedExemptions({ homestead: true }), { homestead: true, over65: false });
+  assert.deepEqual(claimedExemptions(), { homestead: false, over65: false });
+});
+
+test("exemption rules add a flat amount to the larger of pct × value and min", () => {
+  assert.equal(exemptionAmount({ amount: 100000 }, 400000), 100000);
+  assert.equal(exemptionAmount({ pct: 0.2, min: 5000 }, 400000), 80000);
+  assert.equal(exemptionAmount({ pct: 0.2, min: 5000 }, 10000), 5000);
+  assert.equal(exemptionAmount({ amount: 1000, pct: 0.1 }, 50000), 6000);
+  assert.equal(exemptionAmount({}, 50000), 0);
+});
+
+test("the rate is per $100 of taxable value, rounded to cents", () => {
+  const { units, total_tax, effective_rate } = estimateTaxes(333333, [unit("a", 0.344445)], {});
+  assert.equal(units[0].taxable_value, 333333);
+  assert.equal(units[0].tax, 1148.15); // 333333 × 0.344445 / 100 = 1148.148...
+  assert.equal(total_tax, 1148.15);
+  assert.equal(effective_rate, 0.3444);
+});
+
+test("units only grant the claimed exemptions they define", () => {
+  const units = [
+    unit("county", 0.5, { homestead: { pct: 0.2, min: 5000 }, over65: { amount: 10000 } }),
+    unit("city", 0.5, { over65: { amount: 20000 } }),
+    unit("district", 0.5),
+  ];
+  const homestead = estimateTaxes(200000, units, claimedExemptions({ homestead: true }));
+  assert.deepEqual(homestead.units.map((u) => u.exemption_total), [40000, 0, 0]);
+
+  const senior = estimateTaxes(200000, units, claimedExemptions({ over65: true }));
+  assert.deepEqual(senior.units[0].exemptions, [
+    { type: "homestead", amount: 40000 },
+    { type: "over65", amount: 10000 },
+  ]);
+  assert.deepEqual(senior.units.map((u) => u.taxable_value), [150000, 180000, 200000]);
+  assert.equal(senior.total_tax, 750 + 900 + 1000);
+});
+
+test("exemptions are capped at the assessed value", () => {
+  const units = [unit("isd", 0.8595, { homestead: { amount: 100000 }, over65: { amount: 10000 } })];
+  const { units: [row], total_tax, effective_rate } = estimateTaxes(60000, units, claimedExemptions({ over65: true }));
+  assert.equal(row.exemption_total, 60000);
+  assert.equal(row.taxable_value, 0);
+  assert.equal(row.tax, 0);
+  assert.equal(total_tax, 0);
+  assert.equal(effective_rate, 0);
+});
+
+test("a missing or negative assessed value bills nothing", () => {
+  for (const value of [null, undefined, -5, "abc"]) {
+    const r = estimateTaxes(value, [unit("a", 1)], {});
+    assert.equal(r.assessed_value, 0);
+    assert.equal(r.total_tax, 0);
+    assert.equal(r.effective_rate, null);
+  }
+});
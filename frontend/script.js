@@ -380,10 +380,11 @@ map.on("load", () => {
   const COPILOT_HL_ID = "copilot-highlight";
   const PARCEL_ID_EXPR = [
     "coalesce",
+    ["get", "master_id"],
     ["get", "parcel_id"],
     ["get", "Parcel_Id"],
   ];
-  // ^ uses parcel_id if present, else Parcel_Id
+  // ^ master_id from the PostGIS tiles, else the legacy parcel_id / Parcel_Id
 
   if (!map.getLayer(COPILOT_HL_ID)) {
     map.addLayer(
@@ -744,7 +745,7 @@ document.querySelectorAll(".layer-toggle").forEach((cb) => {
 function highlightByParcelIds(ids) {
   if (!map.getLayer("copilot-highlight")) return;
   // Filter the layer to only the returned ids
-  const parcelIdExpr = ["coalesce", ["get", "parcel_id"], ["get", "Parcel_Id"]];
+  const parcelIdExpr = ["coalesce", ["get", "master_id"], ["get", "parcel_id"], ["get", "Parcel_Id"]];
   map.setFilter("copilot-highlight", ["in", parcelIdExpr, ["literal", ids]]);
 }
 
@@ -762,9 +763,9 @@ function fitToBBox(bbox) {
 
 function applyMapAction(action, features) {
   if (action?.type === "zoomToBBox") fitToBBox(action.bbox);
-  // Prefer parcel_id for vector-tiles; switch to master_id only if your tiles include it
+  // /api/copilot features carry master_id, which the parcel tiles include
   const ids = (features || [])
-    .map((f) => f.parcel_id ?? f.Parcel_Id)
+    .map((f) => f.master_id ?? f.parcel_id ?? f.Parcel_Id)
     .filter(Boolean);
   if (ids.length) highlightByParcelIds(ids);
 }
@@ -1,4 +1,4 @@
-/* App.jsx — Texas Counties as main vector basemap + compact UI with overlays + deep attributes */
+/* App.jsx — county parcels as main vector basemap + compact UI with overlays + deep attributes */
 
 import React, { useEffect, useRef, useState, useCallback } from "react";
 import maplibregl from "maplibre-gl";
@@ -8,8 +8,23 @@ import MapboxDraw from "@mapbox/mapbox-gl-draw";
 import "@mapbox/mapbox-gl-draw/dist/mapbox-gl-draw.css";
 
 import * as turf from "@turf/turf";
-import jsPDF from "jspdf";
-import html2canvas from "html2canvas";
+
+import ValueHistory from "./components/ValueHistory";
+import PermitTimeline from "./components/PermitTimeline";
+import CopilotChat from "./components/CopilotChat";
+import FilterBuilder from "./components/FilterBuilder";
+import SelectionStats from "./components/SelectionStats";
+import ThematicPanel from "./components/ThematicPanel";
+import ThematicLegend from "./components/ThematicLegend";
+import NotificationPanel from "./components/NotificationPanel";
+import CompsSection from "./components/CompsSection";
+import TaxEstimate from "./components/TaxEstimate";
+import BatchUpload from "./components/BatchUpload";
+import { lineChartSvg, formatChange, HISTORY_SERIES } from "./utils/charts";
+import { PARCEL_PAINT, buildThematicStyle, thematicPaint } from "./utils/thematic";
+import { htmlToPdf, pagesToPdf, mailingLabelsPdf } from "./utils/pdf";
+import { ADJUSTMENTS, protestSummary } from "./utils/protest";
+import { protestPacketPages } from "./utils/protestPacket";
 
 /* --------- configuration / env --------- */
 let REACT_APP_API_BASE = "";
@@ -45,16 +60,28 @@ const API_BASE =
     ? "http://localhost:3000"
     : "");
 
+// tiles are served by the API itself (/data/...) unless a separate tile server is configured
 const TILE_BASE =
   REACT_APP_TILE_BASE ||
-  (typeof window !== "undefined" && window.location?.hostname === "localhost"
-    ? "http://localhost:8081"
-    : "");
+  API_BASE ||
+  (typeof window !== "undefined" ? window.location?.origin || "" : "");
 
-/* 👉 use Texas counties as the main vector dataset */
+/* 👉 base parcel dataset when the county profile doesn't name one */
 const VECTOR_DATASET = "Texas_Counties_Baselayer";
 
-/* --------- fallback data (only used if vector source fails) --------- */
+// ids per POST /api/details/batch request, at most the API's batch limit
+const BATCH_CHUNK = 1000;
+// the API's SELECTION_LIMIT / BATCH_LIMIT as published by GET /api/counties (their defaults until it answers)
+const apiLimits = { selection: 5000, batch: 5000 };
+
+/* county profiles (GET /api/counties): once one is picked, API and tile requests go to /api/{county}/... */
+let activeCountyId = "";
+const apiRoot = () => `${API_BASE || ""}/api${activeCountyId ? `/${activeCountyId}` : ""}`;
+// a separate tile server (REACT_APP_TILE_BASE) keeps its flat /data layout
+const tileRoot = () =>
+  `${TILE_BASE.replace(/\/$/, "")}/data${activeCountyId && !REACT_APP_TILE_BASE ? `/${activeCountyId}` : ""}`;
+
+/* --------- fallback data (only used if neither vector tiles nor the API's parcel GeoJSON load) --------- */
 const SAMPLE_PARCELS_GEOJSON = {
   type: "FeatureCollection",
   features: [
@@ -110,6 +137,33 @@ async function safeFetch(url, opts) {
   }
 }
 
+function downloadCSV(rows, filename) {
+  const csv = rows.map(r => r.map(c => `"${String(c ?? "").replace(/"/g,'""')}"`).join(",")).join("\n");
+  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* PNG of the current map view once tiles settle; the WebGL buffer is only readable inside a render */
+function snapshotMap(map) {
+  return new Promise((resolve) => {
+    let done = false;
+    const capture = () => {
+      if (done) return;
+      done = true;
+      map.once("render", () => {
+        try { resolve(map.getCanvas().toDataURL("image/png")); } catch { resolve(null); }
+      });
+      map.triggerRepaint();
+    };
+    map.once("idle", capture);
+    setTimeout(capture, 4000);
+  });
+}
+
 function featureToBBox(feature) {
   if (!feature) return null;
   const geom = feature.geometry || feature.geojson;
@@ -138,6 +192,52 @@ function getSourceLayerFromTilejson(tj, fallback) {
   return fallback;
 }
 
+/* map layers that render one overlay, by geometry type; the first carries the opacity */
+function overlayStyleLayers(ov) {
+  const { id } = ov;
+  if (ov.geometryType === "point") return [{ id: `${id}-circle`, type: "circle", opacityProp: "circle-opacity" }];
+  if (ov.geometryType === "line") return [{ id: `${id}-line`, type: "line", opacityProp: "line-opacity" }];
+  return [
+    { id: `${id}-fill`, type: "fill", opacityProp: "fill-opacity" },
+    { id: `${id}-line`, type: "line" }
+  ];
+}
+
+function overlayLayerSpec(ov, styleLayer, sourceLayer) {
+  const layout = { visibility: ov.enabled ? "visible" : "none" };
+  const base = { id: styleLayer.id, type: styleLayer.type, source: ov.id, "source-layer": sourceLayer, layout };
+  const color = ov.color || "#0088ff";
+  if (styleLayer.type === "circle") {
+    return { ...base, paint: { "circle-radius": 5, "circle-color": color, "circle-opacity": ov.opacity, "circle-stroke-color": "#fff", "circle-stroke-width": 1 } };
+  }
+  if (styleLayer.type === "fill") {
+    return { ...base, paint: { "fill-color": color, "fill-opacity": ov.opacity } };
+  }
+  // polygon outline vs. line overlay
+  return ov.geometryType === "line"
+    ? { ...base, paint: { "line-color": color, "line-width": 2, "line-opacity": ov.opacity } }
+    : { ...base, paint: { "line-color": "#222", "line-width": 1 } };
+}
+
+/* /api/layers entry -> overlay UI state */
+function overlayFromCatalog(l) {
+  return {
+    id: l.id,
+    title: l.title || l.id,
+    tileset: l.id,
+    sourceLayer: l.sourceLayer || l.id,
+    geometryType: l.geometryType || "polygon",
+    tiles: Array.isArray(l.tiles) && l.tiles.length ? l.tiles : null,
+    minzoom: l.minzoom,
+    maxzoom: l.maxzoom,
+    fields: l.fields || {},
+    attribution: l.attribution || "",
+    enabled: !!l.style?.enabled,
+    opacity: l.style?.opacity ?? 0.35,
+    color: l.style?.color || "#0088ff"
+  };
+}
+
 /* ---------- UI ---------- */
 function Spinner({ text = "Loading map..." }) {
   return (
@@ -153,15 +253,29 @@ function Spinner({ text = "Loading map..." }) {
   );
 }
 
-function Navbar({ status, onMenuToggle, menuOpen }) {
+function Navbar({ status, onMenuToggle, menuOpen, county, counties, onCountyChange }) {
+  const branding = county?.branding;
   return (
     <header className="absolute top-4 left-4 right-4 z-50 flex items-center justify-between">
-      <div className="flex items-center gap-3 px-4 py-2 rounded-2xl bg-white/90 shadow-lg backdrop-blur">
+      <div
+        className="flex items-center gap-3 px-4 py-2 rounded-2xl bg-white/90 shadow-lg backdrop-blur border-l-4"
+        style={{ borderLeftColor: branding?.accent || "transparent" }}
+      >
         <div className="text-2xl">🗺️</div>
         <div>
-          <div className="font-semibold text-slate-900">Parcel Viewer</div>
-          <div className="text-xs text-slate-500 -mt-0.5">Texas counties as basemap</div>
+          <div className="font-semibold text-slate-900">{branding?.title || "Parcel Viewer"}</div>
+          <div className="text-xs text-slate-500 -mt-0.5">{branding?.subtitle || county?.name || "Parcels as basemap"}</div>
         </div>
+        {counties?.length > 1 && (
+          <select
+            value={county?.id || ""}
+            onChange={(e) => onCountyChange(e.target.value)}
+            title="Switch county"
+            className="ml-2 text-xs border border-slate-200 rounded-lg px-2 py-1 bg-white text-slate-700"
+          >
+            {counties.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        )}
       </div>
       <div className="hidden sm:flex items-center gap-2 px-3 py-2 rounded-lg bg-white/90 shadow text-xs">
         <span className="text-slate-700">{status}</span>
@@ -188,6 +302,8 @@ function ControlPanel({
   searchText,
   setSearchText,
   onSearch,
+  suggestions,
+  onPickSuggestion,
   setBasemap,
   clearSelection,
   overlays,
@@ -196,25 +312,82 @@ function ControlPanel({
   onExportCSV,
   onExportPDF,
   onStartDraw,
-  onClearDrawings
+  onClearDrawings,
+  filterFields,
+  filterResult,
+  filterBusy,
+  onRunFilter,
+  onFilterPage,
+  onClearFilter,
+  onExportFilter,
+  onSelectParcel,
+  thematicCatalog,
+  thematic,
+  thematicBusy,
+  onApplyThematic,
+  onClearThematic,
+  batch,
+  onRunBatch,
+  onDownloadBatch,
+  onClearBatch
 }) {
   const [overlaysOpen, setOverlaysOpen] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  useEffect(() => { setActiveSuggestion(-1); }, [suggestions]);
   if (!visible) return null;
 
+  const onSearchKeyDown = (e) => {
+    const list = suggestions || [];
+    if (e.key === "ArrowDown" && list.length) {
+      e.preventDefault();
+      setActiveSuggestion(i => (i + 1) % list.length);
+    } else if (e.key === "ArrowUp" && list.length) {
+      e.preventDefault();
+      setActiveSuggestion(i => (i <= 0 ? list.length - 1 : i - 1));
+    } else if (e.key === "Escape") {
+      onPickSuggestion(null);
+    } else if (e.key === "Enter") {
+      if (activeSuggestion >= 0 && list[activeSuggestion]) onPickSuggestion(list[activeSuggestion]);
+      else onSearch();
+    }
+  };
+
   return (
-    <div className="absolute left-6 top-24 z-50 w-[360px] max-w-[92vw] space-y-3">
+    <div className="absolute left-6 top-24 z-50 w-[360px] max-w-[92vw] max-h-[calc(100vh-7rem)] overflow-auto space-y-3">
       {/* Search + quick actions */}
       <div className="bg-white/95 rounded-2xl p-4 shadow-xl border border-slate-100 backdrop-blur">
-        <div className="flex items-center gap-3">
+        <div className="relative flex items-center gap-3">
           <input
             value={searchText}
             onChange={(e) => setSearchText(e.target.value)}
-            onKeyDown={(e) => e.key === 'Enter' && onSearch()}
-            placeholder="Search parcel / county id"
+            onKeyDown={onSearchKeyDown}
+            placeholder="Address, prop id, geo id or subdivision"
             className="flex-1 px-4 py-2 rounded-full border border-slate-200 focus:outline-none focus:ring-2 focus:ring-indigo-400 text-sm"
             aria-label="Search"
+            autoComplete="off"
           />
           <button onClick={onSearch} className="px-4 py-2 rounded-full bg-indigo-600 text-white font-semibold shadow hover:opacity-95">Search</button>
+
+          {suggestions && suggestions.length > 0 && (
+            <ul className="absolute left-0 right-0 top-full mt-2 z-50 max-h-72 overflow-auto bg-white rounded-xl shadow-xl border border-slate-100 text-sm" role="listbox">
+              {suggestions.map((sg, i) => (
+                <li
+                  key={sg.master_id || `${sg.prop_id}-${i}`}
+                  role="option"
+                  aria-selected={i === activeSuggestion}
+                  onMouseDown={(e) => { e.preventDefault(); onPickSuggestion(sg); }}
+                  className={`px-4 py-2 cursor-pointer ${i === activeSuggestion ? "bg-indigo-50" : "hover:bg-slate-50"}`}
+                >
+                  <div className="text-slate-900">{sg.address || sg.legal_desc || sg.prop_id}</div>
+                  <div className="text-[11px] text-slate-500">
+                    {[sg.prop_id && `Prop ${sg.prop_id}`, sg.geo_id && `Geo ${sg.geo_id}`, sg.zip].filter(Boolean).join(" • ")}
+                    {sg.matched_on === "legal" && sg.legal_desc ? ` — ${sg.legal_desc}` : ""}
+                    {sg.matched_on === "owner" && sg.owner_name ? ` — ${sg.owner_name}` : ""}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         <div className="mt-3 grid grid-cols-2 gap-2">
@@ -233,6 +406,36 @@ function ControlPanel({
         </div>
       </div>
 
+      {/* Attribute filter — collapsible */}
+      <FilterBuilder
+        fields={filterFields}
+        result={filterResult}
+        busy={filterBusy}
+        onRun={onRunFilter}
+        onPage={onFilterPage}
+        onClear={onClearFilter}
+        onExport={onExportFilter}
+        onSelectParcel={onSelectParcel}
+      />
+
+      {/* Uploaded id list — collapsible */}
+      <BatchUpload
+        batch={batch}
+        onRun={onRunBatch}
+        onDownload={onDownloadBatch}
+        onClear={onClearBatch}
+        onSelectParcel={onSelectParcel}
+      />
+
+      {/* Thematic (choropleth) — collapsible */}
+      <ThematicPanel
+        catalog={thematicCatalog}
+        active={thematic}
+        busy={thematicBusy}
+        onApply={onApplyThematic}
+        onClear={onClearThematic}
+      />
+
       {/* Overlays — collapsible */}
       <div className="bg-white/95 rounded-2xl p-4 shadow-xl border border-slate-100 backdrop-blur">
         <button onClick={() => setOverlaysOpen(o => !o)} className="w-full flex items-center justify-between">
@@ -247,7 +450,15 @@ function ControlPanel({
           <div className="mt-3 space-y-3 max-h-72 overflow-auto pr-1">
             {overlays.map(o => (
               <div key={o.id} className="flex items-center gap-3">
-                <div className="w-10 h-10 rounded-xl border border-slate-100 shadow-inner" style={{ backgroundColor: o.color }} />
+                <div className="w-10 h-10 rounded-xl border border-slate-100 shadow-inner flex items-center justify-center bg-white" title={o.attribution || undefined}>
+                  {o.geometryType === "point" ? (
+                    <span className="w-3.5 h-3.5 rounded-full border border-white shadow" style={{ backgroundColor: o.color }} />
+                  ) : o.geometryType === "line" ? (
+                    <span className="w-7 h-1 rounded" style={{ backgroundColor: o.color }} />
+                  ) : (
+                    <span className="w-full h-full rounded-xl" style={{ backgroundColor: o.color }} />
+                  )}
+                </div>
                 <div className="flex-1">
                   <div className="flex items-center justify-between">
                     <label className="flex items-center gap-2 cursor-pointer">
@@ -283,7 +494,53 @@ function ControlPanel({
   );
 }
 
-function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }) {
+function SelectionList({ selection, activeId, onSelectParcel, onClear }) {
+  if (!selection) return null;
+  const { parcels = [], count = 0, truncated, title = "Drawn Selection" } = selection;
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-amber-50 border border-amber-200">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-semibold text-slate-700">
+          {title} — {count.toLocaleString()} parcel{count === 1 ? "" : "s"}
+        </div>
+        <button onClick={onClear} className="text-xs text-slate-500 hover:text-slate-700">Clear</button>
+      </div>
+      {truncated && (
+        <div className="text-[11px] text-amber-700 mt-1">Result truncated — only the first {parcels.length.toLocaleString()} parcels are listed.</div>
+      )}
+      {parcels.length > 0 ? (
+        <div className="mt-2 max-h-48 overflow-auto text-xs border border-slate-200 rounded bg-white">
+          <table className="w-full">
+            <thead className="bg-slate-50 sticky top-0">
+              <tr>
+                <th className="p-2 text-left">Prop ID</th>
+                <th className="p-2 text-left">Address</th>
+                <th className="p-2 text-right">Market</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parcels.map((p) => (
+                <tr
+                  key={p.master_id}
+                  onClick={() => onSelectParcel(p.master_id)}
+                  className={`border-t cursor-pointer hover:bg-indigo-50 ${activeId === p.master_id ? "bg-indigo-50" : ""}`}
+                >
+                  <td className="p-2">{p.prop_id ?? "—"}</td>
+                  <td className="p-2">{p.address || "—"}</td>
+                  <td className="p-2 text-right">${Number(p.market_value ?? 0).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-xs text-slate-500 mt-2">No parcels found.</div>
+      )}
+    </div>
+  );
+}
+
+function Sidebar({ visible, parcelInfo, overlayInfo, overlayReport, rollYears, onYearChange, valueHistory, permits, taxes, taxOptions, onTaxOptionsChange, comps, compsOptions, onCompsOptionsChange, onHighlightComps, onFocusParcel, packetCompIds, onTogglePacketComp, onProtestPacket, packetBusy, onShowPortfolio, onNotify, selection, selectionStats, onSelectParcel, onClearSelectionList, onClearStats, onClose, onGenerateReport }) {
   if (!visible) return null;
   return (
     <aside className="absolute right-6 top-24 z-50 w-96 max-w-[94vw] bg-white/95 rounded-2xl shadow-2xl border border-slate-100 backdrop-blur p-4">
@@ -296,6 +553,13 @@ function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }
       </div>
 
       <div className="mt-4 overflow-auto max-h-[60vh] pr-2">
+        <SelectionList
+          selection={selection}
+          activeId={parcelInfo?.master_id}
+          onSelectParcel={onSelectParcel}
+          onClear={onClearSelectionList}
+        />
+        <SelectionStats stats={selectionStats} onClose={onClearStats} />
         {parcelInfo ? (
           <>
             {/* ID + address */}
@@ -315,6 +579,19 @@ function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }
               {parcelInfo.geo_id && (
                 <div className="text-[11px] text-slate-500 mt-1">Geo ID: {parcelInfo.geo_id}</div>
               )}
+              {Array.isArray(rollYears) && rollYears.length > 0 && (
+                <label className="mt-2 flex items-center gap-2 text-xs text-slate-600">
+                  Roll year
+                  <select
+                    value={parcelInfo.prop_val_yr ?? ""}
+                    onChange={(e) => onYearChange(Number(e.target.value))}
+                    className="px-2 py-1 rounded border border-slate-200 bg-white text-slate-800"
+                  >
+                    {parcelInfo.prop_val_yr == null && <option value="">—</option>}
+                    {rollYears.map(y => <option key={y} value={y}>{y}{y === rollYears[0] ? " (latest)" : ""}</option>)}
+                  </select>
+                </label>
+              )}
             </div>
 
             {/* quick stats */}
@@ -327,6 +604,29 @@ function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }
               <DetailRow label="Land Acres" value={parcelInfo.land_acres != null ? Number(parcelInfo.land_acres).toFixed(2) : "—"} />
             </div>
 
+            {/* ownership */}
+            {(parcelInfo.owner_name || parcelInfo.owner) && (
+              <div className="mt-4 space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-semibold text-slate-700">Ownership</div>
+                  {parcelInfo.owner_name && parcelInfo.master_id && !parcelInfo.__notFound && (
+                    <button onClick={onShowPortfolio} className="text-xs px-2 py-1 rounded bg-indigo-50 text-indigo-700 hover:bg-indigo-100">
+                      Other parcels owned
+                    </button>
+                  )}
+                </div>
+                <DetailRow label="Owner" value={parcelInfo.owner_name || parcelInfo.owner} />
+                <DetailRow
+                  label="Mailing Address"
+                  value={[
+                    parcelInfo.owner_addr_line1,
+                    parcelInfo.owner_addr_line2,
+                    [parcelInfo.owner_addr_city, [parcelInfo.owner_addr_state, parcelInfo.owner_addr_zip].filter(Boolean).join(" ")].filter(Boolean).join(", ")
+                  ].filter(Boolean).join(", ") || "—"}
+                />
+              </div>
+            )}
+
             {/* property & legal */}
             <div className="mt-4 space-y-2">
               <div className="text-sm font-semibold text-slate-700">Property & Legal</div>
@@ -400,13 +700,61 @@ function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }
               </div>
             )}
 
+            <ValueHistory history={valueHistory} />
+
+            <TaxEstimate taxes={taxes} options={taxOptions} onOptionsChange={onTaxOptionsChange} />
+
+            <CompsSection
+              comps={comps}
+              options={compsOptions}
+              onOptionsChange={onCompsOptionsChange}
+              onHighlight={onHighlightComps}
+              onFocus={onFocusParcel}
+              selectedIds={packetCompIds}
+              onToggleSelect={onTogglePacketComp}
+            />
+
+            {permits && (
+              <PermitTimeline key={parcelInfo.master_id} records={permits.records} loading={permits.loading} />
+            )}
+
             {parcelInfo.__notFound && (
               <div className="mt-3 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2">
                 No matching record in the database for this ID.
               </div>
             )}
 
-            {overlayInfo && overlayInfo.length > 0 && (
+            {overlayReport && (
+              <div className="mt-4 pt-4 border-t border-slate-100">
+                <h4 className="text-sm font-semibold mb-2 text-slate-700">Overlay Intersections</h4>
+                {overlayReport.loading ? (
+                  <div className="text-xs text-slate-500">Checking overlays…</div>
+                ) : overlayReport.overlays.length === 0 ? (
+                  <div className="text-xs text-slate-500">This parcel does not intersect any overlay feature.</div>
+                ) : (
+                  <div className="space-y-2">
+                    {overlayReport.overlays.map((ov, idx) => (
+                      <div key={`${ov.layer}-${ov.feature_id}-${idx}`} className="p-2 bg-slate-50 rounded text-sm">
+                        <div className="flex items-center justify-between">
+                          <div className="font-medium text-slate-700">{ov.title || ov.layer}</div>
+                          {ov.coverage_pct != null && (
+                            <div className="text-xs font-semibold text-indigo-700">{Number(ov.coverage_pct).toFixed(1)}% of parcel</div>
+                          )}
+                        </div>
+                        <div className="text-xs text-slate-600 mt-1">
+                          {Object.entries(ov.properties || {}).filter(([, v]) => v != null && v !== "").slice(0, 4).map(([k, v]) => `${k}: ${v}`).join(" • ")}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {overlayReport.unavailable?.length > 0 && (
+                  <div className="text-[11px] text-slate-400 mt-2">Not checked: {overlayReport.unavailable.join(", ")}</div>
+                )}
+              </div>
+            )}
+
+            {!overlayReport && overlayInfo && overlayInfo.length > 0 && (
               <div className="mt-4 pt-4 border-t border-slate-100">
                 <h4 className="text-sm font-semibold mb-2 text-slate-700">Active Overlays</h4>
                 <div className="space-y-2">
@@ -422,7 +770,26 @@ function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }
               </div>
             )}
 
-            <div className="mt-4 flex justify-end">
+            <div className="mt-4 flex justify-end gap-2">
+              {parcelInfo.master_id && !parcelInfo.__notFound && (
+                <button
+                  onClick={onNotify}
+                  className="px-3 py-2 rounded-lg bg-white border border-slate-200 text-slate-700 text-sm font-semibold shadow-sm hover:bg-slate-50"
+                  title="Owners within a notification radius"
+                >
+                  📮 Notify Owners
+                </button>
+              )}
+              {packetCompIds.length > 0 && (
+                <button
+                  onClick={onProtestPacket}
+                  disabled={packetBusy}
+                  className="px-3 py-2 rounded-lg bg-white border border-slate-200 text-slate-700 text-sm font-semibold shadow-sm hover:bg-slate-50 disabled:opacity-50"
+                  title="Unequal-appraisal evidence packet from the selected comparables"
+                >
+                  {packetBusy ? "Building…" : "⚖️ Protest Packet"}
+                </button>
+              )}
               <button
                 onClick={() => typeof onGenerateReport === "function" && onGenerateReport()}
                 className="px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold shadow hover:scale-105"
@@ -431,7 +798,7 @@ function Sidebar({ visible, parcelInfo, overlayInfo, onClose, onGenerateReport }
               </button>
             </div>
           </>
-        ) : (
+        ) : !selection && !selectionStats && (
           <div className="text-center py-12 text-slate-500">
             <div className="text-5xl mb-2">🗺️</div>
             <div className="text-sm">Click or search for a parcel to view details here</div>
@@ -459,7 +826,7 @@ function ReportModal({ visible, parcelInfo, onClose, onDownload }) {
                 Parcel ID: <span className="font-normal">{parcelInfo.parcel_id || parcelInfo.master_id}</span>
               </div>
               <div className="mt-1">Property ID: {parcelInfo.prop_id || "N/A"}</div>
-              <div>Owner: {parcelInfo.owner || "N/A"}</div>
+              <div>Owner: {parcelInfo.owner_name || parcelInfo.owner || "N/A"}</div>
               <div>Market Value: ${Number(parcelInfo.market_value ?? 0).toLocaleString()}</div>
               <div>Land Use: {parcelInfo.land_type_ || "N/A"}</div>
               <div>Address: {parcelInfo.address || "N/A"}</div>
@@ -482,6 +849,49 @@ function ReportModal({ visible, parcelInfo, onClose, onDownload }) {
   );
 }
 
+/* prop_id matched several master records — let the user choose */
+function CandidatePicker({ candidates, onPick, onClose }) {
+  if (!candidates) return null;
+  const { propId, list = [] } = candidates;
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[9999]">
+      <div className="bg-white/95 rounded-2xl shadow-2xl border border-slate-200 p-6 w-[560px] max-w-[95vw]">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-semibold text-slate-900">Multiple records for {propId}</h3>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-700 px-2 py-1 rounded hover:bg-slate-100">✕</button>
+        </div>
+        <div className="text-xs text-slate-500 mb-3">This property ID maps to {list.length} master records. Choose the one to open.</div>
+        <div className="text-xs border border-slate-200 rounded-lg overflow-hidden max-h-[50vh] overflow-y-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="p-2 text-left">Address</th>
+                <th className="p-2 text-right">Year</th>
+                <th className="p-2 text-right">Market Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {list.map((c) => (
+                <tr key={c.master_id} onClick={() => onPick(c)} className="border-t cursor-pointer hover:bg-indigo-50">
+                  <td className="p-2">
+                    <div className="text-slate-900">{[c.address, c.city, c.zip].filter(Boolean).join(", ") || "—"}</div>
+                    <div className="text-[11px] text-slate-500 truncate max-w-[300px]">{c.legal_desc || c.master_id}</div>
+                  </td>
+                  <td className="p-2 text-right">{c.prop_val_yr ?? "—"}</td>
+                  <td className="p-2 text-right">{c.market_value != null ? `$${Number(c.market_value).toLocaleString()}` : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-4 flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg bg-slate-200 text-slate-800 font-medium hover:bg-slate-300">Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /* ---------- Enter Gate ---------- */
 function EnterGate({ onEnter }) {
   const [remember, setRemember] = React.useState(true); // default on
@@ -541,6 +951,13 @@ export default function App() {
   const parcelInfoRef = useRef(null);
   const overlaysRef = useRef([]);
   const lastFetchedIdRef = useRef(null); // duplicate-click guard
+  const highlightedIdsRef = useRef([]); // multi-parcel highlight (draw selection etc.)
+  const parcelsSourceLayerRef = useRef(undefined);
+  const focusParcelRef = useRef(async () => false); // latest focusParcel for map handlers
+  const thematicStyleRef = useRef(null); // { attribute, classify } while a thematic style is on
+  const thematicClassRef = useRef(new Map()); // master_id -> class index set via feature-state
+  const thematicSeqRef = useRef(0); // drop stale viewport responses
+  const refreshThematicRef = useRef(() => {}); // latest refreshThematic for map handlers
 
   /* -------- Enter-gate state -------- */
   const [entered, setEntered] = useState(() => {
@@ -558,13 +975,14 @@ export default function App() {
   };
 
   /* -------- overlays / UI state -------- */
+  // fallback only — the real list comes from GET /api/layers once the map loads
   const initialOverlays = [
-    { id: "build_insp",               title: "Building Inspections",      tileset: "build_insp",               sourceLayer: "build_insp",               enabled: false, opacity: 0.4,  color: "#FF9800" },
-    { id: "envi_insp",                title: "Environmental Inspections", tileset: "envi_insp",                sourceLayer: "envi_insp",                enabled: false, opacity: 0.4,  color: "#4CAF50" },
-    { id: "board_adjustment_review",  title: "Board Adjustment Review",   tileset: "board_adjustment_review",  sourceLayer: "board_adjustment_review",  enabled: false, opacity: 0.35, color: "#673AB7" },
-    { id: "communityRegistry",        title: "Community Registry",        tileset: "communityRegistry",        sourceLayer: "communityRegistry",        enabled: false, opacity: 0.35, color: "#3F51B5" },
-    { id: "roadnetwork",              title: "Road Network",              tileset: "roadnetwork",              sourceLayer: "roadnetwork",              enabled: false, opacity: 0.35, color: "#795548" },
-    { id: "demographicData",          title: "Demographic Data",          tileset: "demographicData",          sourceLayer: "demographicData",          enabled: false, opacity: 0.35, color: "#E91E63" }
+    { id: "build_insp",               title: "Building Inspections",      tileset: "build_insp",               sourceLayer: "build_insp",               geometryType: "point",   enabled: false, opacity: 0.4,  color: "#FF9800" },
+    { id: "envi_insp",                title: "Environmental Inspections", tileset: "envi_insp",                sourceLayer: "envi_insp",                geometryType: "point",   enabled: false, opacity: 0.4,  color: "#4CAF50" },
+    { id: "board_adjustment_review",  title: "Board Adjustment Review",   tileset: "board_adjustment_review",  sourceLayer: "board_adjustment_review",  geometryType: "polygon", enabled: false, opacity: 0.35, color: "#673AB7" },
+    { id: "communityRegistry",        title: "Community Registry",        tileset: "communityRegistry",        sourceLayer: "communityRegistry",        geometryType: "polygon", enabled: false, opacity: 0.35, color: "#3F51B5" },
+    { id: "roadnetwork",              title: "Road Network",              tileset: "roadnetwork",              sourceLayer: "roadnetwork",              geometryType: "line",    enabled: false, opacity: 0.35, color: "#795548" },
+    { id: "demographicData",          title: "Demographic Data",          tileset: "demographicData",          sourceLayer: "demographicData",          geometryType: "polygon", enabled: false, opacity: 0.35, color: "#E91E63" }
   ];
 
   const [overlays, setOverlays] = useState(initialOverlays);
@@ -580,8 +998,151 @@ export default function App() {
   const [searchText, setSearchText] = useState("");
   const [reportVisible, setReportVisible] = useState(false);
   const [fetching, setFetching] = useState(false); // spinner while fetching
+  const [selection, setSelection] = useState(null); // server-side polygon selection
+  const [suggestions, setSuggestions] = useState([]);
+  const [candidates, setCandidates] = useState(null); // ambiguous prop_id picker
+  const [overlayReport, setOverlayReport] = useState(null); // server-side parcel ∩ overlays
+  const overlayReportRef = useRef(null);
+  const [rollYears, setRollYears] = useState([]);
+  const [valueHistory, setValueHistory] = useState([]);
+  const valueHistoryRef = useRef([]);
+  const [permits, setPermits] = useState(null); // { loading, records }
+  const [comps, setComps] = useState(null); // { loading, error, data }
+  const compsRef = useRef(null);
+  const [compsOptions, setCompsOptions] = useState({ radius: 1, sameType: false });
+  const [taxes, setTaxes] = useState(null); // { loading, error, data }
+  const taxesRef = useRef(null);
+  const [taxOptions, setTaxOptions] = useState({ homestead: false, over65: false });
+  const [packetCompIds, setPacketCompIds] = useState([]); // comps chosen for the protest packet
+  const [packetBusy, setPacketBusy] = useState(false);
+  useEffect(() => { valueHistoryRef.current = valueHistory; }, [valueHistory]);
+  const skipSuggestRef = useRef(false); // don't re-suggest right after a pick
+  const [filterFields, setFilterFields] = useState([]);
+  const [filterResult, setFilterResult] = useState(null); // { filter, count, page, pages, parcels, master_ids }
+  const [filterBusy, setFilterBusy] = useState(false);
+  const [selectionStats, setSelectionStats] = useState(null); // { title, loading, error, data }
+  const statsSeqRef = useRef(0); // drop stale /api/stats responses
+  const batchSeqRef = useRef(0); // cancel a running batch on clear / county switch
+  const [thematicCatalog, setThematicCatalog] = useState(null);
+  const [thematic, setThematic] = useState(null); // { label, method, legend, loading, truncated }
+  const [thematicBusy, setThematicBusy] = useState(false);
+  const [notify, setNotify] = useState(null); // { subjectId, subjectLabel, loading, error, result }
+  const [batch, setBatch] = useState(null); // uploaded id list: { upload, loading, progress, error, data }
+  const [counties, setCounties] = useState(null); // county profiles; null until GET /api/counties answers
+  const [countyId, setCountyId] = useState("");
+  const activeCounty = counties?.find(c => c.id === countyId) || null;
 
   useEffect(() => { parcelInfoRef.current = parcelInfo; }, [parcelInfo]);
+  useEffect(() => { overlayReportRef.current = overlayReport; }, [overlayReport]);
+  useEffect(() => { compsRef.current = comps; }, [comps]);
+  useEffect(() => { taxesRef.current = taxes; }, [taxes]);
+
+  /* overlay intersections for whichever parcel is open */
+  const reportMasterId = parcelInfo && !parcelInfo.__notFound ? parcelInfo.master_id : null;
+  useEffect(() => {
+    if (!reportMasterId) { setOverlayReport(null); return; }
+    let cancelled = false;
+    setOverlayReport({ loading: true, overlays: [] });
+    (async () => {
+      const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(reportMasterId)}/overlays`);
+      if (cancelled) return;
+      if (data && !data.__error && Array.isArray(data.overlays)) {
+        setOverlayReport({ overlays: data.overlays, unavailable: data.unavailable || [] });
+      } else {
+        setOverlayReport(null); // fall back to click-point overlay hits
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [reportMasterId]);
+
+  /* certified roll years on record for the open parcel */
+  useEffect(() => {
+    if (!reportMasterId) { setRollYears([]); return; }
+    let cancelled = false;
+    (async () => {
+      const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(reportMasterId)}/years`);
+      if (!cancelled) setRollYears(data && Array.isArray(data.years) ? data.years : []);
+    })();
+    return () => { cancelled = true; };
+  }, [reportMasterId]);
+
+  /* valuation history for the open parcel */
+  useEffect(() => {
+    if (!reportMasterId) { setValueHistory([]); return; }
+    let cancelled = false;
+    (async () => {
+      const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(reportMasterId)}/history`);
+      if (!cancelled) setValueHistory(data && Array.isArray(data.history) ? data.history : []);
+    })();
+    return () => { cancelled = true; };
+  }, [reportMasterId]);
+
+  /* permits / inspections tied to the open parcel */
+  useEffect(() => {
+    if (!reportMasterId) { setPermits(null); return; }
+    let cancelled = false;
+    setPermits({ loading: true, records: [] });
+    (async () => {
+      const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(reportMasterId)}/permits`);
+      if (cancelled) return;
+      setPermits(data && !data.__error && Array.isArray(data.records) ? { records: data.records } : null);
+    })();
+    return () => { cancelled = true; };
+  }, [reportMasterId]);
+
+  /* comparable parcels for the open parcel */
+  useEffect(() => {
+    if (!reportMasterId) { setComps(null); return; }
+    let cancelled = false;
+    setComps({ loading: true });
+    (async () => {
+      const qs = `radius=${compsOptions.radius}&same_type=${compsOptions.sameType}&limit=10`;
+      const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(reportMasterId)}/comps?${qs}`);
+      if (cancelled) return;
+      if (!data || data.__error) setComps({ error: data?.body?.error || "Comparables unavailable" });
+      else if (data.note === "no_geometry") setComps({ error: "This parcel has no geometry to search around." });
+      else setComps({ data });
+    })();
+    return () => { cancelled = true; };
+  }, [reportMasterId, compsOptions]);
+
+  /* estimated tax bill for the open parcel */
+  useEffect(() => {
+    if (!reportMasterId) { setTaxes(null); return; }
+    let cancelled = false;
+    setTaxes({ loading: true });
+    (async () => {
+      const qs = `homestead=${taxOptions.homestead}&over65=${taxOptions.over65}`;
+      const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(reportMasterId)}/taxes?${qs}`);
+      if (cancelled) return;
+      if (!data || data.__error || data.note) setTaxes({ error: data?.body?.error || "Tax estimate unavailable" });
+      else setTaxes({ data });
+    })();
+    return () => { cancelled = true; };
+  }, [reportMasterId, taxOptions]);
+
+  // default the protest packet to the five most similar comps
+  useEffect(() => {
+    setPacketCompIds((comps?.data?.comps || []).slice(0, 5).map(c => c.master_id));
+  }, [comps]);
+
+  const togglePacketComp = useCallback((masterId) => {
+    setPacketCompIds(ids => (ids.includes(masterId) ? ids.filter(id => id !== masterId) : [...ids, masterId]));
+  }, []);
+
+  const changeRollYear = useCallback(async (year) => {
+    const info = parcelInfoRef.current;
+    if (!info?.master_id || !year) return;
+    setFetching(true);
+    const resp = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(info.master_id)}?year=${encodeURIComponent(year)}`);
+    setFetching(false);
+    if (resp && resp.details) {
+      setParcelInfo(resp.details);
+      setStatus(`Showing ${year} roll`);
+    } else {
+      setStatus(`No ${year} roll for this parcel`);
+    }
+  }, []);
 
   const clearHighlight = useCallback(() => {
     const map = mapRef.current;
@@ -598,6 +1159,448 @@ export default function App() {
     selectedFeatureRef.current = null;
   }, []);
 
+  /* feature-state highlight for a set of master_ids (needs promoteId on the parcels source) */
+  const highlightParcelIds = useCallback((ids) => {
+    const map = mapRef.current;
+    if (!map?.getSource("parcels")) return;
+    const sourceLayer = parcelsSourceLayerRef.current;
+    const setState = (id, selected) => {
+      try {
+        const payload = { source: "parcels", id };
+        if (sourceLayer) payload.sourceLayer = sourceLayer;
+        map.setFeatureState(payload, { selected });
+      } catch {}
+    };
+    highlightedIdsRef.current.forEach(id => setState(id, false));
+    highlightedIdsRef.current = (ids || []).filter(Boolean);
+    highlightedIdsRef.current.forEach(id => setState(id, true));
+  }, []);
+
+  const clearSelectionList = useCallback(() => {
+    setSelection(null);
+    setSelectionStats(null);
+    highlightParcelIds([]);
+  }, [highlightParcelIds]);
+
+  /* summary statistics for a selection set; query is { master_ids } or { geometry } */
+  const loadSelectionStats = useCallback(async (title, query) => {
+    const seq = ++statsSeqRef.current;
+    setSelectionStats({ title, loading: true });
+    const data = await safeFetch(`${apiRoot()}/stats`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(query)
+    });
+    if (seq !== statsSeqRef.current) return;
+    if (!data || data.__error) setSelectionStats({ title, error: data?.body?.error || "Statistics unavailable" });
+    else setSelectionStats({ title, data });
+  }, []);
+
+  /* fly to + outline a parcel from its server geometry (works even when it isn't rendered) */
+  const focusParcel = useCallback(async (id, knownBBox) => {
+    const map = mapRef.current;
+    if (!map || !id) return false;
+    let bbox = Array.isArray(knownBBox) && knownBBox.length === 4 ? knownBBox : null;
+    let geometry = null;
+    const geo = await safeFetch(`${apiRoot()}/parcels/${encodeURIComponent(id)}/geometry`);
+    if (geo && !geo.__error && geo.geometry) {
+      geometry = geo.geometry;
+      if (Array.isArray(geo.bbox) && geo.bbox.length === 4) bbox = geo.bbox;
+    }
+    if (!bbox && !geometry) return false;
+
+    clearHighlight();
+    if (geometry) {
+      try {
+        map.getSource("highlight-source")?.setData({ type: "FeatureCollection", features: [{ type: "Feature", properties: {}, geometry }] });
+        selectedFeatureRef.current = { ephemeral: true };
+      } catch {}
+    }
+    if (bbox) {
+      const [w, s, e, n] = bbox;
+      try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 17, duration: 700 }); } catch {}
+    }
+    return true;
+  }, [clearHighlight]);
+
+  useEffect(() => { focusParcelRef.current = focusParcel; }, [focusParcel]);
+
+  /* everything else held by the open parcel's owner -> selection list + highlight */
+  const showOwnerPortfolio = useCallback(async () => {
+    const info = parcelInfoRef.current;
+    if (!info?.master_id) return;
+    setStatus("Looking up owner portfolio...");
+    setFetching(true);
+    const data = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(info.master_id)}/portfolio`);
+    setFetching(false);
+    if (!data || data.__error || !Array.isArray(data.parcels)) { setStatus("Owner lookup failed"); return; }
+    if (!data.parcels.length) { setStatus("No other parcels for this owner"); return; }
+    setSelection({ title: `Owned by ${data.owner_name}`, count: data.count, truncated: !!data.truncated, parcels: data.parcels });
+    highlightParcelIds(data.parcels.map(p => p.master_id));
+    loadSelectionStats(`Owned by ${data.owner_name}`, { master_ids: data.parcels.map(p => p.master_id) });
+    const map = mapRef.current;
+    if (map && Array.isArray(data.bbox) && data.bbox.length === 4) {
+      const [w, s, e, n] = data.bbox;
+      try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 16, duration: 700 }); } catch {}
+    }
+    setStatus(`${data.count} parcels owned by ${data.owner_name}`);
+  }, [highlightParcelIds, loadSelectionStats]);
+
+  /* natural-language query: highlight matches, zoom to them, list them in the Sidebar */
+  const askCopilot = useCallback(async (question) => {
+    setStatus("Asking copilot...");
+    const data = await safeFetch(`${apiRoot()}/copilot`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ question })
+    });
+    if (!data || data.__error) {
+      setStatus("Copilot request failed");
+      return { error: true, text: data?.body?.error || "The copilot service is unavailable." };
+    }
+    if (data.note === "not_understood") {
+      setStatus("Copilot could not interpret the question");
+      return { text: "I couldn't turn that into a parcel filter. Try mentioning acres, value, ZIP, property type, year built or owner." };
+    }
+    const features = Array.isArray(data.features) ? data.features : [];
+    const understood = (data.interpretation || []).join(", ") || "all parcels";
+    if (!features.length) {
+      highlightParcelIds([]);
+      setStatus("Copilot: no matches");
+      return { text: `Looked for: ${understood}.\nNo parcels matched.` };
+    }
+
+    setSelection({ title: `Copilot: ${question}`, count: data.count, truncated: !!data.truncated, parcels: features });
+    highlightParcelIds(features.map(f => f.master_id));
+    loadSelectionStats("Copilot results", { master_ids: features.map(f => f.master_id) });
+    setParcelInfo(null);
+    setSidebarOpen(true);
+    const map = mapRef.current;
+    if (map && data.action?.type === "zoomToBBox" && Array.isArray(data.action.bbox)) {
+      const [w, s, e, n] = data.action.bbox;
+      try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 16, duration: 700 }); } catch {}
+    }
+    setStatus(`Copilot: ${data.count} parcels`);
+    const shown = data.truncated ? ` (showing ${features.length})` : "";
+    return { text: `Looked for: ${understood}.\nFound ${Number(data.count).toLocaleString()} parcels${shown} — highlighted on the map.` };
+  }, [highlightParcelIds, loadSelectionStats]);
+
+  /* attribute filter: page 1 also fetches every matching id for highlighting */
+  const runParcelQuery = useCallback(async (filter, page = 1) => {
+    setFilterBusy(true);
+    setStatus("Filtering parcels...");
+    const data = await safeFetch(`${apiRoot()}/parcels/query`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...filter, page, page_size: 50, include_ids: page === 1 })
+    });
+    setFilterBusy(false);
+    if (!data || data.__error) {
+      setFilterResult({ filter, error: data?.body?.error || "Filter request failed" });
+      setStatus("Filter failed");
+      return;
+    }
+    setFilterResult(prev => ({
+      ...data,
+      filter,
+      master_ids: page === 1 ? data.master_ids : prev?.master_ids,
+      ids_truncated: page === 1 ? data.ids_truncated : prev?.ids_truncated
+    }));
+    if (page === 1) {
+      highlightParcelIds(data.master_ids || []);
+      if (data.master_ids?.length) {
+        loadSelectionStats(data.ids_truncated ? `Filter (first ${data.master_ids.length.toLocaleString()})` : "Filter results", { master_ids: data.master_ids });
+        setSidebarOpen(true);
+      } else {
+        setSelectionStats(null);
+      }
+      const map = mapRef.current;
+      if (map && Array.isArray(data.bbox) && data.count > 0) {
+        const [w, s, e, n] = data.bbox;
+        try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 16, duration: 700 }); } catch {}
+      }
+    }
+    setStatus(`${Number(data.count).toLocaleString()} parcels match the filter`);
+  }, [highlightParcelIds, loadSelectionStats]);
+
+  const clearParcelQuery = useCallback(() => {
+    setFilterResult(null);
+    setSelectionStats(null);
+    highlightParcelIds([]);
+  }, [highlightParcelIds]);
+
+  /* uploaded id list -> POST /api/details/batch in chunks; matches become the selection */
+  const runBatch = useCallback(async (upload) => {
+    const ids = [...new Set(upload.rows.map(r => String(r[upload.idColumn] ?? "").trim()).filter(Boolean))];
+    if (!ids.length) { setBatch({ upload, error: "That column has no ids." }); return; }
+    const seq = ++batchSeqRef.current;
+    const chunk = Math.min(BATCH_CHUNK, apiLimits.batch);
+    const data = { requested: ids.length, results: [], not_found: [], ambiguous: [] };
+    for (let i = 0; i < ids.length; i += chunk) {
+      const progress = `Matching ${Math.min(i + chunk, ids.length).toLocaleString()} of ${ids.length.toLocaleString()}…`;
+      setBatch({ upload, loading: true, progress });
+      setStatus(progress);
+      const resp = await safeFetch(`${apiRoot()}/details/batch`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids: ids.slice(i, i + chunk) })
+      });
+      if (seq !== batchSeqRef.current) return;
+      if (!resp || resp.__error) {
+        setBatch({ upload, error: resp?.body?.error || "Batch lookup failed." });
+        setStatus("Batch lookup failed");
+        return;
+      }
+      data.results.push(...resp.results);
+      data.not_found.push(...resp.not_found);
+      data.ambiguous.push(...resp.ambiguous);
+    }
+    setBatch({ upload, data });
+
+    const parcels = [...new Map(data.results.map(r => [r.details.master_id, r.details])).values()];
+    if (parcels.length) {
+      const title = `Uploaded: ${upload.fileName}`;
+      setSelection({ title, count: parcels.length, truncated: false, parcels });
+      highlightParcelIds(parcels.map(p => p.master_id));
+      const statsIds = parcels.slice(0, apiLimits.selection).map(p => p.master_id);
+      loadSelectionStats(parcels.length > apiLimits.selection ? `${title} (first ${apiLimits.selection.toLocaleString()})` : title, { master_ids: statsIds });
+      setParcelInfo(null);
+      setSidebarOpen(true);
+      const boxes = data.results.map(r => r.bbox).filter(b => Array.isArray(b) && b.length === 4);
+      const map = mapRef.current;
+      if (map && boxes.length) {
+        const [w, s, e, n] = [0, 1, 2, 3].map(k => (k < 2 ? Math.min : Math.max)(...boxes.map(b => b[k])));
+        try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 16, duration: 700 }); } catch {}
+      }
+    }
+    setStatus(`${data.results.length.toLocaleString()} of ${ids.length.toLocaleString()} ids matched`);
+  }, [highlightParcelIds, loadSelectionStats]);
+
+  /* the uploaded rows as-is + match_status + every details field */
+  const downloadBatchCSV = useCallback(() => {
+    const { upload, data } = batch || {};
+    if (!upload || !data) return;
+    const byId = new Map(data.results.map(r => [r.id, r.details]));
+    const ambiguous = new Map(data.ambiguous.map(a => [a.id, a.candidates.length]));
+    const fields = Object.keys(data.results[0]?.details || {});
+    const taken = new Set(upload.header);
+    const cell = (v) => (v != null && typeof v === "object" ? JSON.stringify(v) : v);
+    const rows = upload.rows.map(r => {
+      const id = String(r[upload.idColumn] ?? "").trim();
+      const details = byId.get(id);
+      const status = details ? "matched" : ambiguous.has(id) ? `ambiguous (${ambiguous.get(id)} records)` : id ? "not_found" : "no_id";
+      return [...upload.header.map((_, i) => r[i] ?? ""), status, ...fields.map(f => cell(details?.[f]))];
+    });
+    const header = [...upload.header, "match_status", ...fields.map(f => (taken.has(f) ? `parcel_${f}` : f))];
+    downloadCSV([header, ...rows], `${upload.fileName.replace(/\.[^.]*$/, "")}_enriched.csv`);
+    setStatus(`Exported ${rows.length.toLocaleString()} rows`);
+  }, [batch]);
+
+  const clearBatch = useCallback(() => {
+    batchSeqRef.current++;
+    setBatch(null);
+    clearSelectionList();
+  }, [clearSelectionList]);
+
+  /* every filter match (up to the highlight cap) as CSV, fetched page by page */
+  const exportFilterCSV = useCallback(async () => {
+    const filter = filterResult?.filter;
+    if (!filter) return;
+    setFilterBusy(true);
+    setStatus("Exporting filter results...");
+    const all = [];
+    const cap = filterResult.master_ids?.length || filterResult.count;
+    for (let page = 1; all.length < cap; page++) {
+      const data = await safeFetch(`${apiRoot()}/parcels/query`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...filter, page, page_size: 1000 })
+      });
+      if (!data || data.__error || !Array.isArray(data.parcels) || !data.parcels.length) break;
+      all.push(...data.parcels);
+      if (page >= data.pages) break;
+    }
+    setFilterBusy(false);
+    if (!all.length) { setStatus("Export failed"); return; }
+    const cols = ["master_id", "prop_id", "geo_id", "address", "city", "zip", "prop_type_cd", "owner_name", "land_acres", "market_value", "curr_assessed_val", "curr_land_val", "curr_imprv_val", "prop_val_yr"];
+    downloadCSV([cols, ...all.slice(0, cap).map(p => cols.map(c => p[c]))], `parcel_filter_${Date.now()}.csv`);
+    setStatus(`Exported ${Math.min(all.length, cap).toLocaleString()} parcels`);
+  }, [filterResult]);
+
+  /* thematic map: class every parcel in view via feature-state `tclass` */
+  const setThematicClasses = useCallback((entries) => {
+    const map = mapRef.current;
+    if (!map?.getSource("parcels")) return;
+    const sourceLayer = parcelsSourceLayerRef.current;
+    const known = thematicClassRef.current;
+    entries.forEach(([id, tclass]) => {
+      if (known.get(id) === tclass) return;
+      try {
+        const payload = { source: "parcels", id };
+        if (sourceLayer) payload.sourceLayer = sourceLayer;
+        map.setFeatureState(payload, { tclass });
+        if (tclass < 0) known.delete(id); else known.set(id, tclass);
+      } catch {}
+    });
+  }, []);
+
+  const refreshThematic = useCallback(async () => {
+    const style = thematicStyleRef.current;
+    const map = mapRef.current;
+    if (!style || !map) return;
+    const seq = ++thematicSeqRef.current;
+    const b = map.getBounds();
+    const bbox = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map(n => n.toFixed(6)).join(",");
+    setThematic(t => (t ? { ...t, loading: true } : t));
+    const data = await safeFetch(`${apiRoot()}/thematic/${encodeURIComponent(style.attribute)}/values?bbox=${bbox}`);
+    if (seq !== thematicSeqRef.current || thematicStyleRef.current !== style) return;
+    if (!data || data.__error || !Array.isArray(data.values)) {
+      setThematic(t => (t ? { ...t, loading: false } : t));
+      return;
+    }
+    setThematicClasses(data.values.map(r => [r.id, style.classify(r.v)]));
+    setThematic(t => (t ? { ...t, loading: false, truncated: !!data.truncated } : t));
+  }, [setThematicClasses]);
+  useEffect(() => { refreshThematicRef.current = refreshThematic; }, [refreshThematic]);
+
+  const clearThematic = useCallback(() => {
+    thematicStyleRef.current = null;
+    thematicSeqRef.current++;
+    setThematicClasses([...thematicClassRef.current.keys()].map(id => [id, -1]));
+    const map = mapRef.current;
+    if (map?.getLayer("parcels-fill")) {
+      Object.entries(PARCEL_PAINT).forEach(([prop, value]) => map.setPaintProperty("parcels-fill", prop, value));
+    }
+    setThematic(null);
+  }, [setThematicClasses]);
+
+  /* breaks come from the whole roll so colours don't shift while panning */
+  const applyThematic = useCallback(async ({ attribute, method, classes, ramp }) => {
+    setThematicBusy(true);
+    setStatus("Classifying parcels...");
+    const spec = await safeFetch(`${apiRoot()}/thematic/${encodeURIComponent(attribute)}/breaks?method=${method}&classes=${classes}`);
+    setThematicBusy(false);
+    if (!spec || spec.__error) { setStatus("Thematic styling failed"); return; }
+    if (!spec.count) { setStatus(`No ${spec.label?.toLowerCase() || "data"} values to map`); return; }
+
+    const style = buildThematicStyle(spec, ramp);
+    clearThematic();
+    thematicStyleRef.current = { attribute, classify: style.classify };
+    const map = mapRef.current;
+    if (map?.getLayer("parcels-fill")) {
+      Object.entries(thematicPaint(style.colors)).forEach(([prop, value]) => map.setPaintProperty("parcels-fill", prop, value));
+    }
+    setThematic({ label: spec.label, method: spec.method, legend: style.legend, loading: true, truncated: false });
+    setStatus(`Styled by ${spec.label}`);
+    refreshThematic();
+  }, [clearThematic, refreshThematic]);
+
+  /* notification radius around the open parcel: buffer + hits drawn on the map */
+  const openNotification = useCallback(() => {
+    const info = parcelInfoRef.current;
+    if (!info?.master_id) return;
+    setNotify({ subjectId: info.master_id, subjectLabel: info.prop_id ? `parcel ${info.prop_id}` : info.address });
+  }, []);
+
+  const setNotifyBuffer = useCallback((geometry) => {
+    const data = geometry
+      ? { type: "FeatureCollection", features: [{ type: "Feature", geometry, properties: {} }] }
+      : { type: "FeatureCollection", features: [] };
+    try { mapRef.current?.getSource("notify-buffer")?.setData(data); } catch {}
+  }, []);
+
+  const runNotification = useCallback(async ({ distance, includeSubject }) => {
+    const subjectId = notify?.subjectId;
+    if (!subjectId) return;
+    setNotify(n => ({ ...n, loading: true, error: null }));
+    setStatus(`Finding owners within ${distance} ft...`);
+    const data = await safeFetch(
+      `${apiRoot()}/details/${encodeURIComponent(subjectId)}/notify?distance=${encodeURIComponent(distance)}&include_subject=${includeSubject}`
+    );
+    if (!data || data.__error || !Array.isArray(data.parcels)) {
+      setNotify(n => ({ ...n, loading: false, error: data?.body?.error || "Notification lookup failed" }));
+      setStatus("Notification lookup failed");
+      return;
+    }
+    if (data.note) {
+      setNotify(n => ({ ...n, loading: false, error: data.note === "no_geometry" ? "This parcel has no geometry to buffer." : "Parcel not found." }));
+      return;
+    }
+    setNotify(n => ({ ...n, loading: false, result: data }));
+    setNotifyBuffer(data.buffer);
+    highlightParcelIds(data.parcels.map(p => p.master_id));
+    const map = mapRef.current;
+    if (map && Array.isArray(data.bbox)) {
+      const [w, s, e, n] = data.bbox;
+      try { map.fitBounds([[w, s], [e, n]], { padding: 80, maxZoom: 18, duration: 700 }); } catch {}
+    }
+    setStatus(`${data.count} parcels within ${data.distance_ft} ft • ${data.mailing_list.length} mailing addresses`);
+  }, [notify?.subjectId, setNotifyBuffer, highlightParcelIds]);
+
+  const closeNotification = useCallback(() => {
+    setNotify(null);
+    setNotifyBuffer(null);
+    highlightParcelIds([]);
+  }, [setNotifyBuffer, highlightParcelIds]);
+
+  const exportNotificationCSV = useCallback(() => {
+    const r = notify?.result;
+    if (!r) return;
+    const rows = [
+      ["owner_name", "addr_line1", "addr_line2", "city", "state", "zip", "prop_ids"],
+      ...r.mailing_list.map(m => [m.owner_name, m.addr_line1, m.addr_line2, m.city, m.state, m.zip, m.prop_ids.join(";")])
+    ];
+    downloadCSV(rows, `notification_${r.distance_ft}ft_${notify.subjectId}.csv`);
+  }, [notify]);
+
+  const exportNotificationLabels = useCallback(() => {
+    const r = notify?.result;
+    if (!r) return;
+    const labels = r.mailing_list.map(m => [
+      m.owner_name,
+      m.addr_line1,
+      m.addr_line2,
+      [[m.city, m.state].filter(Boolean).join(", "), m.zip].filter(Boolean).join(" ")
+    ]);
+    try {
+      mailingLabelsPdf(labels, `notification_labels_${r.distance_ft}ft_${notify.subjectId}.pdf`);
+    } catch (err) {
+      console.error("Label export failed", err);
+      alert("Failed to export labels.");
+    }
+  }, [notify]);
+
+  const highlightComps = useCallback(() => {
+    const data = compsRef.current?.data;
+    if (!data?.comps?.length) return;
+    highlightParcelIds([data.subject.master_id, ...data.comps.map(c => c.master_id)]);
+    const map = mapRef.current;
+    if (map && Array.isArray(data.bbox)) {
+      const [w, s, e, n] = data.bbox;
+      try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 17, duration: 700 }); } catch {}
+    }
+    setStatus(`${data.comps.length} comparables within ${data.radius_mi} mi`);
+  }, [highlightParcelIds]);
+
+  /* load details for one parcel into the Sidebar (used by selection lists) */
+  const openParcel = useCallback(async (masterId) => {
+    if (!masterId) return;
+    setFetching(true);
+    const resp = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(masterId)}`);
+    setFetching(false);
+    if (resp && resp.details) {
+      setParcelInfo(resp.details);
+      setOverlayInfo(null);
+      focusParcel(resp.details.master_id, resp.bbox);
+      lastFetchedIdRef.current = resp.details.master_id;
+      const url = new URL(window.location.href); url.searchParams.set("id", resp.details.master_id); window.history.replaceState({}, "", url.toString());
+      setStatus("Parcel details loaded");
+    } else {
+      setParcelInfo({ master_id: masterId, __notFound: true });
+    }
+    setSidebarOpen(true);
+  }, [focusParcel]);
+
   const setBasemap = useCallback((mode) => {
     const map = mapRef.current;
     if (!map) return;
@@ -610,14 +1613,13 @@ export default function App() {
   const toggleOverlay = useCallback((id) => {
     setOverlays(prev => prev.map(o => o.id === id ? { ...o, enabled: !o.enabled } : o));
     const map = mapRef.current;
-    if (!map) return;
+    const ov = overlaysRef.current.find(o => o.id === id);
+    if (!map || !ov) return;
     try {
-      const fillLayer = `${id}-fill`;
-      const lineLayer = `${id}-line`;
-      const currFillVis = map.getLayer(fillLayer) ? map.getLayoutProperty(fillLayer, "visibility") : null;
-      const nextVis = currFillVis === "visible" ? "none" : "visible";
-      if (map.getLayer(fillLayer)) map.setLayoutProperty(fillLayer, "visibility", nextVis);
-      if (map.getLayer(lineLayer)) map.setLayoutProperty(lineLayer, "visibility", nextVis);
+      const nextVis = ov.enabled ? "none" : "visible";
+      overlayStyleLayers(ov).forEach(l => {
+        if (map.getLayer(l.id)) map.setLayoutProperty(l.id, "visibility", nextVis);
+      });
     } catch (err) {
       console.debug("toggle overlay failed", id, err);
     }
@@ -626,10 +1628,11 @@ export default function App() {
   const setOverlayOpacity = useCallback((id, opacity) => {
     setOverlays(prev => prev.map(o => o.id === id ? { ...o, opacity } : o));
     const map = mapRef.current;
-    if (!map) return;
+    const ov = overlaysRef.current.find(o => o.id === id);
+    if (!map || !ov) return;
     try {
-      const fillLayer = `${id}-fill`;
-      if (map.getLayer(fillLayer)) map.setPaintProperty(fillLayer, "fill-opacity", opacity);
+      const [primary] = overlayStyleLayers(ov);
+      if (map.getLayer(primary.id)) map.setPaintProperty(primary.id, primary.opacityProp, opacity);
     } catch (err) {
       console.debug("set overlay opacity failed", id, err);
     }
@@ -638,12 +1641,15 @@ export default function App() {
   const clearSelection = useCallback(() => {
     setParcelInfo(null);
     setOverlayInfo(null);
+    setSelection(null);
+    setSelectionStats(null);
     try { popupRef.current?.remove(); } catch {}
     popupRef.current = null;
     clearHighlight();
+    highlightParcelIds([]);
     setSidebarOpen(false);
     setStatus("Selection cleared");
-  }, [clearHighlight]);
+  }, [clearHighlight, highlightParcelIds]);
 
   const exportCSV = useCallback(() => {
     const info = parcelInfoRef.current;
@@ -666,21 +1672,25 @@ export default function App() {
       rows.push([`impr[${i}].value`, it.imprv_val ?? ""]);
     });
 
-    const csv = rows.map(r => r.map(c => `"${String(c).replace(/"/g,'""')}"`).join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `parcel_${info.master_id ?? info.parcel_id ?? Date.now()}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCSV(rows, `parcel_${info.master_id ?? info.parcel_id ?? Date.now()}.csv`);
   }, []);
 
   const exportPDF = useCallback(async () => {
     const info = parcelInfoRef.current;
     if (!info) return alert("No parcel selected to export.");
+    const overlayReport = overlayReportRef.current;
+    const overlayHits = overlayReport?.overlays || [];
+    // an empty list only means "none" once the report has come back
+    const overlayNote = !overlayReport ? "Overlay intersections unavailable."
+      : overlayReport.loading ? "Overlay intersections still loading — export again once the sidebar report finishes."
+      : "No overlay intersections.";
+    const history = valueHistoryRef.current || [];
+    const compsData = compsRef.current?.data;
+    const taxData = taxesRef.current?.data;
 
     const money = (n) => Number(n ?? 0).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
     const num = (n, d=2) => Number(n ?? 0).toLocaleString(undefined, { minimumFractionDigits: d, maximumFractionDigits: d });
+    const changeText = (c) => { const { amount, pct } = formatChange(c); return pct != null ? `${amount} (${pct})` : amount; };
     const now = new Date(), stamp = now.toLocaleString();
 
     // build styled HTML
@@ -741,6 +1751,21 @@ export default function App() {
           <div class="card"><div class="k">Assessed (Current)</div><div class="v">${info.curr_assessed_val!=null?money(info.curr_assessed_val):"—"}</div></div>
         </div>
 
+        <!-- Ownership -->
+        <div class="mt-8">
+          <div class="section-title">Ownership</div>
+          <div class="grid" style="grid-template-columns:1fr 2fr">
+            <div class="card"><div class="k">Owner</div><div class="v" style="font-size:14px">${info.owner_name ?? info.owner ?? "—"}</div></div>
+            <div class="card"><div class="k">Mailing Address</div><div class="v" style="font-weight:600;font-size:14px">${
+              [
+                info.owner_addr_line1,
+                info.owner_addr_line2,
+                [info.owner_addr_city, [info.owner_addr_state, info.owner_addr_zip].filter(Boolean).join(" ")].filter(Boolean).join(", ")
+              ].filter(Boolean).join(", ") || "—"
+            }</div></div>
+          </div>
+        </div>
+
         <!-- Property & Legal -->
         <div class="mt-8">
           <div class="section-title">Property & Legal</div>
@@ -831,6 +1856,156 @@ export default function App() {
             : `<div class="mt-8 subtle">No improvement records.</div>`
         }
 
+        <!-- Valuation history -->
+        ${
+          history.length
+            ? `
+              <div class="mt-8">
+                <div class="section-title">Valuation History</div>
+                <div class="card" style="background:#fff">
+                  ${lineChartSvg(history, HISTORY_SERIES, { width: 720, height: 220 })}
+                  <div style="display:flex;gap:14px;font-size:11px;color:#475569;margin-top:6px">
+                    ${HISTORY_SERIES.map(s => `<span><span style="display:inline-block;width:12px;height:3px;background:${s.color};vertical-align:middle;margin-right:4px"></span>${s.label}</span>`).join("")}
+                  </div>
+                </div>
+                <table style="margin-top:12px">
+                  <thead>
+                    <tr>
+                      <th>Year</th>
+                      <th class="num">Market</th>
+                      <th class="num">YoY Change</th>
+                      <th class="num">Assessed</th>
+                      <th class="num">Land</th>
+                      <th class="num">Improvements</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${[...history].reverse().map(h => `
+                      <tr>
+                        <td>${h.year}</td>
+                        <td class="num">${h.market_value != null ? money(h.market_value) : "—"}</td>
+                        <td class="num">${h.change?.market_value ? changeText(h.change.market_value) : "—"}</td>
+                        <td class="num">${h.assessed_value != null ? money(h.assessed_value) : "—"}</td>
+                        <td class="num">${h.land_value != null ? money(h.land_value) : "—"}</td>
+                        <td class="num">${h.improvement_value != null ? money(h.improvement_value) : "—"}</td>
+                      </tr>
+                    `).join("")}
+                  </tbody>
+                </table>
+              </div>
+            `
+            : ""
+        }
+
+        <!-- Estimated taxes -->
+        ${
+          taxData?.units?.length
+            ? `
+              <div class="mt-8">
+                <div class="section-title">Estimated Taxes (${taxData.prop_val_yr ?? ""} roll${
+                  taxData.exemptions.over65 ? ", homestead + over 65" : taxData.exemptions.homestead ? ", homestead" : ""
+                })</div>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Taxing Unit</th>
+                      <th class="num">Rate / $100</th>
+                      <th class="num">Exemptions</th>
+                      <th class="num">Taxable</th>
+                      <th class="num">Tax</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${taxData.units.map(u => `
+                      <tr>
+                        <td>${u.name}<div class="subtle" style="font-size:10px">${u.type}</div></td>
+                        <td class="num">${u.rate.toFixed(4)}</td>
+                        <td class="num">${u.exemption_total ? money(u.exemption_total) : "—"}</td>
+                        <td class="num">${money(u.taxable_value)}</td>
+                        <td class="num">${Number(u.tax).toLocaleString(undefined, { style: "currency", currency: "USD" })}</td>
+                      </tr>
+                    `).join("")}
+                    <tr style="background:#eef2ff;font-weight:700">
+                      <td colspan="4">Total${taxData.effective_rate != null ? ` (${num(taxData.effective_rate)}% effective)` : ""}</td>
+                      <td class="num">${Number(taxData.total_tax).toLocaleString(undefined, { style: "currency", currency: "USD" })}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            `
+            : ""
+        }
+
+        <!-- Comparables -->
+        ${
+          compsData?.comps?.length
+            ? `
+              <div class="mt-8">
+                <div class="section-title">Comparables (within ${compsData.radius_mi} mi)</div>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Parcel</th>
+                      <th>Type</th>
+                      <th class="num">Acres</th>
+                      <th class="num">Imprv SF</th>
+                      <th class="num">Built</th>
+                      <th class="num">Market</th>
+                      <th class="num">$/Acre</th>
+                      <th class="num">$/SF</th>
+                      <th class="num">Match</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${[{ ...compsData.subject, __subject: true }, ...compsData.comps].map(c => `
+                      <tr${c.__subject ? ' style="background:#eef2ff;font-weight:700"' : ""}>
+                        <td>${c.__subject ? "Subject" : (c.address || c.prop_id || "—")}<div class="subtle" style="font-size:10px;font-weight:400">${c.prop_id ?? ""}${c.distance_mi != null && !c.__subject ? ` • ${num(c.distance_mi)} mi` : ""}</div></td>
+                        <td>${[c.prop_type_cd, c.land_type_cd].filter(Boolean).join(" / ") || "—"}</td>
+                        <td class="num">${c.land_acres != null ? num(c.land_acres) : "—"}</td>
+                        <td class="num">${c.improvement_area ? Math.round(c.improvement_area).toLocaleString() : "—"}</td>
+                        <td class="num">${c.yr_built ?? "—"}</td>
+                        <td class="num">${money(c.market_value)}</td>
+                        <td class="num">${c.value_per_acre != null ? money(c.value_per_acre) : "—"}</td>
+                        <td class="num">${c.value_per_sqft != null ? `$${num(c.value_per_sqft)}` : "—"}</td>
+                        <td class="num">${c.__subject ? "—" : c.similarity}</td>
+                      </tr>
+                    `).join("")}
+                  </tbody>
+                </table>
+              </div>
+            `
+            : ""
+        }
+
+        <!-- Overlay intersections -->
+        ${
+          overlayHits.length
+            ? `
+              <div class="mt-8">
+                <div class="section-title">Overlay Intersections</div>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Overlay</th>
+                      <th>Feature</th>
+                      <th class="num">Parcel Covered</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${overlayHits.map(ov => `
+                      <tr>
+                        <td>${ov.title || ov.layer}</td>
+                        <td>${Object.entries(ov.properties || {}).filter(([, v]) => v != null && v !== "").slice(0, 3).map(([k, v]) => `${k}: ${v}`).join(" • ") || ov.feature_id || "—"}</td>
+                        <td class="num">${ov.coverage_pct != null ? `${num(ov.coverage_pct, 1)}%` : "—"}</td>
+                      </tr>
+                    `).join("")}
+                  </tbody>
+                </table>
+              </div>
+            `
+            : `<div class="mt-8 subtle">${overlayNote}</div>`
+        }
+
         <div class="footer">
           <div>© ${now.getFullYear()} Parcel Viewer</div>
           <div class="pill">Auto-generated</div>
@@ -841,50 +2016,61 @@ export default function App() {
     document.body.appendChild(host);
 
     try {
-      const el = host.querySelector(".report");
-      const canvas = await html2canvas(el, { scale: 2, useCORS: true, backgroundColor: "#ffffff" });
+      await htmlToPdf(host.querySelector(".report"), `parcel_${info.master_id ?? info.prop_id ?? Date.now()}.pdf`);
+    } catch (err) {
+      console.error("PDF export failed", err);
+      alert("Failed to export PDF.");
+    } finally {
+      document.body.removeChild(host);
+    }
+  }, []);
 
-      const a4w = 794, a4h = 1123;
-      const pdf = new jsPDF({ unit: "px", format: [a4w, a4h] });
+  /* unequal-appraisal evidence packet: summary, adjusted comps grid, map snapshot */
+  const exportProtestPacket = useCallback(async () => {
+    const info = parcelInfoRef.current;
+    const data = compsRef.current?.data;
+    if (!info || !data?.subject) return alert("No comparables loaded for this parcel.");
+    const selected = data.comps.filter(c => packetCompIds.includes(c.master_id));
+    if (!selected.length) return alert("Select at least one comparable for the packet.");
 
-      const imgW = a4w;
-      const imgH = canvas.height * (imgW / canvas.width);
+    setPacketBusy(true);
+    const host = document.createElement("div");
+    host.style.position = "fixed";
+    host.style.left = "-99999px";
+    try {
+      const summary = protestSummary(data.subject, selected);
 
-      if (imgH <= a4h) {
-        pdf.addImage(canvas.toDataURL("image/png"), "PNG", 0, 0, imgW, imgH);
-      } else {
-        // naive multipage
-        const pageCanvas = document.createElement("canvas");
-        const ctx = pageCanvas.getContext("2d");
-        pageCanvas.width = canvas.width;
-        pageCanvas.height = Math.floor((a4h / imgW) * canvas.width);
-
-        let y = 0;
-        let first = true;
-        while (y < canvas.height) {
-          ctx.clearRect(0, 0, pageCanvas.width, pageCanvas.height);
-          ctx.drawImage(canvas, 0, -y, canvas.width, canvas.height);
-          const pageData = pageCanvas.toDataURL("image/png");
-          if (first) {
-            pdf.addImage(pageData, "PNG", 0, 0, imgW, a4h);
-            first = false;
-          } else {
-            pdf.addPage([a4w, a4h]);
-            pdf.addImage(pageData, "PNG", 0, 0, imgW, a4h);
-          }
-          y += pageCanvas.height;
+      // frame the subject and chosen comps before taking the snapshot
+      let mapImage = null;
+      const map = mapRef.current;
+      if (map) {
+        highlightParcelIds([data.subject.master_id, ...selected.map(c => c.master_id)]);
+        if (Array.isArray(data.bbox)) {
+          const [w, s, e, n] = data.bbox;
+          try { map.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 17, duration: 0 }); } catch {}
         }
+        mapImage = await snapshotMap(map);
       }
 
-      const name = `parcel_${info.master_id ?? info.prop_id ?? Date.now()}.pdf`;
-      pdf.save(name);
+      host.innerHTML = protestPacketPages({
+        info,
+        summary,
+        history: valueHistoryRef.current || [],
+        mapImage,
+        radiusMi: data.radius_mi,
+        rates: ADJUSTMENTS
+      }).join("");
+      document.body.appendChild(host);
+      await pagesToPdf([...host.querySelectorAll(".page")], `protest_packet_${info.prop_id ?? info.master_id}.pdf`);
+      setStatus(`Protest packet: ${selected.length} comparables`);
     } catch (err) {
-      console.error("PDF export failed", err);
-      alert("Failed to export PDF.");
+      console.error("Protest packet export failed", err);
+      alert("Failed to build the protest packet.");
     } finally {
-      document.body.removeChild(host);
+      host.remove();
+      setPacketBusy(false);
     }
-  }, []);
+  }, [packetCompIds, highlightParcelIds]);
 
   const startDrawPolygon = useCallback(() => {
     try {
@@ -903,24 +2089,31 @@ export default function App() {
       if (!draw) return;
       draw.deleteAll();
       draw.changeMode('simple_select');
+      clearSelectionList();
       setStatus('Draw cleared');
     } catch (err) { console.debug('clearDrawings failed', err); }
-  }, []);
+  }, [clearSelectionList]);
 
   const handleSearch = useCallback(async () => {
     const text = (searchText || "").trim();
     if (!text) { setStatus("Enter parcel id"); return; }
+    setSuggestions([]);
     setStatus("Searching...");
 
     try {
-      const base = API_BASE || "";
-      const data = await safeFetch(`${base}/api/parcels/${encodeURIComponent(text)}`).catch(() => null);
+      const data = await safeFetch(`${apiRoot()}/parcels/${encodeURIComponent(text)}`).catch(() => null);
+      if (data && data.note === "ambiguous" && Array.isArray(data.candidates)) {
+        setCandidates({ propId: text, list: data.candidates });
+        setStatus(`${data.candidates.length} records share this id — pick one`);
+        return;
+      }
       if (data && data.details) {
         setParcelInfo(data.details);
         setSidebarOpen(true);
         setStatus("Parcel found (server)");
         // keep selection in URL
         const url = new URL(window.location.href); url.searchParams.set("id", data.details.master_id); window.history.replaceState({}, "", url.toString());
+        await focusParcel(data.details.master_id || text, data.bbox);
         return;
       }
     } catch {}
@@ -946,17 +2139,115 @@ export default function App() {
       }
     } catch {}
 
+    // not an id: fall back to the best-ranked address / geo id / legal match
+    const ranked = await safeFetch(`${apiRoot()}/search?q=${encodeURIComponent(text)}&limit=1`);
+    if (ranked && Array.isArray(ranked.results) && ranked.results[0]?.master_id) {
+      await openParcel(ranked.results[0].master_id);
+      return;
+    }
+
     setStatus("Parcel not found");
     setTimeout(() => setStatus("Ready"), 1400);
+  }, [searchText, focusParcel, openParcel]);
+
+  /* county profiles: ?county= wins, then the API's default */
+  useEffect(() => {
+    if (!entered) return;
+    let cancelled = false;
+    (async () => {
+      const data = await safeFetch(`${API_BASE || ""}/api/counties`);
+      if (cancelled) return;
+      const list = data && !data.__error && Array.isArray(data.counties) ? data.counties : [];
+      for (const key of Object.keys(apiLimits)) {
+        if (Number(data?.limits?.[key]) > 0) apiLimits[key] = Number(data.limits[key]);
+      }
+      const requested = new URL(window.location.href).searchParams.get("county");
+      const picked = list.find(c => c.id === requested) || list.find(c => c.id === data.default) || list[0];
+      activeCountyId = picked?.id || "";
+      setCountyId(activeCountyId);
+      setCounties(list);
+    })();
+    return () => { cancelled = true; };
+  }, [entered]);
+
+  /* filter builder field + thematic attribute catalogs */
+  useEffect(() => {
+    if (!entered || counties === null) return;
+    let cancelled = false;
+    (async () => {
+      const data = await safeFetch(`${apiRoot()}/parcels/query/fields`);
+      if (!cancelled && data && Array.isArray(data.fields)) setFilterFields(data.fields);
+      const themes = await safeFetch(`${apiRoot()}/thematic`);
+      if (!cancelled && themes && Array.isArray(themes.attributes)) setThematicCatalog(themes);
+    })();
+    return () => { cancelled = true; };
+  }, [entered, counties, countyId]);
+
+  /* debounced typeahead */
+  useEffect(() => {
+    const text = (searchText || "").trim();
+    if (skipSuggestRef.current) { skipSuggestRef.current = false; return; }
+    if (text.length < 2) { setSuggestions([]); return; }
+    let cancelled = false;
+    const t = setTimeout(async () => {
+      const data = await safeFetch(`${apiRoot()}/search?q=${encodeURIComponent(text)}&limit=8`);
+      if (!cancelled) setSuggestions(data && Array.isArray(data.results) ? data.results : []);
+    }, 250);
+    return () => { cancelled = true; clearTimeout(t); };
   }, [searchText]);
 
+  const pickSuggestion = useCallback((sg) => {
+    setSuggestions([]);
+    if (!sg) return;
+    skipSuggestRef.current = true;
+    setSearchText(sg.address || sg.prop_id || "");
+    openParcel(sg.master_id);
+  }, [openParcel]);
+
+  /* county switch: drop everything tied to the old county; the map is rebuilt below */
+  const switchCounty = useCallback((id) => {
+    if (!id || id === activeCountyId) return;
+    clearSelection();
+    clearParcelQuery();
+    clearThematic();
+    closeNotification();
+    batchSeqRef.current++;
+    setBatch(null);
+    setSearchText("");
+    setSuggestions([]);
+    setCandidates(null);
+    setOverlays(initialOverlays);
+    lastFetchedIdRef.current = null;
+    const url = new URL(window.location.href);
+    url.searchParams.set("county", id);
+    url.searchParams.delete("id");
+    window.history.replaceState({}, "", url.toString());
+    activeCountyId = id;
+    setCountyId(id);
+  }, [clearSelection, clearParcelQuery, clearThematic, closeNotification]);
+
+  // the map belongs to one county: tear it down when the county changes (and on unmount)
+  useEffect(() => () => {
+    try { popupRef.current?.remove(); } catch {}
+    popupRef.current = null;
+    drawRef.current = null;
+    selectedFeatureRef.current = null;
+    try { mapRef.current?.remove(); } catch {}
+    mapRef.current = null;
+  }, [countyId]);
+
   /* ---------- map init (guarded by `entered` and container existence) ---------- */
   useEffect(() => {
     // don't init until user has passed the Enter Gate
     if (!entered) return;
+    // wait for the county profiles (an empty list means an API without them)
+    if (counties === null) return;
     // don't recreate if map already exists
     if (mapRef.current) return;
 
+    const profile = counties.find(c => c.id === countyId) || null;
+    const dataset = profile?.baseLayer || VECTOR_DATASET;
+
     const container = containerRef.current;
     if (!container) return;
 
@@ -976,8 +2267,9 @@ export default function App() {
               { id: "satellite-basemap", type: "raster", source: "satellite", layout: { visibility: "none" } }
             ]
           },
-          center: [-99.5, 31.25],
-          zoom: 8.5,
+          center: profile?.map?.center || [-99.5, 31.25],
+          zoom: profile?.map?.center ? profile.map.zoom : 8.5,
+          ...(profile?.map?.bounds ? { bounds: profile.map.bounds, fitBoundsOptions: { padding: 40 } } : {}),
           preserveDrawingBuffer: true
         });
 
@@ -985,63 +2277,76 @@ export default function App() {
         setLoading(true);
         setStatus("Loading map...");
 
-        const fetchTileJSON = async (baseUrl, name) => {
-          if (!baseUrl) return null;
-          const url = `${baseUrl.replace(/\/$/, "")}/data/${name}.json`;
+        const fetchTileJSON = async (name) => {
+          const url = `${tileRoot()}/${name}.json`;
           try { return await safeFetch(url).catch(() => null); } catch { return null; }
         };
 
         map.on('load', async () => {
           try {
             setStatus("Map loaded — preparing data...");
-            let parcelsSourceLayer = VECTOR_DATASET;
+            let parcelsSourceLayer = dataset;
             let parcelsTiles = [];
+            let parcelsMinzoom = 0;
             let idProp = "master_id";
             let usedVector = false;
+            let parcelsGeoJSON = null;
 
             if (TILE_BASE) {
-              const tj = await fetchTileJSON(TILE_BASE, VECTOR_DATASET);
-              if (tj && Array.isArray(tj.bounds) && tj.bounds.length === 4) {
+              const tj = await fetchTileJSON(dataset);
+              if (!profile?.map?.bounds && tj && Array.isArray(tj.bounds) && tj.bounds.length === 4) {
                 // tj.bounds = [west, south, east, north]
                 const [[w,s],[e,n]] = [[tj.bounds[0], tj.bounds[1]], [tj.bounds[2], tj.bounds[3]]];
                 try { map.fitBounds([[w, s], [e, n]], { padding: 40, duration: 0 }); } catch {}
               }
               if (tj && !tj.__error) {
-                parcelsSourceLayer = getSourceLayerFromTilejson(tj, VECTOR_DATASET);
+                parcelsSourceLayer = getSourceLayerFromTilejson(tj, dataset);
                 parcelsTiles = Array.isArray(tj.tiles) && tj.tiles.length ? tj.tiles :
-                  [`${TILE_BASE.replace(/\/$/, "")}/data/${VECTOR_DATASET}/{z}/{x}/{y}.pbf`];
+                  [`${tileRoot()}/${dataset}/{z}/{x}/{y}.pbf`];
                 idProp = pickIdPropertyNameFromLayerMeta(tj) || "master_id";
+                parcelsMinzoom = Number.isFinite(tj.minzoom) ? tj.minzoom : 0;
                 usedVector = true;
               } else {
-                parcelsTiles = [`${TILE_BASE.replace(/\/$/, "")}/data/${VECTOR_DATASET}/{z}/{x}/{y}.pbf`];
-                parcelsSourceLayer = VECTOR_DATASET;
-                usedVector = true;
+                // API running on fixtures (DATA_SOURCE=files): it serves the parcels as GeoJSON instead of tiles
+                const fc = await safeFetch(`${apiRoot()}/geojson/parcels`);
+                if (fc && !fc.__error && Array.isArray(fc.features) && fc.features.length) {
+                  parcelsGeoJSON = fc;
+                  if (!profile?.map?.bounds) {
+                    const [w, s, e, n] = turf.bbox(fc);
+                    try { map.fitBounds([[w, s], [e, n]], { padding: 40, duration: 0 }); } catch {}
+                  }
+                } else {
+                  parcelsTiles = [`${tileRoot()}/${dataset}/{z}/{x}/{y}.pbf`];
+                  parcelsSourceLayer = dataset;
+                  usedVector = true;
+                }
               }
             }
 
-            // Add main vector source (Texas counties as "parcels")
+            // Add main vector source (the county's parcels)
             try {
               if (usedVector && parcelsTiles.length) {
-                const sourceOpts = { type: "vector", tiles: parcelsTiles, maxzoom: 14 };
+                // no requests below the layer's minzoom: those tiles would hold most of the roll
+                const sourceOpts = { type: "vector", tiles: parcelsTiles, minzoom: parcelsMinzoom, maxzoom: 14 };
                 // promoteId must be on SOURCE for vector tiles
                 if (idProp && parcelsSourceLayer) {
                   sourceOpts.promoteId = { [parcelsSourceLayer]: idProp };
                 }
                 if (!map.getSource("parcels")) map.addSource("parcels", sourceOpts);
               } else {
-                if (!map.getSource("parcels")) map.addSource("parcels", { type: "geojson", data: SAMPLE_PARCELS_GEOJSON });
+                if (!map.getSource("parcels")) {
+                  map.addSource("parcels", { type: "geojson", data: parcelsGeoJSON || SAMPLE_PARCELS_GEOJSON, promoteId: "master_id" });
+                }
                 parcelsSourceLayer = undefined;
               }
+              parcelsSourceLayerRef.current = parcelsSourceLayer;
 
               if (!map.getLayer("parcels-fill")) {
                 const layer = {
                   id: "parcels-fill",
                   type: "fill",
                   source: "parcels",
-                  paint: {
-                    "fill-color": ["case", ["boolean", ["feature-state", "selected"], false], "#2563eb", "#cbd5e1"],
-                    "fill-opacity": ["case", ["boolean", ["feature-state", "selected"], false], 0.75, 0.55]
-                  }
+                  paint: { ...PARCEL_PAINT }
                 };
                 if (parcelsSourceLayer) layer["source-layer"] = parcelsSourceLayer;
                 map.addLayer(layer);
@@ -1068,33 +2373,34 @@ export default function App() {
               if (!map.getLayer("highlight-line")) map.addLayer({ id: "highlight-line", type: "line", source: "highlight-source", paint: { "line-color": "#1e40af", "line-width": 2 } });
             } catch {}
 
-            // Overlays
+            // notification-radius buffer
+            try {
+              if (!map.getSource("notify-buffer")) map.addSource("notify-buffer", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+              if (!map.getLayer("notify-buffer-fill")) map.addLayer({ id: "notify-buffer-fill", type: "fill", source: "notify-buffer", paint: { "fill-color": "#f59e0b", "fill-opacity": 0.12 } });
+              if (!map.getLayer("notify-buffer-line")) map.addLayer({ id: "notify-buffer-line", type: "line", source: "notify-buffer", paint: { "line-color": "#d97706", "line-width": 2, "line-dasharray": [2, 2] } });
+            } catch {}
+
+            // Overlays (catalog from the API; hard-coded list is the fallback)
+            const catalog = await safeFetch(`${apiRoot()}/layers`);
+            if (catalog && !catalog.__error && Array.isArray(catalog.layers) && catalog.layers.length) {
+              const fromCatalog = catalog.layers.map(overlayFromCatalog);
+              overlaysRef.current = fromCatalog;
+              setOverlays(fromCatalog);
+            }
             (overlaysRef.current || []).forEach((ov) => {
               const ovName = ov.id;
-              const ovTiles = [`${TILE_BASE.replace(/\/$/, "")}/data/${ovName}/{z}/{x}/{y}.pbf`];
-              const ovSourceLayer = ovName;
+              const ovTiles = ov.tiles || [`${tileRoot()}/${ovName}/{z}/{x}/{y}.pbf`];
+              const ovSourceLayer = ov.sourceLayer || ovName;
               try {
-                if (!map.getSource(ovName)) map.addSource(ovName, { type: "vector", tiles: ovTiles, maxzoom: 14 });
-                if (!map.getLayer(`${ovName}-fill`)) {
-                  map.addLayer({
-                    id: `${ovName}-fill`,
-                    type: "fill",
-                    source: ovName,
-                    "source-layer": ovSourceLayer,
-                    paint: { "fill-color": ov.color || "#0088ff", "fill-opacity": ov.opacity },
-                    layout: { visibility: ov.enabled ? "visible" : "none" }
-                  });
-                }
-                if (!map.getLayer(`${ovName}-line`)) {
-                  map.addLayer({
-                    id: `${ovName}-line`,
-                    type: "line",
-                    source: ovName,
-                    "source-layer": ovSourceLayer,
-                    paint: { "line-color": "#222", "line-width": 1 },
-                    layout: { visibility: ov.enabled ? "visible" : "none" }
-                  });
+                if (!map.getSource(ovName)) {
+                  const src = { type: "vector", tiles: ovTiles, maxzoom: ov.maxzoom ?? 14 };
+                  if (ov.minzoom != null) src.minzoom = ov.minzoom;
+                  if (ov.attribution) src.attribution = ov.attribution;
+                  map.addSource(ovName, src);
                 }
+                overlayStyleLayers(ov).forEach((styleLayer) => {
+                  if (!map.getLayer(styleLayer.id)) map.addLayer(overlayLayerSpec(ov, styleLayer, ovSourceLayer));
+                });
               } catch (err) {
                 console.debug("Overlay add failed:", ovName, err);
               }
@@ -1112,6 +2418,8 @@ export default function App() {
                 map.on('draw.delete', () => {
                   setStatus("Draw cleared");
                   setParcelInfo(null);
+                  setSelection(null);
+                  highlightParcelIds([]);
                   setSidebarOpen(false);
                 });
               }
@@ -1124,23 +2432,28 @@ export default function App() {
             try {
               const idFromUrl = new URL(window.location.href).searchParams.get("id");
               if (idFromUrl) {
-                const base = API_BASE || "";
                 setFetching(true);
-                const resp = await safeFetch(`${base}/api/details/${encodeURIComponent(idFromUrl)}`);
+                const resp = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(idFromUrl)}`);
                 setFetching(false);
-                if (resp && resp.details) {
+                if (resp && resp.note === "ambiguous" && Array.isArray(resp.candidates)) {
+                  setCandidates({ propId: idFromUrl, list: resp.candidates });
+                  setStatus("Several records share this id — pick one");
+                } else if (resp && resp.details) {
                   setParcelInfo(resp.details);
                   setStatus("Loaded from link");
-                  // Try to restore a previously cached bbox (from a prior click)
-                  try {
-                    const cached = localStorage.getItem(`bbox:${idFromUrl}`);
-                    if (cached) {
-                      const bb = JSON.parse(cached);
-                      if (Array.isArray(bb) && Array.isArray(bb[0]) && Array.isArray(bb[1])) {
-                        map.fitBounds(bb, { padding: 60, duration: 400 });
+                  const focused = await focusParcelRef.current(resp.details.master_id || idFromUrl, resp.bbox);
+                  // server had no geometry: try a previously cached bbox (from a prior click)
+                  if (!focused) {
+                    try {
+                      const cached = localStorage.getItem(`bbox:${idFromUrl}`);
+                      if (cached) {
+                        const bb = JSON.parse(cached);
+                        if (Array.isArray(bb) && Array.isArray(bb[0]) && Array.isArray(bb[1])) {
+                          map.fitBounds(bb, { padding: 60, duration: 400 });
+                        }
                       }
-                    }
-                  } catch {}
+                    } catch {}
+                  }
                 } else {
                   // no match; ensure panel is closed
                   setSidebarOpen(false);
@@ -1218,9 +2531,8 @@ export default function App() {
             const url = new URL(window.location.href); url.searchParams.set("id", masterId); window.history.replaceState({}, "", url.toString());
 
             // fetch details
-            const base = API_BASE || "";
             setFetching(true);
-            const resp = await safeFetch(`${base}/api/details/${encodeURIComponent(masterId)}`);
+            const resp = await safeFetch(`${apiRoot()}/details/${encodeURIComponent(masterId)}`);
             setFetching(false);
             if (resp && resp.details) {
               setParcelInfo(resp.details);
@@ -1231,13 +2543,14 @@ export default function App() {
             setStatus("Parcel details loaded");
 
             // overlay hits at click point
-            const visibleOverlays = (overlaysRef.current || []).filter(o => o.enabled).map(o => `${o.id}-fill`);
+            const visibleOverlays = (overlaysRef.current || []).filter(o => o.enabled);
             const overlayFeats = [];
-            for (const layerId of visibleOverlays) {
+            for (const ov of visibleOverlays) {
+              const layerId = overlayStyleLayers(ov)[0].id;
               try {
                 if (!mapLocal.getLayer(layerId)) continue;
                 const of = mapLocal.queryRenderedFeatures(e.point, { layers: [layerId] }) || [];
-                of.forEach(o_f => overlayFeats.push({ layer: layerId.replace(/-fill$/, ""), props: o_f.properties || {} }));
+                of.forEach(o_f => overlayFeats.push({ layer: ov.title || ov.id, props: o_f.properties || {} }));
               } catch {}
             }
             setOverlayInfo(overlayFeats.length ? overlayFeats : null);
@@ -1255,6 +2568,8 @@ export default function App() {
           } catch {}
         });
 
+        map.on('moveend', () => refreshThematicRef.current());
+
         map.on('error', () => setStatus("Map error"));
 
         // cleanup
@@ -1278,6 +2593,27 @@ export default function App() {
             const feats = e.features || [];
             if (!feats.length) return;
             const poly = feats[0];
+
+            // server-side intersection covers parcels outside the viewport / not in loaded tiles
+            setStatus("Selecting parcels...");
+            setFetching(true);
+            const resp = await safeFetch(`${apiRoot()}/parcels/within`, {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ geometry: poly.geometry })
+            });
+            setFetching(false);
+            if (resp && !resp.__error && Array.isArray(resp.parcels)) {
+              setSelection({ count: resp.count, truncated: !!resp.truncated, parcels: resp.parcels });
+              highlightParcelIds(resp.master_ids || resp.parcels.map(p => p.master_id));
+              loadSelectionStats("Drawn Selection", { geometry: poly.geometry });
+              setParcelInfo(null);
+              setSidebarOpen(true);
+              setStatus(`${resp.count} parcels selected${resp.truncated ? " (truncated)" : ""}`);
+              return;
+            }
+
+            // fallback: intersect with whatever is rendered on screen
             let rendered = [];
             try { rendered = mapLocal.queryRenderedFeatures({ layers: ['parcels-fill'] }) || []; } catch { rendered = []; }
             const selected = [];
@@ -1290,8 +2626,15 @@ export default function App() {
                 }
               } catch {}
             }
-            setStatus(`${selected.length} features selected`);
-            if (selected.length) { setParcelInfo(selected[0].properties); setSidebarOpen(true); } else { setParcelInfo(null); setSidebarOpen(true); }
+            setStatus(`${selected.length} features selected (rendered only)`);
+            setSelection({
+              count: selected.length,
+              truncated: false,
+              parcels: selected.map(s => ({ ...s.properties, master_id: s.master_id }))
+            });
+            highlightParcelIds(selected.map(s => s.master_id));
+            setParcelInfo(null);
+            setSidebarOpen(true);
           } catch (err) {
             console.debug("draw handler error", err);
           }
@@ -1303,7 +2646,7 @@ export default function App() {
     });
 
     return () => cancelAnimationFrame(raf);
-  }, [entered, clearSelection]);
+  }, [entered, counties, countyId, clearSelection, highlightParcelIds, loadSelectionStats]);
 
   /* ---------- render ---------- */
   if (!entered) {
@@ -1312,7 +2655,14 @@ export default function App() {
 
   return (
     <div className="w-full h-screen relative bg-slate-50 text-slate-900">
-      <Navbar status={status} onMenuToggle={() => setControlsOpen(!controlsOpen)} menuOpen={controlsOpen} />
+      <Navbar
+        status={status}
+        onMenuToggle={() => setControlsOpen(!controlsOpen)}
+        menuOpen={controlsOpen}
+        county={activeCounty}
+        counties={counties}
+        onCountyChange={switchCounty}
+      />
 
       {/* full-screen map layer */}
       <div ref={containerRef} className="absolute inset-0" />
@@ -1329,6 +2679,8 @@ export default function App() {
         searchText={searchText}
         setSearchText={setSearchText}
         onSearch={handleSearch}
+        suggestions={suggestions}
+        onPickSuggestion={pickSuggestion}
         setBasemap={setBasemap}
         clearSelection={clearSelection}
         overlays={overlays}
@@ -1338,16 +2690,78 @@ export default function App() {
         onExportPDF={exportPDF}
         onStartDraw={startDrawPolygon}
         onClearDrawings={clearDrawings}
+        filterFields={filterFields}
+        filterResult={filterResult}
+        filterBusy={filterBusy}
+        onRunFilter={runParcelQuery}
+        onFilterPage={(page) => filterResult?.filter && runParcelQuery(filterResult.filter, page)}
+        onClearFilter={clearParcelQuery}
+        onExportFilter={exportFilterCSV}
+        onSelectParcel={openParcel}
+        thematicCatalog={thematicCatalog}
+        thematic={thematic}
+        thematicBusy={thematicBusy}
+        onApplyThematic={applyThematic}
+        onClearThematic={clearThematic}
+        batch={batch}
+        onRunBatch={runBatch}
+        onDownloadBatch={downloadBatchCSV}
+        onClearBatch={clearBatch}
       />
 
       <Sidebar
         visible={sidebarOpen}
         parcelInfo={parcelInfo}
         overlayInfo={overlayInfo}
+        overlayReport={overlayReport}
+        rollYears={rollYears}
+        onYearChange={changeRollYear}
+        valueHistory={valueHistory}
+        permits={permits}
+        taxes={taxes}
+        taxOptions={taxOptions}
+        onTaxOptionsChange={setTaxOptions}
+        comps={comps}
+        compsOptions={compsOptions}
+        onCompsOptionsChange={setCompsOptions}
+        onHighlightComps={highlightComps}
+        onFocusParcel={focusParcel}
+        packetCompIds={packetCompIds}
+        onTogglePacketComp={togglePacketComp}
+        onProtestPacket={exportProtestPacket}
+        packetBusy={packetBusy}
+        onShowPortfolio={showOwnerPortfolio}
+        onNotify={openNotification}
+        selection={selection}
+        selectionStats={selectionStats}
+        onSelectParcel={openParcel}
+        onClearSelectionList={clearSelectionList}
+        onClearStats={() => setSelectionStats(null)}
         onClose={() => setSidebarOpen(false)}
         onGenerateReport={() => setReportVisible(true)}
       />
 
+      <CopilotChat onAsk={askCopilot} />
+
+      <ThematicLegend thematic={thematic} onClose={clearThematic} />
+
+      <NotificationPanel
+        key={notify?.subjectId || "none"}
+        state={notify}
+        subject={notify?.subjectLabel}
+        onRun={runNotification}
+        onExportCSV={exportNotificationCSV}
+        onExportLabels={exportNotificationLabels}
+        onSelectParcel={openParcel}
+        onClose={closeNotification}
+      />
+
+      <CandidatePicker
+        candidates={candidates}
+        onPick={(c) => { setCandidates(null); openParcel(c.master_id); }}
+        onClose={() => setCandidates(null)}
+      />
+
       <ReportModal
         visible={reportVisible}
         parcelInfo={parcelInfo}
@@ -1355,7 +2769,7 @@ export default function App() {
         onDownload={() => { exportPDF(); setReportVisible(false); }}
       />
 
-      {loading && <Spinner text="Loading Texas counties…" />}
+      {loading && <Spinner text={`Loading ${activeCounty?.name || "parcels"}…`} />}
     </div>
   );
 }
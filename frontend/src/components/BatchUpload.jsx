@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { parseCsv, guessIdColumn } from "../utils/csv";
+
+/* CSV of master_ids / prop_ids -> POST /api/details/batch -> map highlight + enriched CSV */
+export default function BatchUpload({ batch, onRun, onDownload, onClear, onSelectParcel }) {
+  const [open, setOpen] = useState(false);
+  const [upload, setUpload] = useState(null); // { fileName, header, rows, idColumn }
+  const [readError, setReadError] = useState(null);
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { header, rows } = parseCsv(await file.text());
+      setUpload({ fileName: file.name, header, rows, idColumn: guessIdColumn(header) });
+      setReadError(null);
+    } catch (err) {
+      setUpload(null);
+      setReadError(`Couldn't read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const reset = () => {
+    setUpload(null);
+    setReadError(null);
+    onClear();
+  };
+
+  const data = batch?.data;
+  const unmatched = data ? data.not_found.length + data.ambiguous.length : 0;
+
+  return (
+    <div className="bg-white/95 rounded-2xl p-4 shadow-xl border border-slate-100 backdrop-blur">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between">
+        <div className="text-left">
+          <div className="text-sm font-semibold text-slate-700">Upload List</div>
+          <div className="text-xs text-slate-500">Match a CSV of prop_ids or master_ids</div>
+        </div>
+        <span className="text-slate-500 text-base">{open ? "▴" : "▾"}</span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-2 text-xs">
+          <label className="block px-2 py-2 rounded-lg border border-dashed border-slate-300 bg-slate-50 text-center cursor-pointer hover:bg-slate-100">
+            {upload ? `${upload.fileName} — ${upload.rows.length.toLocaleString()} rows` : "Choose a .csv file…"}
+            <input type="file" accept=".csv,.txt,text/csv" onChange={pickFile} className="hidden" />
+          </label>
+          {readError && <div className="text-red-600">{readError}</div>}
+
+          {upload && (
+            <div className="flex items-center gap-2">
+              <span className="text-slate-600">ID column</span>
+              <select
+                value={upload.idColumn}
+                onChange={(e) => setUpload(u => ({ ...u, idColumn: Number(e.target.value) }))}
+                className="flex-1 min-w-0 px-1 py-1 rounded border border-slate-200 bg-white"
+              >
+                {upload.header.map((h, i) => <option key={i} value={i}>{h || `column ${i + 1}`}</option>)}
+              </select>
+              <button
+                onClick={() => onRun(upload)}
+                disabled={batch?.loading || !upload.rows.length}
+                className="px-3 py-1 rounded bg-indigo-600 text-white font-semibold disabled:opacity-50"
+              >
+                {batch?.loading ? "…" : "Match"}
+              </button>
+            </div>
+          )}
+
+          {batch?.loading && <div className="text-slate-500">{batch.progress || "Matching…"}</div>}
+          {batch?.error && <div className="text-red-600">{batch.error}</div>}
+
+          {data && (
+            <div className="pt-2 border-t border-slate-200 space-y-1">
+              <div className="flex items-center justify-between">
+                <div className="font-semibold text-slate-700">
+                  {data.results.length.toLocaleString()} of {data.requested.toLocaleString()} matched
+                </div>
+                <div className="flex gap-1">
+                  <button onClick={reset} className="px-2 py-1 rounded border border-slate-200 bg-white hover:bg-slate-50">Clear</button>
+                  <button onClick={onDownload} className="px-2 py-1 rounded bg-indigo-500 text-white">Enriched CSV</button>
+                </div>
+              </div>
+              {unmatched > 0 && (
+                <div className="max-h-32 overflow-auto border border-slate-200 rounded bg-white">
+                  <table className="w-full">
+                    <tbody>
+                      {data.ambiguous.map(a => (
+                        <tr key={`a-${a.id}`} className="border-t first:border-t-0">
+                          <td className="p-1.5">{a.id}</td>
+                          <td className="p-1.5 text-amber-700">
+                            {a.candidates.length} records:{" "}
+                            {a.candidates.map(c => (
+                              <button key={c.master_id} onClick={() => onSelectParcel(c.master_id)} className="underline mr-1" title={c.legal_desc || undefined}>
+                                {c.address || c.master_id.slice(0, 8)}
+                              </button>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                      {data.not_found.map(id => (
+                        <tr key={`n-${id}`} className="border-t first:border-t-0">
+                          <td className="p-1.5">{id}</td>
+                          <td className="p-1.5 text-slate-500">not found</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React from "react";
+
+const RADII = [0.25, 0.5, 1, 2, 5];
+
+const money = (n) => (n != null ? `$${Math.round(Number(n)).toLocaleString()}` : "—");
+
+function similarityClass(s) {
+  if (s >= 60) return "bg-emerald-50 text-emerald-700";
+  if (s >= 35) return "bg-amber-50 text-amber-700";
+  return "bg-slate-100 text-slate-600";
+}
+
+/* comparable parcels for the open parcel, ranked by similarity (GET /api/details/:id/comps) */
+export default function CompsSection({ comps, options, onOptionsChange, onHighlight, onFocus, selectedIds, onToggleSelect }) {
+  if (!comps) return null;
+  const { loading, error, data } = comps;
+  const list = data?.comps || [];
+  const subject = data?.subject;
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-semibold text-slate-700">Comparables</div>
+        {list.length > 0 && (
+          <button onClick={onHighlight} className="text-xs px-2 py-1 rounded bg-indigo-50 text-indigo-700 hover:bg-indigo-100">
+            Highlight on map
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 mb-2 text-xs text-slate-600">
+        <label className="flex items-center gap-1">
+          Within
+          <select
+            value={options.radius}
+            onChange={(e) => onOptionsChange({ ...options, radius: Number(e.target.value) })}
+            className="px-1 py-0.5 rounded border border-slate-200 bg-white"
+          >
+            {RADII.map(r => <option key={r} value={r}>{r} mi</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={options.sameType} onChange={(e) => onOptionsChange({ ...options, sameType: e.target.checked })} />
+          same type only
+        </label>
+      </div>
+
+      {loading && <div className="text-xs text-slate-500">Finding comparables…</div>}
+      {error && <div className="text-xs text-red-600">{error}</div>}
+      {!loading && !error && data && list.length === 0 && (
+        <div className="text-xs text-slate-500">No comparable parcels within {options.radius} mi.</div>
+      )}
+
+      {list.length > 0 && (
+        <div className="text-xs border border-slate-200 rounded-lg overflow-auto max-h-64">
+          <table className="w-full">
+            <thead className="bg-slate-50 sticky top-0">
+              <tr>
+                <th className="p-2 w-6" title="Include in protest packet"></th>
+                <th className="p-2 text-left">Parcel</th>
+                <th className="p-2 text-right">Market</th>
+                <th className="p-2 text-right">$/ac</th>
+                <th className="p-2 text-right">$/sf</th>
+                <th className="p-2 text-right">Match</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subject && (
+                <tr className="border-t bg-indigo-50/60" title="Subject parcel">
+                  <td className="p-2"></td>
+                  <td className="p-2 font-medium">Subject</td>
+                  <td className="p-2 text-right">{money(subject.market_value)}</td>
+                  <td className="p-2 text-right">{money(subject.value_per_acre)}</td>
+                  <td className="p-2 text-right">{subject.value_per_sqft != null ? `$${subject.value_per_sqft.toFixed(2)}` : "—"}</td>
+                  <td className="p-2 text-right">—</td>
+                </tr>
+              )}
+              {list.map(c => (
+                <tr
+                  key={c.master_id}
+                  onClick={() => onFocus(c.master_id)}
+                  className="border-t cursor-pointer hover:bg-indigo-50"
+                  title={[
+                    c.prop_type_cd && `Type ${c.prop_type_cd}`,
+                    c.land_type_cd && `Land ${c.land_type_cd}`,
+                    c.land_acres != null && `${c.land_acres.toFixed(2)} ac`,
+                    c.improvement_area && `${Math.round(c.improvement_area).toLocaleString()} sf`,
+                    c.yr_built && `built ${c.yr_built}`
+                  ].filter(Boolean).join(" • ")}
+                >
+                  <td className="p-2" onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(c.master_id)}
+                      onChange={() => onToggleSelect(c.master_id)}
+                      aria-label="Include in protest packet"
+                    />
+                  </td>
+                  <td className="p-2">
+                    <div className="text-slate-800">{c.address || c.prop_id || "—"}</div>
+                    <div className="text-[11px] text-slate-500">{c.prop_id} • {c.distance_mi != null ? `${c.distance_mi.toFixed(2)} mi` : ""}</div>
+                  </td>
+                  <td className="p-2 text-right">{money(c.market_value)}</td>
+                  <td className="p-2 text-right">{money(c.value_per_acre)}</td>
+                  <td className="p-2 text-right">{c.value_per_sqft != null ? `$${c.value_per_sqft.toFixed(2)}` : "—"}</td>
+                  <td className="p-2 text-right">
+                    <span className={`px-1.5 py-0.5 rounded ${similarityClass(c.similarity)}`}>{c.similarity}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {list.length > 0 && (
+        <div className="mt-1 text-[11px] text-slate-500">{selectedIds.length} of {list.length} selected for the protest packet</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const EXAMPLES = [
+  "vacant lots over 5 acres in 78704",
+  "mobile homes worth under $150k",
+  "top 20 most valuable parcels built after 2015"
+];
+
+/* floating natural-language parcel query box; onAsk(question) resolves to { text } */
+export default function CopilotChat({ onAsk }) {
+  const [open, setOpen] = useState(false);
+  const [input, setInput] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages, open]);
+
+  const ask = async (text) => {
+    const question = String(text ?? input).trim();
+    if (!question || busy) return;
+    setInput("");
+    setMessages(m => [...m, { role: "user", text: question }]);
+    setBusy(true);
+    const reply = await onAsk(question);
+    setBusy(false);
+    setMessages(m => [...m, { role: "assistant", text: reply?.text || "Something went wrong.", error: !!reply?.error }]);
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="absolute bottom-6 left-6 z-40 px-4 py-2 rounded-full bg-indigo-600 text-white text-sm shadow-lg hover:bg-indigo-700"
+      >
+        Ask the map
+      </button>
+    );
+  }
+
+  return (
+    <div className="absolute bottom-6 left-6 z-40 w-80 bg-white/95 backdrop-blur border border-slate-200 rounded-xl shadow-xl flex flex-col">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-slate-200">
+        <div className="text-sm font-semibold text-slate-700">Ask the map</div>
+        <button onClick={() => setOpen(false)} className="text-slate-400 hover:text-slate-600 text-sm">✕</button>
+      </div>
+
+      <div ref={listRef} className="max-h-64 overflow-auto p-3 space-y-2 text-xs">
+        {messages.length === 0 && (
+          <div className="text-slate-500">
+            Describe the parcels you want to find. Try:
+            <ul className="mt-1 space-y-1">
+              {EXAMPLES.map(e => (
+                <li key={e}>
+                  <button onClick={() => ask(e)} className="text-indigo-600 hover:underline text-left">{e}</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {messages.map((m, i) => (
+          <div
+            key={i}
+            className={`px-2 py-1.5 rounded-lg whitespace-pre-line ${
+              m.role === "user" ? "bg-indigo-50 text-indigo-900 ml-6" : m.error ? "bg-red-50 text-red-700 mr-6" : "bg-slate-100 text-slate-700 mr-6"
+            }`}
+          >
+            {m.text}
+          </div>
+        ))}
+        {busy && <div className="text-slate-400">Searching…</div>}
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); ask(); }}
+        className="flex gap-2 p-2 border-t border-slate-200"
+      >
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="e.g. parcels over 10 acres in 78737"
+          className="flex-1 px-2 py-1.5 text-sm rounded border border-slate-200"
+        />
+        <button type="submit" disabled={busy} className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white disabled:opacity-50">
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+
+const OP_LABELS = {
+  eq: "=",
+  neq: "≠",
+  lt: "<",
+  lte: "≤",
+  gt: ">",
+  gte: "≥",
+  between: "between",
+  in: "in list",
+  contains: "contains",
+  starts_with: "starts with",
+  is_null: "is empty",
+  not_null: "is not empty"
+};
+
+const SOURCE_LABELS = { property: "Property", land: "Land segments", improvement: "Improvements" };
+
+const emptyRow = (field) => ({ field: field?.name || "", op: field?.ops?.[0] || "eq", value: "", value2: "" });
+
+/* row state -> API condition (between takes [lo, hi], in takes a comma list) */
+function toCondition(row) {
+  if (row.op === "between") return { field: row.field, op: row.op, value: [row.value, row.value2] };
+  if (row.op === "is_null" || row.op === "not_null") return { field: row.field, op: row.op };
+  return { field: row.field, op: row.op, value: row.value };
+}
+
+/* structured attribute filter (POST /api/parcels/query) with paged, exportable results */
+export default function FilterBuilder({ fields, result, busy, onRun, onPage, onClear, onExport, onSelectParcel }) {
+  const [open, setOpen] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [match, setMatch] = useState("all");
+
+  const byName = Object.fromEntries((fields || []).map(f => [f.name, f]));
+  const sources = [...new Set((fields || []).map(f => f.source))];
+
+  const updateRow = (i, patch) => setRows(rs => rs.map((r, j) => {
+    if (j !== i) return r;
+    const next = { ...r, ...patch };
+    if (patch.field) {
+      const ops = byName[patch.field]?.ops || [];
+      if (!ops.includes(next.op)) next.op = ops[0];
+    }
+    return next;
+  }));
+
+  const run = () => {
+    const conditions = rows.filter(r => r.field).map(toCondition);
+    if (conditions.length) onRun({ conditions, match });
+  };
+
+  return (
+    <div className="bg-white/95 rounded-2xl p-4 shadow-xl border border-slate-100 backdrop-blur">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between">
+        <div className="text-left">
+          <div className="text-sm font-semibold text-slate-700">Attribute Filter</div>
+          <div className="text-xs text-slate-500">Find parcels by value, type, land or improvements</div>
+        </div>
+        <span className="text-slate-500 text-base">{open ? "▴" : "▾"}</span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-2 text-xs">
+          {!fields?.length && <div className="text-slate-500">Filter fields unavailable.</div>}
+
+          {rows.map((r, i) => {
+            const def = byName[r.field];
+            const inputType = def?.type === "number" ? "number" : "text";
+            const noValue = r.op === "is_null" || r.op === "not_null";
+            return (
+              <div key={i} className="p-2 rounded-lg border border-slate-200 bg-slate-50 space-y-1">
+                <div className="flex gap-1">
+                  <select value={r.field} onChange={(e) => updateRow(i, { field: e.target.value })} className="flex-1 min-w-0 px-1 py-1 rounded border border-slate-200 bg-white">
+                    {sources.map(src => (
+                      <optgroup key={src} label={SOURCE_LABELS[src] || src}>
+                        {fields.filter(f => f.source === src).map(f => <option key={f.name} value={f.name}>{f.label}</option>)}
+                      </optgroup>
+                    ))}
+                  </select>
+                  <select value={r.op} onChange={(e) => updateRow(i, { op: e.target.value })} className="w-24 px-1 py-1 rounded border border-slate-200 bg-white">
+                    {(def?.ops || []).map(op => <option key={op} value={op}>{OP_LABELS[op] || op}</option>)}
+                  </select>
+                  <button onClick={() => setRows(rs => rs.filter((_, j) => j !== i))} className="px-1 text-slate-400 hover:text-red-600" title="Remove">✕</button>
+                </div>
+                {!noValue && (
+                  <div className="flex gap-1">
+                    <input
+                      type={r.op === "in" ? "text" : inputType}
+                      value={r.value}
+                      onChange={(e) => updateRow(i, { value: e.target.value })}
+                      onKeyDown={(e) => { if (e.key === "Enter") run(); }}
+                      placeholder={r.op === "in" ? "comma separated" : r.op === "between" ? "from" : "value"}
+                      className="flex-1 min-w-0 px-2 py-1 rounded border border-slate-200"
+                    />
+                    {r.op === "between" && (
+                      <input
+                        type={inputType}
+                        value={r.value2}
+                        onChange={(e) => updateRow(i, { value2: e.target.value })}
+                        onKeyDown={(e) => { if (e.key === "Enter") run(); }}
+                        placeholder="to"
+                        className="flex-1 min-w-0 px-2 py-1 rounded border border-slate-200"
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setRows(rs => [...rs, emptyRow(fields?.[0])])}
+              disabled={!fields?.length}
+              className="px-2 py-1 rounded border border-slate-200 bg-white hover:bg-slate-50 disabled:opacity-50"
+            >
+              + Condition
+            </button>
+            {rows.length > 1 && (
+              <select value={match} onChange={(e) => setMatch(e.target.value)} className="px-1 py-1 rounded border border-slate-200 bg-white">
+                <option value="all">match all</option>
+                <option value="any">match any</option>
+              </select>
+            )}
+            <div className="ml-auto flex gap-1">
+              <button
+                onClick={() => { setRows([]); onClear(); }}
+                className="px-2 py-1 rounded border border-slate-200 bg-white hover:bg-slate-50"
+              >
+                Reset
+              </button>
+              <button onClick={run} disabled={busy || !rows.length} className="px-3 py-1 rounded bg-indigo-600 text-white font-semibold disabled:opacity-50">
+                {busy ? "…" : "Apply"}
+              </button>
+            </div>
+          </div>
+
+          {result?.error && <div className="text-red-600">{result.error}</div>}
+
+          {result && !result.error && (
+            <div className="pt-2 border-t border-slate-200">
+              <div className="flex items-center justify-between mb-1">
+                <div className="font-semibold text-slate-700">
+                  {Number(result.count).toLocaleString()} match{result.count === 1 ? "" : "es"}
+                  {result.ids_truncated && <span className="ml-1 font-normal text-amber-700">(map shows first {result.master_ids?.length.toLocaleString()})</span>}
+                </div>
+                <button onClick={onExport} disabled={!result.count || busy} className="px-2 py-1 rounded bg-indigo-500 text-white disabled:opacity-50">Export CSV</button>
+              </div>
+              {result.parcels.length > 0 && (
+                <div className="max-h-48 overflow-auto border border-slate-200 rounded bg-white">
+                  <table className="w-full">
+                    <tbody>
+                      {result.parcels.map(p => (
+                        <tr key={p.master_id} onClick={() => onSelectParcel(p.master_id)} className="border-t first:border-t-0 cursor-pointer hover:bg-indigo-50">
+                          <td className="p-1.5">{p.prop_id ?? "—"}</td>
+                          <td className="p-1.5 truncate max-w-[140px]">{p.address || "—"}</td>
+                          <td className="p-1.5 text-right">${Number(p.market_value ?? 0).toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {result.pages > 1 && (
+                <div className="mt-1 flex items-center justify-between text-slate-600">
+                  <button onClick={() => onPage(result.page - 1)} disabled={busy || result.page <= 1} className="px-2 py-0.5 rounded border border-slate-200 disabled:opacity-40">‹ Prev</button>
+                  <span>Page {result.page} of {result.pages}</span>
+                  <button onClick={() => onPage(result.page + 1)} disabled={busy || result.page >= result.pages} className="px-2 py-0.5 rounded border border-slate-200 disabled:opacity-40">Next ›</button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
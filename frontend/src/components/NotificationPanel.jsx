@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+
+const PRESETS = [200, 300, 500, 1000];
+
+/* notification-radius generator: buffer distance -> hit parcels + deduplicated owner mailing list */
+export default function NotificationPanel({ state, subject, onRun, onExportCSV, onExportLabels, onSelectParcel, onClose }) {
+  const [distance, setDistance] = useState(200);
+  const [includeSubject, setIncludeSubject] = useState(false);
+  const [tab, setTab] = useState("mailing");
+  if (!state) return null;
+  const { loading, error, result } = state;
+
+  return (
+    <div className="absolute bottom-6 left-1/2 -translate-x-1/2 z-40 w-[540px] max-w-[94vw] bg-white/95 backdrop-blur rounded-2xl shadow-2xl border border-slate-200 p-4 text-xs">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-sm font-semibold text-slate-800">Notification Radius</div>
+          <div className="text-slate-500">Owners within a set distance of {subject || "the subject parcel"}</div>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600 text-sm">✕</button>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        {PRESETS.map(ft => (
+          <button
+            key={ft}
+            onClick={() => setDistance(ft)}
+            className={`px-2 py-1 rounded border ${distance === ft ? "bg-indigo-600 text-white border-indigo-600" : "bg-white border-slate-200 hover:bg-slate-50"}`}
+          >
+            {ft} ft
+          </button>
+        ))}
+        <input
+          type="number" min="1" max="5280" value={distance}
+          onChange={(e) => setDistance(Number(e.target.value))}
+          className="w-20 px-2 py-1 rounded border border-slate-200"
+          aria-label="Distance in feet"
+        />
+        <label className="flex items-center gap-1 text-slate-600">
+          <input type="checkbox" checked={includeSubject} onChange={(e) => setIncludeSubject(e.target.checked)} />
+          include subject
+        </label>
+        <button
+          onClick={() => onRun({ distance, includeSubject })}
+          disabled={loading || !(distance > 0)}
+          className="ml-auto px-3 py-1 rounded bg-indigo-600 text-white font-semibold disabled:opacity-50"
+        >
+          {loading ? "…" : "Find owners"}
+        </button>
+      </div>
+
+      {error && <div className="mt-2 text-red-600">{error}</div>}
+
+      {result && (
+        <div className="mt-3">
+          <div className="flex items-center gap-3">
+            <div className="text-slate-700">
+              <span className="font-semibold">{result.count.toLocaleString()}</span> parcels •{" "}
+              <span className="font-semibold">{result.mailing_list.length.toLocaleString()}</span> mailing addresses
+              {result.missing_address > 0 && <span className="text-amber-700"> • {result.missing_address} without address</span>}
+              {result.truncated && <span className="text-amber-700"> • truncated</span>}
+            </div>
+            <div className="ml-auto flex gap-1">
+              <button onClick={onExportCSV} disabled={!result.count} className="px-2 py-1 rounded bg-indigo-500 text-white disabled:opacity-50">CSV</button>
+              <button onClick={onExportLabels} disabled={!result.mailing_list.length} className="px-2 py-1 rounded bg-indigo-500 text-white disabled:opacity-50">Labels PDF</button>
+            </div>
+          </div>
+
+          <div className="mt-2 flex gap-1">
+            {[["mailing", "Mailing list"], ["parcels", "Parcels"]].map(([id, label]) => (
+              <button key={id} onClick={() => setTab(id)} className={`px-2 py-0.5 rounded ${tab === id ? "bg-slate-200 text-slate-800" : "text-slate-500 hover:bg-slate-100"}`}>{label}</button>
+            ))}
+          </div>
+
+          <div className="mt-1 max-h-48 overflow-auto border border-slate-200 rounded bg-white">
+            <table className="w-full">
+              {tab === "mailing" ? (
+                <tbody>
+                  {result.mailing_list.map((m, i) => (
+                    <tr key={i} className="border-t first:border-t-0 align-top">
+                      <td className="p-1.5 font-medium text-slate-800">{m.owner_name || "—"}</td>
+                      <td className="p-1.5 text-slate-600">
+                        {[m.addr_line1, m.addr_line2, [m.city, m.state].filter(Boolean).join(", ") + (m.zip ? ` ${m.zip}` : "")].filter(s => s && s.trim()).join(" • ")}
+                      </td>
+                      <td className="p-1.5 text-right text-slate-400">{m.prop_ids.length > 1 ? `${m.prop_ids.length} parcels` : m.prop_ids[0]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              ) : (
+                <tbody>
+                  {result.parcels.map(p => (
+                    <tr key={p.master_id} onClick={() => onSelectParcel(p.master_id)} className="border-t first:border-t-0 cursor-pointer hover:bg-indigo-50">
+                      <td className="p-1.5">{p.prop_id ?? "—"}{p.is_subject && <span className="ml-1 text-indigo-600">(subject)</span>}</td>
+                      <td className="p-1.5">{p.address || "—"}</td>
+                      <td className="p-1.5 text-slate-600 truncate max-w-[160px]">{p.owner_name || "—"}</td>
+                      <td className="p-1.5 text-right text-slate-500">{p.distance_ft} ft</td>
+                    </tr>
+                  ))}
+                </tbody>
+              )}
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
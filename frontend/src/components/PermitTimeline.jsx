@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from "react";
+
+const KIND_COLORS = { permit: "#FF9800", inspection: "#4CAF50" };
+
+function statusClass(status) {
+  const s = String(status || "").toLowerCase();
+  if (/(fail|violation|denied|expired|revoked)/.test(s)) return "bg-red-50 text-red-700 border-red-200";
+  if (/(pass|final|approved|closed|complete|issued)/.test(s)) return "bg-emerald-50 text-emerald-700 border-emerald-200";
+  return "bg-slate-50 text-slate-600 border-slate-200";
+}
+
+/* permits + inspections for one parcel as a filterable timeline (records are newest-first) */
+export default function PermitTimeline({ records, loading }) {
+  const [source, setSource] = useState("all");
+  const [status, setStatus] = useState("all");
+  const [text, setText] = useState("");
+
+  const sources = useMemo(() => {
+    const seen = new Map();
+    (records || []).forEach(r => { if (!seen.has(r.source)) seen.set(r.source, r.source_title || r.source); });
+    return [...seen.entries()];
+  }, [records]);
+  const statuses = useMemo(
+    () => [...new Set((records || []).map(r => r.status).filter(Boolean))].sort(),
+    [records]
+  );
+
+  if (loading) {
+    return (
+      <div className="mt-4">
+        <div className="text-sm font-semibold text-slate-700 mb-2">Permits & Inspections</div>
+        <div className="text-xs text-slate-500">Loading records…</div>
+      </div>
+    );
+  }
+  if (!Array.isArray(records)) return null;
+
+  const needle = text.trim().toLowerCase();
+  const shown = records.filter(r =>
+    (source === "all" || r.source === source) &&
+    (status === "all" || r.status === status) &&
+    (!needle || [r.number, r.type, r.status, r.result, r.address].some(v => String(v ?? "").toLowerCase().includes(needle)))
+  );
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-semibold text-slate-700">Permits & Inspections</div>
+        <div className="text-xs text-slate-500">{shown.length} of {records.length}</div>
+      </div>
+
+      {records.length === 0 ? (
+        <div className="text-xs text-slate-500">No permit or inspection records for this parcel.</div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3 text-xs">
+            <select value={source} onChange={(e) => setSource(e.target.value)} className="px-2 py-1 rounded border border-slate-200 bg-white">
+              <option value="all">All sources</option>
+              {sources.map(([id, title]) => <option key={id} value={id}>{title}</option>)}
+            </select>
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className="px-2 py-1 rounded border border-slate-200 bg-white">
+              <option value="all">Any status</option>
+              {statuses.map(st => <option key={st} value={st}>{st}</option>)}
+            </select>
+            <input
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="Filter…"
+              className="flex-1 min-w-[80px] px-2 py-1 rounded border border-slate-200"
+            />
+          </div>
+
+          <ol className="relative border-l border-slate-200 ml-2 space-y-3">
+            {shown.map(r => (
+              <li key={`${r.source}-${r.record_id}`} className="ml-4">
+                <span
+                  className="absolute -left-[5px] mt-1.5 w-2.5 h-2.5 rounded-full border border-white"
+                  style={{ backgroundColor: KIND_COLORS[r.kind] || "#64748b" }}
+                />
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-[11px] text-slate-500">{r.date || "Undated"} • {r.source_title || r.source}</div>
+                  {r.status && <span className={`text-[10px] px-1.5 py-0.5 rounded border ${statusClass(r.status)}`}>{r.status}</span>}
+                </div>
+                <div className="text-sm text-slate-800">{r.type || (r.kind === "inspection" ? "Inspection" : "Permit")}</div>
+                <div className="text-[11px] text-slate-500">
+                  {[r.number && `#${r.number}`, r.result && `Result: ${r.result}`, r.matched_by === "address" && "matched by address"].filter(Boolean).join(" • ")}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
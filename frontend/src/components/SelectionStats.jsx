@@ -0,0 +1,119 @@
+import React from "react";
+import { shortMoney } from "../utils/charts";
+
+const METRICS = [
+  { key: "market_value", label: "Market" },
+  { key: "assessed_value", label: "Assessed" },
+  { key: "land_value", label: "Land" },
+  { key: "improvement_value", label: "Improvements" }
+];
+
+/* horizontal share bars for categorical counts (top N, rest folded into "Other") */
+function CountBars({ title, rows, color, top = 6 }) {
+  if (!rows?.length) return null;
+  const head = rows.slice(0, top);
+  const rest = rows.slice(top).reduce((n, r) => n + r.count, 0);
+  const items = rest ? [...head, { code: "Other", count: rest }] : head;
+  const max = Math.max(...items.map(r => r.count), 1);
+  return (
+    <div className="mt-3">
+      <div className="text-xs font-semibold text-slate-600 mb-1">{title}</div>
+      <div className="space-y-1">
+        {items.map(r => (
+          <div key={r.code} className="flex items-center gap-2 text-[11px]" title={r.description || undefined}>
+            <div className="w-16 truncate text-slate-600">{r.code || "(none)"}</div>
+            <div className="flex-1 h-2.5 bg-slate-100 rounded">
+              <div className="h-2.5 rounded" style={{ width: `${(r.count / max) * 100}%`, backgroundColor: color }} />
+            </div>
+            <div className="w-10 text-right text-slate-700">{r.count.toLocaleString()}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* year-built histogram (decades) as a small column chart */
+function DecadeHistogram({ rows }) {
+  if (!rows?.length) return null;
+  const width = 320, height = 70, pad = 14;
+  const max = Math.max(...rows.map(r => r.count), 1);
+  const bw = (width - 4) / rows.length;
+  const every = Math.max(1, Math.ceil(rows.length / 8));
+  return (
+    <div className="mt-3">
+      <div className="text-xs font-semibold text-slate-600 mb-1">Year Built (improvements by decade)</div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        {rows.map((r, i) => {
+          const h = ((height - pad) * r.count) / max;
+          return (
+            <g key={r.decade}>
+              <rect x={2 + i * bw + 1} y={height - pad - h} width={Math.max(bw - 2, 1)} height={h} fill="#6366f1" rx="1">
+                <title>{`${r.decade}s: ${r.count.toLocaleString()}`}</title>
+              </rect>
+              {i % every === 0 && (
+                <text x={2 + i * bw + bw / 2} y={height - 3} fontSize="8" textAnchor="middle" fill="#64748b">{r.decade}</text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+/* summary card for a selection set (POST /api/stats) */
+export default function SelectionStats({ stats, onClose }) {
+  if (!stats) return null;
+  const { title, loading, error, data } = stats;
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-white border border-indigo-100">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-semibold text-slate-700 truncate">Summary{title ? ` — ${title}` : ""}</div>
+        <button onClick={onClose} className="text-xs text-slate-500 hover:text-slate-700">Hide</button>
+      </div>
+
+      {loading && <div className="text-xs text-slate-500 mt-2">Computing statistics…</div>}
+      {error && <div className="text-xs text-red-600 mt-2">{error}</div>}
+
+      {data && (
+        <>
+          <div className="mt-2 grid grid-cols-2 gap-2 text-xs">
+            <div className="p-2 rounded bg-slate-50">
+              <div className="text-slate-500">Parcels</div>
+              <div className="text-base font-semibold text-slate-900">{Number(data.count).toLocaleString()}</div>
+            </div>
+            <div className="p-2 rounded bg-slate-50">
+              <div className="text-slate-500">Total acres</div>
+              <div className="text-base font-semibold text-slate-900">{Number(data.total_acres ?? 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}</div>
+            </div>
+          </div>
+
+          <table className="mt-2 w-full text-xs">
+            <thead>
+              <tr className="text-slate-500">
+                <th className="py-1 text-left font-normal"></th>
+                <th className="py-1 text-right font-normal">Sum</th>
+                <th className="py-1 text-right font-normal">Median</th>
+              </tr>
+            </thead>
+            <tbody>
+              {METRICS.map(m => (
+                <tr key={m.key} className="border-t border-slate-100" title={`Sum $${Number(data.values?.[m.key]?.sum ?? 0).toLocaleString()}`}>
+                  <td className="py-1 text-slate-600">{m.label}</td>
+                  <td className="py-1 text-right font-medium">{shortMoney(data.values?.[m.key]?.sum)}</td>
+                  <td className="py-1 text-right">{data.values?.[m.key]?.median != null ? `$${Math.round(data.values[m.key].median).toLocaleString()}` : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <CountBars title="Property types" rows={data.prop_types} color="#10b981" />
+          <CountBars title="Land types (segments)" rows={data.land_types} color="#f59e0b" />
+          <DecadeHistogram rows={data.year_built} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React from "react";
+
+const money = (n) => (n != null ? Number(n).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 }) : "—");
+const cents = (n) => (n != null ? Number(n).toLocaleString(undefined, { style: "currency", currency: "USD" }) : "—");
+
+const TYPE_LABELS = { county: "County", city: "City", isd: "ISD", special: "Special" };
+
+/* estimated tax bill per taxing unit for the open parcel (GET /api/details/:id/taxes) */
+export default function TaxEstimate({ taxes, options, onOptionsChange }) {
+  if (!taxes) return null;
+  const { loading, error, data } = taxes;
+  const units = data?.units || [];
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-semibold text-slate-700">Estimated Taxes</div>
+        {data?.prop_val_yr && <div className="text-[11px] text-slate-500">{data.prop_val_yr} roll</div>}
+      </div>
+
+      <div className="flex items-center gap-3 mb-2 text-xs text-slate-600">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={options.homestead || options.over65}
+            disabled={options.over65}
+            onChange={(e) => onOptionsChange({ ...options, homestead: e.target.checked })}
+          />
+          homestead
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={options.over65} onChange={(e) => onOptionsChange({ ...options, over65: e.target.checked })} />
+          over 65
+        </label>
+      </div>
+
+      {loading && <div className="text-xs text-slate-500">Calculating…</div>}
+      {error && <div className="text-xs text-red-600">{error}</div>}
+      {!loading && !error && data && units.length === 0 && (
+        <div className="text-xs text-slate-500">No taxing units apply to this parcel.</div>
+      )}
+
+      {units.length > 0 && (
+        <div className="text-xs border border-slate-200 rounded-lg overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="p-2 text-left">Unit</th>
+                <th className="p-2 text-right">Rate</th>
+                <th className="p-2 text-right">Exempt</th>
+                <th className="p-2 text-right">Taxable</th>
+                <th className="p-2 text-right">Tax</th>
+              </tr>
+            </thead>
+            <tbody>
+              {units.map(u => (
+                <tr
+                  key={u.id}
+                  className="border-t"
+                  title={u.exemptions.map(e => `${e.type === "over65" ? "Over 65" : "Homestead"}: ${money(e.amount)}`).join(" • ")}
+                >
+                  <td className="p-2">
+                    <div className="text-slate-800">{u.name}</div>
+                    <div className="text-[11px] text-slate-500" title={u.source || undefined}>
+                      {TYPE_LABELS[u.type] || u.type}{u.tax_year != null && ` · ${u.tax_year} rate`}
+                    </div>
+                  </td>
+                  <td className="p-2 text-right">{u.rate.toFixed(4)}</td>
+                  <td className="p-2 text-right">{u.exemption_total ? money(u.exemption_total) : "—"}</td>
+                  <td className="p-2 text-right">{money(u.taxable_value)}</td>
+                  <td className="p-2 text-right">{cents(u.tax)}</td>
+                </tr>
+              ))}
+              <tr className="border-t bg-indigo-50/60 font-semibold">
+                <td className="p-2" colSpan={4}>
+                  Total{data.effective_rate != null && <span className="ml-1 font-normal text-slate-500">({data.effective_rate.toFixed(2)}% of {money(data.assessed_value)} assessed)</span>}
+                </td>
+                <td className="p-2 text-right">{cents(data.total_tax)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+      {data?.unavailable?.length > 0 && (
+        <div className="text-[11px] text-slate-400 mt-1">Jurisdiction not checked: {data.unavailable.join(", ")}</div>
+      )}
+      <div className="text-[11px] text-slate-400 mt-1">Rates per $100 of taxable value. Estimate only — excludes tax ceilings and other exemptions.</div>
+    </div>
+  );
+}
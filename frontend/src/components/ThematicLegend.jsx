@@ -0,0 +1,34 @@
+import React from "react";
+
+const METHOD_LABELS = { quantile: "quantile", equal_interval: "equal interval", natural_breaks: "natural breaks" };
+
+/* auto-generated legend for the active thematic style */
+export default function ThematicLegend({ thematic, onClose }) {
+  if (!thematic) return null;
+  return (
+    <div className="absolute bottom-8 right-6 z-40 w-56 bg-white/95 backdrop-blur rounded-xl shadow-xl border border-slate-200 p-3 text-xs">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="font-semibold text-slate-700">{thematic.label}</div>
+          {thematic.method && <div className="text-[11px] text-slate-500">{thematic.legend.length} classes, {METHOD_LABELS[thematic.method] || thematic.method}</div>}
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Turn off">✕</button>
+      </div>
+      <ul className="mt-2 space-y-1">
+        {thematic.legend.map((item, i) => (
+          <li key={i} className="flex items-center gap-2">
+            <span className="inline-block w-4 h-3 rounded-sm border border-slate-300" style={{ backgroundColor: item.color }} />
+            <span className="flex-1 text-slate-700 truncate">{item.label}</span>
+            {item.count != null && <span className="text-slate-400">{item.count.toLocaleString()}</span>}
+          </li>
+        ))}
+        <li className="flex items-center gap-2">
+          <span className="inline-block w-4 h-3 rounded-sm border border-slate-300 bg-slate-300/60" />
+          <span className="text-slate-500">No data / not loaded</span>
+        </li>
+      </ul>
+      {thematic.loading && <div className="mt-2 text-[11px] text-slate-500">Loading parcels in view…</div>}
+      {thematic.truncated && <div className="mt-2 text-[11px] text-amber-700">Too many parcels in view — zoom in to style them all.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { RAMPS, rampColors } from "../utils/thematic";
+
+const METHOD_LABELS = { quantile: "Quantile", equal_interval: "Equal interval", natural_breaks: "Natural breaks (Jenks)" };
+
+/* choropleth controls: attribute, classification, class count and colour ramp */
+export default function ThematicPanel({ catalog, active, busy, onApply, onClear }) {
+  const [open, setOpen] = useState(false);
+  const attributes = catalog?.attributes || [];
+  const methods = catalog?.methods || Object.keys(METHOD_LABELS);
+  const [attribute, setAttribute] = useState("");
+  const [method, setMethod] = useState("quantile");
+  const [classes, setClasses] = useState(5);
+  const [ramp, setRamp] = useState("YlOrRd");
+
+  const attrId = attribute || attributes[0]?.id || "";
+  const attr = attributes.find(a => a.id === attrId);
+  const categorical = attr?.type === "categorical";
+
+  return (
+    <div className="bg-white/95 rounded-2xl p-4 shadow-xl border border-slate-100 backdrop-blur">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between">
+        <div className="text-left">
+          <div className="text-sm font-semibold text-slate-700">Thematic Map</div>
+          <div className="text-xs text-slate-500">{active ? `Styled by ${active.label}` : "Colour parcels by an attribute"}</div>
+        </div>
+        <span className="text-slate-500 text-base">{open ? "▴" : "▾"}</span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-2 text-xs">
+          {!attributes.length && <div className="text-slate-500">Thematic attributes unavailable.</div>}
+
+          <label className="block">
+            <span className="text-slate-600">Attribute</span>
+            <select value={attrId} onChange={(e) => setAttribute(e.target.value)} className="mt-1 w-full px-2 py-1 rounded border border-slate-200 bg-white">
+              {attributes.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+            </select>
+          </label>
+
+          {!categorical && (
+            <div className="flex gap-2">
+              <label className="flex-1">
+                <span className="text-slate-600">Classification</span>
+                <select value={method} onChange={(e) => setMethod(e.target.value)} className="mt-1 w-full px-2 py-1 rounded border border-slate-200 bg-white">
+                  {methods.map(m => <option key={m} value={m}>{METHOD_LABELS[m] || m}</option>)}
+                </select>
+              </label>
+              <label className="w-20">
+                <span className="text-slate-600">Classes</span>
+                <select value={classes} onChange={(e) => setClasses(Number(e.target.value))} className="mt-1 w-full px-2 py-1 rounded border border-slate-200 bg-white">
+                  {Array.from({ length: (catalog?.max_classes || 9) - 1 }, (_, i) => i + 2).map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {!categorical && (
+            <div>
+              <div className="text-slate-600 mb-1">Colour ramp</div>
+              <div className="grid grid-cols-2 gap-1">
+                {Object.entries(RAMPS).map(([id, r]) => (
+                  <button
+                    key={id}
+                    onClick={() => setRamp(id)}
+                    title={r.label}
+                    className={`flex h-4 rounded overflow-hidden border ${ramp === id ? "border-indigo-500 ring-1 ring-indigo-400" : "border-slate-200"}`}
+                  >
+                    {rampColors(id, classes).map((c, i) => <span key={i} className="flex-1" style={{ backgroundColor: c }} />)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-1 pt-1">
+            {active && (
+              <button onClick={onClear} className="px-2 py-1 rounded border border-slate-200 bg-white hover:bg-slate-50">Turn off</button>
+            )}
+            <button
+              onClick={() => onApply({ attribute: attrId, method, classes, ramp })}
+              disabled={busy || !attrId}
+              className="px-3 py-1 rounded bg-indigo-600 text-white font-semibold disabled:opacity-50"
+            >
+              {busy ? "…" : "Apply"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+import { lineChartGeometry, formatChange, HISTORY_SERIES } from "../utils/charts";
+
+const CHANGE_CLASSES = { up: "text-emerald-700", down: "text-red-600", flat: "text-slate-500" };
+
+function Change({ change }) {
+  if (!change) return <span className="text-slate-400">—</span>;
+  const { direction, amount, pct } = formatChange(change);
+  return (
+    <span className={CHANGE_CLASSES[direction]}>
+      {amount}
+      {pct != null && <span className="ml-1">({pct})</span>}
+    </span>
+  );
+}
+
+/* valuation history: line chart + year-over-year table (history is oldest-first) */
+export default function ValueHistory({ history }) {
+  if (!Array.isArray(history) || history.length === 0) return null;
+  const g = lineChartGeometry(history, HISTORY_SERIES);
+  const money = (n) => (n != null ? `$${Number(n).toLocaleString()}` : "—");
+
+  return (
+    <div className="mt-4">
+      <div className="text-sm font-semibold text-slate-700 mb-2">Valuation History</div>
+      <svg viewBox={`0 0 ${g.width} ${g.height}`} className="w-full h-auto bg-white border border-slate-200 rounded-lg">
+        {g.yTicks.map((t, i) => (
+          <g key={i}>
+            <line x1={g.pad.l} x2={g.width - g.pad.r} y1={t.y} y2={t.y} stroke="#e2e8f0" />
+            <text x={g.pad.l - 6} y={t.y + 3} fontSize="9" textAnchor="end" fill="#64748b">{t.label}</text>
+          </g>
+        ))}
+        {g.xLabels.map((l, i) => (
+          <text key={i} x={l.x} y={g.height - 6} fontSize="9" textAnchor="middle" fill="#64748b">{l.label}</text>
+        ))}
+        {g.lines.map(l => (
+          <g key={l.key}>
+            <path d={l.path} fill="none" stroke={l.color} strokeWidth="2" />
+            {l.points.map(([x, y], i) => <circle key={i} cx={x} cy={y} r="2.5" fill={l.color} />)}
+          </g>
+        ))}
+      </svg>
+      <div className="mt-1 flex flex-wrap gap-3 text-[11px] text-slate-600">
+        {HISTORY_SERIES.map(s => (
+          <span key={s.key} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: s.color }} />{s.label}
+          </span>
+        ))}
+      </div>
+
+      <div className="mt-2 text-xs border border-slate-200 rounded-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-slate-50">
+            <tr>
+              <th className="p-2 text-left">Year</th>
+              <th className="p-2 text-right">Market</th>
+              <th className="p-2 text-right">Change</th>
+              <th className="p-2 text-right">Assessed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...history].reverse().map(h => (
+              <tr key={h.year} className="border-t" title={`Land ${money(h.land_value)} • Improvements ${money(h.improvement_value)}`}>
+                <td className="p-2">{h.year}</td>
+                <td className="p-2 text-right">{money(h.market_value)}</td>
+                <td className="p-2 text-right"><Change change={h.change?.market_value} /></td>
+                <td className="p-2 text-right">{money(h.assessed_value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
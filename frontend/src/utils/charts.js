@@ -0,0 +1,82 @@
+/* charts.js — tiny dependency-free SVG chart helpers (shared by React views and the PDF export) */
+
+// valuation history series (GET /api/details/:id/history)
+export const HISTORY_SERIES = [
+  { key: "market_value", label: "Market", color: "#4f46e5" },
+  { key: "assessed_value", label: "Assessed", color: "#059669" },
+  { key: "land_value", label: "Land", color: "#d97706" },
+  { key: "improvement_value", label: "Improvements", color: "#db2777" }
+];
+
+export function shortMoney(n) {
+  const v = Number(n ?? 0);
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return `$${(v / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `$${(v / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `$${Math.round(v / 1e3)}K`;
+  return `$${Math.round(v)}`;
+}
+
+/* year-over-year { abs, pct } -> display parts; no sign when nothing changed */
+export function formatChange(change) {
+  const up = change.abs > 0, down = change.abs < 0;
+  const sign = up ? "+" : down ? "−" : "";
+  return {
+    direction: up ? "up" : down ? "down" : "flat",
+    amount: `${sign}$${Math.round(Math.abs(change.abs)).toLocaleString()}`,
+    pct: change.pct != null ? `${sign}${Math.abs(change.pct).toFixed(1)}%` : null
+  };
+}
+
+function niceMax(v) {
+  if (!(v > 0)) return 1;
+  const mag = 10 ** Math.floor(Math.log10(v));
+  const step = [1, 2, 2.5, 5, 10].find(s => s * mag >= v) || 10;
+  return step * mag;
+}
+
+/**
+ * Multi-series line chart geometry.
+ * rows: [{ [xKey]: label, [seriesKey]: number, ... }], series: [{ key, color, label }]
+ */
+export function lineChartGeometry(rows, series, { xKey = "year", width = 340, height = 160, pad = { t: 10, r: 10, b: 22, l: 46 } } = {}) {
+  const innerW = width - pad.l - pad.r;
+  const innerH = height - pad.t - pad.b;
+  const values = rows.flatMap(r => series.map(s => r[s.key])).filter(v => v != null && !Number.isNaN(Number(v)));
+  const max = niceMax(Math.max(0, ...values.map(Number)));
+  const x = (i) => pad.l + (rows.length <= 1 ? innerW / 2 : (i / (rows.length - 1)) * innerW);
+  const y = (v) => pad.t + innerH - (Number(v) / max) * innerH;
+
+  const lines = series.map(s => {
+    const points = rows
+      .map((r, i) => (r[s.key] == null ? null : [x(i), y(r[s.key])]))
+      .filter(Boolean);
+    const path = points.map(([px, py], i) => `${i ? "L" : "M"}${px.toFixed(1)},${py.toFixed(1)}`).join(" ");
+    return { ...s, points, path };
+  });
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => ({ y: y(max * f), label: shortMoney(max * f) }));
+  const every = Math.max(1, Math.ceil(rows.length / 6));
+  const xLabels = rows
+    .map((r, i) => ({ x: x(i), label: String(r[xKey]) }))
+    .filter((_, i) => i % every === 0 || i === rows.length - 1);
+
+  return { width, height, pad, lines, yTicks, xLabels };
+}
+
+/* same chart as an SVG string (for html2canvas / jsPDF reports) */
+export function lineChartSvg(rows, series, opts) {
+  const g = lineChartGeometry(rows, series, opts);
+  const grid = g.yTicks.map(t =>
+    `<line x1="${g.pad.l}" x2="${g.width - g.pad.r}" y1="${t.y}" y2="${t.y}" stroke="#e2e8f0" stroke-width="1"/>` +
+    `<text x="${g.pad.l - 6}" y="${t.y + 3}" font-size="9" text-anchor="end" fill="#64748b">${t.label}</text>`
+  ).join("");
+  const xl = g.xLabels.map(l =>
+    `<text x="${l.x}" y="${g.height - 6}" font-size="9" text-anchor="middle" fill="#64748b">${l.label}</text>`
+  ).join("");
+  const lines = g.lines.map(l =>
+    `<path d="${l.path}" fill="none" stroke="${l.color}" stroke-width="2"/>` +
+    l.points.map(([px, py]) => `<circle cx="${px}" cy="${py}" r="2.5" fill="${l.color}"/>`).join("")
+  ).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${g.width}" height="${g.height}" viewBox="0 0 ${g.width} ${g.height}">${grid}${xl}${lines}</svg>`;
+}
@@ -0,0 +1,54 @@
+/* csv.js — reading uploaded id lists and writing them back enriched (POST /api/details/batch) */
+
+// one record; null when a quoted field runs past the end of the text
+function parseRecord(text, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delimiter) { fields.push(field); field = ""; }
+    else field += ch;
+  }
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+/* { header, rows } with rows as arrays; tab-separated when the header has tabs but no commas */
+export function parseCsv(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  const first = lines.find(l => l.trim()) || "";
+  const delimiter = first.includes("\t") && !first.includes(",") ? "\t" : ",";
+  let header = null;
+  const rows = [];
+  let pending = "";
+  for (const line of lines) {
+    pending = pending ? `${pending}\n${line}` : line;
+    const fields = parseRecord(pending, delimiter);
+    if (!fields) continue;
+    pending = "";
+    if (fields.length === 1 && !fields[0].trim()) continue;
+    if (!header) header = fields.map(f => f.trim());
+    else rows.push(fields);
+  }
+  if (pending) throw new Error("unterminated quoted field");
+  if (!header) throw new Error("the file is empty");
+  return { header, rows };
+}
+
+const ID_COLUMN_RX = [/^master_?id$/i, /^prop_?id$/i, /^(property|account|parcel)_?(id|num(ber)?)?$/i, /id$/i];
+
+/* best guess at the column holding master_ids / prop_ids (index into header) */
+export function guessIdColumn(header) {
+  for (const rx of ID_COLUMN_RX) {
+    const i = header.findIndex(h => rx.test(h));
+    if (i >= 0) return i;
+  }
+  return 0;
+}
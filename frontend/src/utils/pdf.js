@@ -0,0 +1,88 @@
+/* pdf.js — jsPDF helpers shared by the parcel report, protest packet and mailing-label exports */
+import jsPDF from "jspdf";
+import html2canvas from "html2canvas";
+
+const A4W = 794, A4H = 1123;
+
+/* add a rendered canvas to the pdf, slicing it across as many A4 pages as it needs */
+function addCanvasPages(pdf, canvas, firstPage) {
+  const imgW = A4W;
+  const imgH = canvas.height * (imgW / canvas.width);
+  let first = firstPage;
+  const nextPage = () => {
+    if (first) first = false;
+    else pdf.addPage([A4W, A4H]);
+  };
+
+  if (imgH <= A4H) {
+    nextPage();
+    pdf.addImage(canvas.toDataURL("image/png"), "PNG", 0, 0, imgW, imgH);
+    return;
+  }
+
+  // naive multipage
+  const pageCanvas = document.createElement("canvas");
+  const ctx = pageCanvas.getContext("2d");
+  pageCanvas.width = canvas.width;
+  pageCanvas.height = Math.floor((A4H / imgW) * canvas.width);
+
+  let y = 0;
+  while (y < canvas.height) {
+    ctx.clearRect(0, 0, pageCanvas.width, pageCanvas.height);
+    ctx.drawImage(canvas, 0, -y, canvas.width, canvas.height);
+    nextPage();
+    pdf.addImage(pageCanvas.toDataURL("image/png"), "PNG", 0, 0, imgW, A4H);
+    y += pageCanvas.height;
+  }
+}
+
+const renderCanvas = (el) => html2canvas(el, { scale: 2, useCORS: true, backgroundColor: "#ffffff" });
+
+/* rasterize a detached HTML element and save it as an A4-proportioned PDF, paging tall content */
+export async function htmlToPdf(el, filename) {
+  const canvas = await renderCanvas(el);
+  const pdf = new jsPDF({ unit: "px", format: [A4W, A4H] });
+  addCanvasPages(pdf, canvas, true);
+  pdf.save(filename);
+}
+
+/* one or more A4 pages per element — for documents laid out page by page */
+export async function pagesToPdf(els, filename) {
+  const pdf = new jsPDF({ unit: "px", format: [A4W, A4H] });
+  for (let i = 0; i < els.length; i++) {
+    addCanvasPages(pdf, await renderCanvas(els[i]), i === 0);
+  }
+  pdf.save(filename);
+}
+
+// Avery 5160 / 8160: 30 labels per US-letter sheet, 2⅝" × 1", 3 columns × 10 rows (inches)
+const AVERY_5160 = { cols: 3, rows: 10, width: 2.625, height: 1, left: 0.1875, top: 0.5, colGap: 0.125, rowGap: 0, pad: 0.12 };
+
+/* one address label per entry; lines are plain strings, empty ones are dropped */
+export function mailingLabelsPdf(labels, filename, layout = AVERY_5160) {
+  const pdf = new jsPDF({ unit: "in", format: "letter" });
+  const perPage = layout.cols * layout.rows;
+  const fontSize = 9;
+  const lineH = (fontSize * 1.2) / 72;
+  const maxW = layout.width - layout.pad * 2;
+  pdf.setFont("helvetica", "normal");
+  pdf.setFontSize(fontSize);
+
+  labels.forEach((lines, i) => {
+    if (i > 0 && i % perPage === 0) pdf.addPage("letter");
+    const slot = i % perPage;
+    const col = slot % layout.cols;
+    const row = Math.floor(slot / layout.cols);
+    const x = layout.left + col * (layout.width + layout.colGap) + layout.pad;
+    const top = layout.top + row * (layout.height + layout.rowGap);
+
+    const text = lines.filter(Boolean).map(l => pdf.splitTextToSize(String(l), maxW)[0]);
+    const maxLines = Math.floor((layout.height - 0.1) / lineH);
+    const shown = text.slice(0, maxLines);
+    // vertically centre the block inside the label
+    let y = top + (layout.height - shown.length * lineH) / 2 + lineH * 0.8;
+    shown.forEach(l => { pdf.text(l, x, y); y += lineH; });
+  });
+
+  pdf.save(filename);
+}
@@ -0,0 +1,70 @@
+/* protest.js — comparable adjustments and unequal-appraisal math for the protest evidence packet */
+
+// adjustment rates applied to each comp to bring it in line with the subject
+export const ADJUSTMENTS = {
+  sizeFactor: 0.5, // share of the comp's improvement $/sf applied to the area difference
+  agePerYear: 0.005, // improvement value change per year of effective age difference
+  landFactor: 1 // share of the comp's land $/acre applied to the acreage difference
+};
+
+export function median(values) {
+  const v = values.filter(n => n != null && !Number.isNaN(Number(n))).map(Number).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+/**
+ * Line-item adjustments of one comp toward the subject (positive = comp is
+ * inferior, so its value is raised). Comps come from /api/details/:id/comps.
+ */
+export function adjustComp(subject, comp, rates = ADJUSTMENTS) {
+  const compArea = Number(comp.improvement_area) || 0;
+  const subjArea = Number(subject.improvement_area) || 0;
+  const compAcres = Number(comp.land_acres) || 0;
+  const subjAcres = Number(subject.land_acres) || 0;
+  const imprvPerSf = compArea ? (Number(comp.improvement_value) || 0) / compArea : 0;
+  const landPerAcre = compAcres ? (Number(comp.land_value) || 0) / compAcres : 0;
+
+  const size = compArea && subjArea ? (subjArea - compArea) * imprvPerSf * rates.sizeFactor : 0;
+  const age = comp.yr_built && subject.yr_built
+    ? (subject.yr_built - comp.yr_built) * rates.agePerYear * (Number(comp.improvement_value) || 0)
+    : 0;
+  const land = compAcres && subjAcres ? (subjAcres - compAcres) * landPerAcre * rates.landFactor : 0;
+
+  const base = Number(comp.market_value) || 0;
+  const net = size + age + land;
+  return {
+    ...comp,
+    adjustments: { size, age, land, net, gross_pct: base ? ((Math.abs(size) + Math.abs(age) + Math.abs(land)) / base) * 100 : null },
+    adjusted_value: Math.max(base + net, 0)
+  };
+}
+
+/**
+ * Unequal-appraisal summary: the subject's appraised value against the median
+ * of the adjusted comps (Texas Tax Code §41.43(b)(3)).
+ */
+export function protestSummary(subject, comps, rates = ADJUSTMENTS) {
+  const adjusted = comps.map(c => adjustComp(subject, c, rates));
+  const subjectValue = Number(subject.market_value) || 0;
+  const medianAdjusted = median(adjusted.map(c => c.adjusted_value));
+  const medianRaw = median(adjusted.map(c => c.market_value));
+  const medianPerSqft = median(adjusted.map(c => c.value_per_sqft));
+  const medianPerAcre = median(adjusted.map(c => c.value_per_acre));
+  const reduction = medianAdjusted != null ? Math.max(subjectValue - medianAdjusted, 0) : 0;
+  return {
+    subject,
+    comps: adjusted,
+    subject_value: subjectValue,
+    subject_per_sqft: subject.value_per_sqft ?? null,
+    median_value: medianRaw,
+    median_adjusted: medianAdjusted,
+    median_per_sqft: medianPerSqft,
+    median_per_acre: medianPerAcre,
+    requested_value: medianAdjusted != null ? Math.min(subjectValue, Math.round(medianAdjusted)) : subjectValue,
+    reduction,
+    reduction_pct: subjectValue ? (reduction / subjectValue) * 100 : 0,
+    over_appraised: medianAdjusted != null && subjectValue > medianAdjusted
+  };
+}
@@ -0,0 +1,188 @@
+/* protestPacket.js — page-by-page HTML for the protest evidence packet (rendered by pagesToPdf) */
+
+const COMPS_PER_PAGE = 4;
+
+const esc = (v) => String(v ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const money = (n) => (n == null || Number.isNaN(Number(n)) ? "—" : Number(n).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 }));
+const signedMoney = (n) => (!n ? "$0" : `${n > 0 ? "+" : "−"}${money(Math.abs(n))}`);
+const num = (n, d = 2) => (n == null || Number.isNaN(Number(n)) ? "—" : Number(n).toLocaleString(undefined, { minimumFractionDigits: d, maximumFractionDigits: d }));
+
+const STYLE = `
+  <style>
+    *{box-sizing:border-box}
+    .page{width:794px;min-height:1123px;padding:36px 40px;font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;color:#0f172a;background:#fff;position:relative}
+    .hdr{display:flex;align-items:flex-end;justify-content:space-between;border-bottom:3px solid #1e3a8a;padding-bottom:10px}
+    .title{font-weight:800;font-size:20px;color:#1e3a8a}.sub{font-size:12px;color:#475569}
+    .section-title{font-size:14px;font-weight:800;color:#334155;margin:22px 0 8px}
+    .grid{display:grid;gap:10px;grid-template-columns:repeat(3,1fr)}
+    .card{border:1px solid #e2e8f0;background:#f8fafc;border-radius:10px;padding:10px 12px}
+    .k{font-size:11px;color:#64748b}.v{font-size:15px;font-weight:800}
+    .hero{display:grid;grid-template-columns:repeat(2,1fr);gap:10px}
+    .hero .card{background:#eef2ff;border-color:#c7d2fe}.hero .v{font-size:20px;color:#1e3a8a}
+    .good .v{color:#047857}
+    table{width:100%;border-collapse:collapse;font-size:11px}
+    th,td{padding:6px 8px;text-align:left;border-bottom:1px solid #e5e7eb;vertical-align:top}
+    thead th{background:#f1f5f9;font-weight:800;color:#334155}
+    td.num,th.num{text-align:right;font-variant-numeric:tabular-nums}
+    .grid-table th{width:150px;background:#f8fafc;color:#475569;font-weight:700}
+    .grid-table td{text-align:right;font-variant-numeric:tabular-nums}
+    .grid-table .subject{background:#eef2ff;font-weight:700}
+    .grid-table tr.total td,.grid-table tr.total th{border-top:2px solid #1e3a8a;font-weight:800}
+    .note{font-size:11px;color:#475569;line-height:1.5}
+    .map{width:100%;border:1px solid #e2e8f0;border-radius:10px;display:block}
+    .footer{position:absolute;left:40px;right:40px;bottom:24px;display:flex;justify-content:space-between;font-size:10px;color:#64748b;border-top:1px solid #e5e7eb;padding-top:8px}
+  </style>
+`;
+
+function page(body, { title, subtitle, pageNo, pageCount, stamp }) {
+  return `
+    <div class="page">
+      ${STYLE}
+      <div class="hdr">
+        <div>
+          <div class="title">${esc(title)}</div>
+          <div class="sub">${esc(subtitle)}</div>
+        </div>
+        <div class="sub">Generated ${esc(stamp)}</div>
+      </div>
+      ${body}
+      <div class="footer"><div>Unequal appraisal evidence — Texas Tax Code §41.43(b)(3)</div><div>Page ${pageNo} of ${pageCount}</div></div>
+    </div>
+  `;
+}
+
+function summaryPage(info, summary, history, radiusMi) {
+  const year = info.prop_val_yr ?? new Date().getFullYear();
+  const recent = [...(history || [])].reverse().slice(0, 5);
+  return `
+    <div class="section-title">Subject Property</div>
+    <div class="grid">
+      <div class="card"><div class="k">Property ID</div><div class="v">${esc(info.prop_id ?? "—")}</div></div>
+      <div class="card"><div class="k">Geo ID</div><div class="v">${esc(info.geo_id ?? "—")}</div></div>
+      <div class="card"><div class="k">Tax Year</div><div class="v">${esc(year)}</div></div>
+    </div>
+    <div class="card" style="margin-top:10px">
+      <div class="k">Owner / Situs</div>
+      <div class="v" style="font-size:13px">${esc(info.owner_name || "—")}</div>
+      <div class="note">${esc([info.situs_street_num, info.situs_street_name || info.address, info.city, info.zip].filter(Boolean).join(", "))}</div>
+      <div class="note">${esc(info.legal_desc || "")}</div>
+    </div>
+
+    <div class="section-title">Unequal Appraisal Summary</div>
+    <div class="hero">
+      <div class="card"><div class="k">Subject appraised (market) value</div><div class="v">${money(summary.subject_value)}</div></div>
+      <div class="card"><div class="k">Median adjusted comparable value</div><div class="v">${money(summary.median_adjusted)}</div></div>
+      <div class="card"><div class="k">Median unadjusted comparable value</div><div class="v">${money(summary.median_value)}</div></div>
+      <div class="card ${summary.over_appraised ? "good" : ""}"><div class="k">Requested value</div><div class="v">${money(summary.requested_value)}</div></div>
+    </div>
+    <p class="note" style="margin-top:12px">
+      ${summary.comps.length} comparable propert${summary.comps.length === 1 ? "y" : "ies"} within ${esc(radiusMi)} mi were adjusted to the subject for
+      improvement size, age and land area. ${summary.over_appraised
+        ? `The subject is appraised ${money(summary.reduction)} (${num(summary.reduction_pct, 1)}%) above the median adjusted appraised value of comparable properties, and the owner requests the value be reduced to ${money(summary.requested_value)}.`
+        : "The subject's appraised value does not exceed the median adjusted appraised value of the selected comparables."}
+    </p>
+    <div class="grid" style="margin-top:10px">
+      <div class="card"><div class="k">Median comp $/sq ft</div><div class="v">${summary.median_per_sqft != null ? `$${num(summary.median_per_sqft)}` : "—"}</div></div>
+      <div class="card"><div class="k">Median comp $/acre</div><div class="v">${money(summary.median_per_acre)}</div></div>
+      <div class="card"><div class="k">Subject $/sq ft</div><div class="v">${summary.subject_per_sqft != null ? `$${num(summary.subject_per_sqft)}` : "—"}</div></div>
+    </div>
+
+    <div class="section-title">Subject Valuation</div>
+    <div class="grid">
+      <div class="card"><div class="k">Land</div><div class="v">${money(info.curr_land_val)}</div></div>
+      <div class="card"><div class="k">Improvements</div><div class="v">${money(info.curr_imprv_val)}</div></div>
+      <div class="card"><div class="k">Assessed</div><div class="v">${money(info.curr_assessed_val ?? info.assessed_val)}</div></div>
+    </div>
+    ${recent.length ? `
+      <table style="margin-top:10px">
+        <thead><tr><th>Year</th><th class="num">Market</th><th class="num">Assessed</th><th class="num">Land</th><th class="num">Improvements</th></tr></thead>
+        <tbody>
+          ${recent.map(h => `<tr><td>${esc(h.year)}</td><td class="num">${money(h.market_value)}</td><td class="num">${money(h.assessed_value)}</td><td class="num">${money(h.land_value)}</td><td class="num">${money(h.improvement_value)}</td></tr>`).join("")}
+        </tbody>
+      </table>` : ""}
+  `;
+}
+
+function compsGridPage(subject, comps, offset) {
+  const cols = [{ ...subject, __subject: true }, ...comps];
+  const row = (label, fn, cls = "") => `
+    <tr class="${cls}"><th>${label}</th>${cols.map(c => `<td class="${c.__subject ? "subject" : ""}">${fn(c)}</td>`).join("")}</tr>`;
+  return `
+    <div class="section-title">Comparables Grid ${comps.length ? `(${offset + 1}–${offset + comps.length})` : ""}</div>
+    <table class="grid-table">
+      <thead>
+        <tr><th></th>${cols.map((c, i) => `<th class="num ${c.__subject ? "subject" : ""}">${c.__subject ? "Subject" : `Comp ${offset + i}`}</th>`).join("")}</tr>
+      </thead>
+      <tbody>
+        ${row("Property ID", c => esc(c.prop_id ?? "—"))}
+        ${row("Address", c => esc(c.address || "—"))}
+        ${row("Distance", c => (c.__subject ? "—" : `${num(c.distance_mi)} mi`))}
+        ${row("Property / land type", c => esc([c.prop_type_cd, c.land_type_cd].filter(Boolean).join(" / ") || "—"))}
+        ${row("Land acres", c => num(c.land_acres))}
+        ${row("Improvement sq ft", c => (c.improvement_area ? Math.round(c.improvement_area).toLocaleString() : "—"))}
+        ${row("Year built", c => esc(c.yr_built ?? "—"))}
+        ${row("Land value", c => money(c.land_value))}
+        ${row("Improvement value", c => money(c.improvement_value))}
+        ${row("Appraised value", c => money(c.market_value))}
+        ${row("Value / sq ft", c => (c.value_per_sqft != null ? `$${num(c.value_per_sqft)}` : "—"))}
+        ${row("Value / acre", c => money(c.value_per_acre))}
+        ${row("Size adjustment", c => (c.__subject ? "" : signedMoney(c.adjustments.size)))}
+        ${row("Age adjustment", c => (c.__subject ? "" : signedMoney(c.adjustments.age)))}
+        ${row("Land adjustment", c => (c.__subject ? "" : signedMoney(c.adjustments.land)))}
+        ${row("Net adjustment", c => (c.__subject ? "" : `${signedMoney(c.adjustments.net)}${c.adjustments.gross_pct != null ? `<div class="note">gross ${num(c.adjustments.gross_pct, 1)}%</div>` : ""}`))}
+        ${row("Adjusted value", c => (c.__subject ? money(c.market_value) : money(c.adjusted_value)), "total")}
+        ${row("Similarity", c => (c.__subject ? "—" : esc(c.similarity)))}
+      </tbody>
+    </table>
+  `;
+}
+
+function mapPage(info, mapImage, rates) {
+  const land = info.land_segments_list || [];
+  const imprv = info.improvements_list || [];
+  return `
+    <div class="section-title">Location of Subject and Comparables</div>
+    ${mapImage ? `<img class="map" src="${mapImage}" />` : `<div class="note">Map snapshot unavailable.</div>`}
+
+    <div class="section-title">Subject Land Segments</div>
+    ${land.length ? `
+      <table>
+        <thead><tr><th>Type</th><th class="num">Acres</th><th class="num">Market</th><th class="num">Year</th></tr></thead>
+        <tbody>${land.map(s => `<tr><td>${esc(s.land_type_desc || s.land_type_cd || "—")}</td><td class="num">${num(s.size_acres)}</td><td class="num">${money(s.land_seg_mkt_val)}</td><td class="num">${esc(s.prop_val_yr ?? "—")}</td></tr>`).join("")}</tbody>
+      </table>` : `<div class="note">No land segment records.</div>`}
+
+    <div class="section-title">Subject Improvements</div>
+    ${imprv.length ? `
+      <table>
+        <thead><tr><th>Type</th><th class="num">Year Built</th><th class="num">Area</th><th class="num">Value</th></tr></thead>
+        <tbody>${imprv.map(i => `<tr><td>${esc(i.imprv_type_desc || "—")}</td><td class="num">${esc(i.yr_built ?? "—")}</td><td class="num">${Number(i.imprv_det_area ?? 0).toLocaleString()}</td><td class="num">${money(i.imprv_val)}</td></tr>`).join("")}</tbody>
+      </table>` : `<div class="note">No improvement records.</div>`}
+
+    <div class="section-title">Adjustment Method</div>
+    <p class="note">
+      Size: ${num(rates.sizeFactor * 100, 0)}% of the comparable's improvement value per sq ft × the difference in improvement area.
+      Age: ${num(rates.agePerYear * 100, 1)}% of the comparable's improvement value per year of difference in year built.
+      Land: ${num(rates.landFactor * 100, 0)}% of the comparable's land value per acre × the difference in land acres.
+      Appraised values are taken from the certified roll for each property.
+    </p>
+  `;
+}
+
+/**
+ * HTML for each packet page: summary, comps grid (COMPS_PER_PAGE per page)
+ * and map/land/improvement detail.
+ */
+export function protestPacketPages({ info, summary, history, mapImage, radiusMi, rates, generatedAt = new Date() }) {
+  const chunks = [];
+  for (let i = 0; i < summary.comps.length; i += COMPS_PER_PAGE) chunks.push(summary.comps.slice(i, i + COMPS_PER_PAGE));
+  if (!chunks.length) chunks.push([]);
+
+  const bodies = [
+    ["Protest Evidence — Summary", summaryPage(info, summary, history, radiusMi)],
+    ...chunks.map((chunk, i) => ["Protest Evidence — Comparables", compsGridPage(summary.subject, chunk, i * COMPS_PER_PAGE)]),
+    ["Protest Evidence — Map & Subject Detail", mapPage(info, mapImage, rates)]
+  ];
+  const stamp = generatedAt.toLocaleString();
+  const subtitle = [info.prop_id && `Property ${info.prop_id}`, info.owner_name].filter(Boolean).join(" • ");
+  return bodies.map(([title, body], i) => page(body, { title, subtitle, pageNo: i + 1, pageCount: bodies.length, stamp }));
+}
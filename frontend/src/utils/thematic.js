@@ -0,0 +1,85 @@
+/* thematic.js — choropleth colour ramps, classing and parcels-fill paint (GET /api/thematic/*) */
+import { shortMoney } from "./charts";
+
+// 9-step ColorBrewer / viridis ramps; `start` skips near-white steps that vanish on the basemap
+export const RAMPS = {
+  YlOrRd: { label: "Yellow–Red", start: 1, colors: ["#ffffcc", "#ffeda0", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a", "#e31a1c", "#bd0026", "#800026"] },
+  Blues: { label: "Blues", start: 1, colors: ["#f7fbff", "#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#08519c", "#08306b"] },
+  Greens: { label: "Greens", start: 1, colors: ["#f7fcf5", "#e5f5e0", "#c7e9c0", "#a1d99b", "#74c476", "#41ab5d", "#238b45", "#006d2c", "#00441b"] },
+  Purples: { label: "Purples", start: 1, colors: ["#fcfbfd", "#efedf5", "#dadaeb", "#bcbddc", "#9e9ac8", "#807dba", "#6a51a3", "#54278f", "#3f007d"] },
+  Viridis: { label: "Viridis", start: 0, colors: ["#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c", "#28ae80", "#5ec962", "#addc30", "#fde725"] },
+  RdYlGn: { label: "Red–Green (diverging)", start: 0, colors: ["#d73027", "#f46d43", "#fdae61", "#fee08b", "#ffffbf", "#d9ef8b", "#a6d96a", "#66bd63", "#1a9850"] }
+};
+
+export const CATEGORY_COLORS = ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac", "#86bcb6", "#d37295"];
+export const OTHER_COLOR = "#94a3b8";
+
+// default parcels-fill paint (selected vs. unselected grey)
+export const PARCEL_PAINT = {
+  "fill-color": ["case", ["boolean", ["feature-state", "selected"], false], "#2563eb", "#cbd5e1"],
+  "fill-opacity": ["case", ["boolean", ["feature-state", "selected"], false], 0.75, 0.55]
+};
+
+/* n colours sampled evenly from a ramp */
+export function rampColors(name, n) {
+  const ramp = RAMPS[name] || RAMPS.YlOrRd;
+  const from = ramp.start, to = ramp.colors.length - 1;
+  if (n <= 1) return [ramp.colors[to]];
+  return Array.from({ length: n }, (_, i) => ramp.colors[Math.round(from + (i * (to - from)) / (n - 1))]);
+}
+
+/* class index for a numeric value given ascending inner breaks (lower bounds of classes 2..k) */
+export function classIndex(value, breaks) {
+  let i = 0;
+  while (i < breaks.length && value >= breaks[i]) i++;
+  return i;
+}
+
+export function formatThematic(value, format) {
+  if (value == null || Number.isNaN(Number(value))) return "—";
+  const v = Number(value);
+  if (format === "money") return shortMoney(v);
+  if (format === "year") return String(Math.round(v));
+  if (format === "ratio") return `${(v * 100).toFixed(0)}%`;
+  return v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Resolved style from a /breaks response: colours plus legend items, and a
+ * classify(v) that maps a raw value to a colour index (-1 = unstyled).
+ */
+export function buildThematicStyle(spec, ramp) {
+  if (spec.type === "categorical") {
+    const cats = spec.categories || [];
+    const colors = [...cats.map((_, i) => CATEGORY_COLORS[i % CATEGORY_COLORS.length]), OTHER_COLOR];
+    const lookup = new Map(cats.map((c, i) => [String(c.value), i]));
+    return {
+      colors,
+      legend: [...cats.map((c, i) => ({ color: colors[i], label: c.value, count: c.count })), { color: OTHER_COLOR, label: "Other" }],
+      classify: (v) => (v == null ? -1 : lookup.has(String(v)) ? lookup.get(String(v)) : cats.length)
+    };
+  }
+
+  const breaks = spec.breaks || [];
+  const colors = rampColors(ramp, breaks.length + 1);
+  const bounds = [spec.min, ...breaks, spec.max];
+  const legend = colors.map((color, i) => ({
+    color,
+    label: `${formatThematic(bounds[i], spec.format)} – ${formatThematic(bounds[i + 1], spec.format)}`
+  }));
+  return {
+    colors,
+    legend,
+    classify: (v) => (v == null || Number.isNaN(Number(v)) ? -1 : classIndex(Number(v), breaks))
+  };
+}
+
+/* parcels-fill paint driven by feature-state `tclass` (selection still wins) */
+export function thematicPaint(colors) {
+  const tclass = ["to-number", ["coalesce", ["feature-state", "tclass"], -1]];
+  const stops = colors.flatMap((c, i) => [i, c]);
+  return {
+    "fill-color": ["case", ["boolean", ["feature-state", "selected"], false], "#2563eb", ["match", tclass, ...stops, "#cbd5e1"]],
+    "fill-opacity": ["case", ["boolean", ["feature-state", "selected"], false], 0.75, [">=", tclass, 0], 0.8, 0.35]
+  };
+}